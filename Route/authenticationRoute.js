@@ -8,146 +8,1198 @@ import {
   authentication,
   generateAccessToken,
   generateRefreshToken,
+  setAuthCookies,
+  startSession,
+  generateTwoFactorChallenge,
+  verifyTwoFactorChallenge,
+  getSessionIdFromRequest,
   clearAuthTokens,
 } from "../middleware/authenticantion.js";
+import { SessionService } from "../services/sessionService.js";
+import { UserTokenService } from "../services/userTokenService.js";
+import { MailService } from "../services/mailService.js";
+import { TwoFactorService } from "../services/twoFactorService.js";
+import { LoginThrottleService } from "../services/loginThrottleService.js";
+import { AuthStateService } from "../services/authStateService.js";
+import {
+  PersonalAccessTokenService,
+  PAT_SCOPES,
+  MAX_TOKENS_PER_USER,
+} from "../services/personalAccessTokenService.js";
+import { AccountDeletionService } from "../services/accountDeletionService.js";
+import { UsernameService, UsernameError } from "../services/usernameService.js";
+import { PrivateFileService } from "../services/privateFileService.js";
+import { PostVisibilityService } from "../services/postVisibilityService.js";
+import { PostFeedService } from "../services/postFeedService.js";
 import { uploadIdCard } from "../config/multer.js";
 const router = express.Router();
 
+const PASSWORD_RESET_TTL_MS = 60 * 60 * 1000; // 1 hour
+const PASSWORD_RESET_COOLDOWN_MS = 60 * 1000; // 1 email per minute
+const EMAIL_VERIFICATION_TTL_MS = 24 * 60 * 60 * 1000; // 24 hours
+const EMAIL_VERIFICATION_COOLDOWN_MS = 2 * 60 * 1000; // 1 resend per 2 minutes
+const EMAIL_VERIFICATION_DAILY_LIMIT = 5;
+const EMAIL_CHANGE_TTL_MS = 24 * 60 * 60 * 1000; // 24 hours
+
+const INVALID_CREDENTIALS_MESSAGE = "Invalid username/email or password";
+
+// Used to spend the same bcrypt time on unknown accounts as on real ones
+const DUMMY_PASSWORD_HASH = bcrypt.hashSync("not-a-real-password", 10);
+
+const sendTooManyAttempts = (res, retryAfterMs) => {
+  const retryAfter = Math.ceil(retryAfterMs / 1000);
+  res.set("Retry-After", String(retryAfter));
+  return res.status(429).json({
+    message: "Too many failed login attempts. Please try again later.",
+    retryAfter,
+  });
+};
+
+// Count a failed login and tell the account owner when it gets locked
+const handleFailedLogin = async (req, user, keys) => {
+  const { lockedOut, lockedUntil } = await LoginThrottleService.recordFailure(
+    keys
+  );
+
+  if (lockedOut && user) {
+    try {
+      await MailService.sendAccountLockedEmail(user, {
+        lockedUntil,
+        ipAddress: req.ip,
+      });
+    } catch (mailError) {
+      console.error("Error sending account locked email:", mailError);
+    }
+  }
+};
+
+// Re-authenticate a logged in user before a sensitive change. Wrong
+// passwords count against the same limits as failed logins.
+const verifyCurrentPassword = async (req, res, user, password) => {
+  const accountKey = LoginThrottleService.accountKey(user.id);
+  const keys = [accountKey, LoginThrottleService.ipKey(req.ip)];
+
+  const retryAfterMs = await LoginThrottleService.getRetryAfter(keys);
+  if (retryAfterMs > 0) {
+    sendTooManyAttempts(res, retryAfterMs);
+    return false;
+  }
+
+  if (!(await bcrypt.compare(password, user.password))) {
+    await handleFailedLogin(req, user, keys);
+    res.status(401).json({ message: "Current password is incorrect" });
+    return false;
+  }
+
+  await LoginThrottleService.recordSuccess(accountKey);
+  return true;
+};
+
+// Check the two-factor or backup code of a user. Wrong codes count against
+// the same limits as failed logins.
+const verifyTwoFactorCode = async (req, res, user, { code, backupCode }) => {
+  const accountKey = LoginThrottleService.accountKey(user.id);
+  const keys = [accountKey, LoginThrottleService.ipKey(req.ip)];
+
+  const retryAfterMs = await LoginThrottleService.getRetryAfter(keys);
+  if (retryAfterMs > 0) {
+    sendTooManyAttempts(res, retryAfterMs);
+    return false;
+  }
+
+  const isCodeValid = code
+    ? await TwoFactorService.verifyCode(user.id, code)
+    : await TwoFactorService.useBackupCode(user.id, backupCode);
+  if (!isCodeValid) {
+    await handleFailedLogin(req, user, keys);
+    res.status(401).json({ message: "Invalid two-factor code" });
+    return false;
+  }
+
+  await LoginThrottleService.recordSuccess(accountKey);
+  return true;
+};
+
+router.post(
+  "/register",
+  uploadIdCard.single("idCard"),
+  [
+    body("username").notEmpty().withMessage("Username is required"),
+    body("email").isEmail().withMessage("Invalid email format"),
+    body("password")
+      .isLength({ min: 6, max: 64 })
+      .withMessage("Password must be at least 6 characters long"),
+    body("name").notEmpty().withMessage("Name is required"),
+    body("birthdate").notEmpty().withMessage("Birthdate is required"),
+    body("gender").notEmpty().withMessage("Gender is required"),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+      const { username, email, password, name, bio, gender, birthdate } =
+        req.body;
+      const hashpassword = await bcrypt.hash(password, 10);
+
+      if (!req.file) {
+        return res.status(400).json({ message: "ID card is required" });
+      }
+
+      const usernameProblem = await UsernameService.checkAvailability(username);
+      if (usernameProblem) {
+        const { message, code } = usernameProblem;
+        return res.status(400).json({ message, code });
+      }
+
+      const idCard = await PrivateFileService.saveFile("id_card", req.file);
+
+      let user;
+      try {
+        user = await prisma.user.create({
+          data: {
+            username,
+            email,
+            password: hashpassword,
+            name,
+            bio,
+            gender,
+            birthdate: new Date(birthdate),
+            idCard,
+          },
+        });
+      } catch (createError) {
+        await PrivateFileService.removeFile("id_card", idCard);
+        throw createError;
+      }
+
+      if (!user) {
+        return res.status(500).json({ message: "User registration failed" });
+      } else {
+        // The account stays pending until the email address is confirmed
+        try {
+          const verificationToken = await UserTokenService.createToken(
+            user.id,
+            "email_verification",
+            EMAIL_VERIFICATION_TTL_MS
+          );
+          await MailService.sendVerificationEmail(user, verificationToken);
+        } catch (mailError) {
+          // The user can still ask for a new link via /verify-email/resend
+          console.error("Error sending verification email:", mailError);
+        }
+
+        return res.status(201).json({
+          message:
+            "User registered successfully. Please check your email to activate your account",
+          user: {
+            id: user.id,
+            username: user.username,
+            email: user.email,
+            name: user.name,
+          },
+        });
+      }
+    } catch (error) {
+      if (error.code === "P2002") {
+        return res
+          .status(400)
+          .json({ message: "Username or email already exists" });
+      }
+      console.error("Error during registration:", error);
+      res.status(500).json({ message: "Internal server error" });
+    }
+  }
+);
+
+router.post(
+  "/login",
+  [
+    body("usernameormail").notEmpty().withMessage("Username is required"),
+    body("password").notEmpty().withMessage("Password is required"),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+      const { usernameormail, password } = req.body;
+      const user = await prisma.user.findFirst({
+        where: {
+          OR: [{ username: usernameormail }, { email: usernameormail }],
+        },
+      });
+
+      const accountKey = LoginThrottleService.accountKey(
+        user ? user.id : usernameormail
+      );
+      const ipKey = LoginThrottleService.ipKey(req.ip);
+
+      const retryAfterMs = await LoginThrottleService.getRetryAfter([
+        accountKey,
+        ipKey,
+      ]);
+      if (retryAfterMs > 0) {
+        return sendTooManyAttempts(res, retryAfterMs);
+      }
+
+      // Compare against a dummy hash for unknown users so both cases take
+      // the same time and get the same answer
+      const isPasswordValid = await bcrypt.compare(
+        password,
+        user ? user.password : DUMMY_PASSWORD_HASH
+      );
+      // Accounts deleted by their owner come back by logging in during the
+      // grace period, as long as they aren't blocked for another reason
+      const isRestorable = user && AccountDeletionService.isRestorable(user);
+      const accountDenial =
+        user &&
+        AuthStateService.getAccountDenial(
+          isRestorable ? { ...user, deletedAt: null } : user
+        );
+
+      if (!user || !isPasswordValid) {
+        await handleFailedLogin(req, user, [accountKey, ipKey]);
+        return res.status(401).json({ message: INVALID_CREDENTIALS_MESSAGE });
+      } else if (accountDenial) {
+        return res
+          .status(403)
+          .json({ message: accountDenial.message, code: accountDenial.code });
+      } else if (user.accountStatus === "pending" && !user.emailVerifiedAt) {
+        return res.status(403).json({
+          message: "Please verify your email address before logging in",
+          code: "EMAIL_NOT_VERIFIED",
+        });
+      } else {
+        // Prepare user data for token generation
+        const userData = {
+          id: user.id,
+          email: user.email,
+          username: user.username,
+          isProUser: user.isProUser,
+          tokenVersion: user.tokenVersion,
+        };
+
+        // Accounts with 2FA get their session only after the second step,
+        // and 2FA failures keep counting against the account
+        if (user.twoFactorEnabled) {
+          return res.status(200).json({
+            message: "Two-factor authentication required",
+            twoFactorRequired: true,
+            challengeToken: generateTwoFactorChallenge(user),
+          });
+        }
+
+        await LoginThrottleService.recordSuccess(accountKey);
+
+        if (isRestorable) {
+          await AccountDeletionService.restoreAccount(user.id);
+        }
+
+        // Open a server-side session and set the auth cookies
+        await startSession(req, res, userData);
+        return res.status(200).json({
+          message: "Login successful",
+          ...(isRestorable && { accountRestored: true }),
+          // Staff permissions stay locked until 2FA is set up
+          ...(user.staffRole && { twoFactorSetupRequired: true }),
+        });
+      }
+    } catch (error) {
+      console.error("Error during login:", error);
+      res.status(500).json({ message: "Internal server error" });
+    }
+  }
+);
+
+// Second login step for accounts with two-factor authentication
+router.post(
+  "/login/2fa",
+  [
+    body("challengeToken")
+      .notEmpty()
+      .withMessage("Challenge token is required"),
+    body().custom((value) => {
+      if (!value.code && !value.backupCode) {
+        throw new Error("Either code or backupCode is required");
+      }
+      return true;
+    }),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { challengeToken, code, backupCode } = req.body;
+
+      const challenge = verifyTwoFactorChallenge(challengeToken);
+      if (!challenge) {
+        return res.status(401).json({
+          message:
+            "Two-factor challenge expired or invalid. Please login again.",
+        });
+      }
+
+      const user = await prisma.user.findUnique({
+        where: { id: challenge.userId },
+        select: {
+          id: true,
+          email: true,
+          username: true,
+          name: true,
+          isProUser: true,
+          tokenVersion: true,
+          accountStatus: true,
+          deletedAt: true,
+          purgeAfter: true,
+        },
+      });
+      if (!user) {
+        return res.status(401).json({ message: INVALID_CREDENTIALS_MESSAGE });
+      }
+
+      // The account may have been suspended since the password step
+      const isRestorable = AccountDeletionService.isRestorable(user);
+      const accountDenial = AuthStateService.getAccountDenial(
+        isRestorable ? { ...user, deletedAt: null } : user
+      );
+      if (accountDenial) {
+        return res
+          .status(403)
+          .json({ message: accountDenial.message, code: accountDenial.code });
+      }
+
+      if (!(await verifyTwoFactorCode(req, res, user, { code, backupCode }))) {
+        return;
+      }
+
+      if (isRestorable) {
+        await AccountDeletionService.restoreAccount(user.id);
+      }
+
+      await startSession(req, res, user, { twoFactorVerified: true });
+
+      const response = { message: "Login successful" };
+      if (isRestorable) {
+        response.accountRestored = true;
+      }
+      if (!code) {
+        response.backupCodesRemaining = await TwoFactorService.countBackupCodes(
+          user.id
+        );
+      }
+      return res.status(200).json(response);
+    } catch (error) {
+      console.error("Error during two-factor login:", error);
+      res.status(500).json({ message: "Internal server error" });
+    }
+  }
+);
+
+router.post("/logout", async (req, res) => {
+  try {
+    // Revoke the session server-side so its refresh token is dead even if
+    // the cookie was copied elsewhere
+    const sessionId = getSessionIdFromRequest(req);
+    if (sessionId) {
+      await SessionService.revokeSession(sessionId, "logout");
+    }
+
+    clearAuthTokens(req, res);
+    return res.status(200).json({ message: "Logout successful" });
+  } catch (error) {
+    console.error("Error during logout:", error);
+    return res.status(500).json({ message: "Internal server error" });
+  }
+});
+
+const findTokenUser = async (userId) => {
+  return await prisma.user.findUnique({
+    where: { id: userId },
+    select: {
+      id: true,
+      email: true,
+      username: true,
+      isProUser: true,
+      tokenVersion: true,
+    },
+  });
+};
+
+// Re-issue the access token of the current session after its 2FA state changed
+const refreshAccessToken = async (req, res, twoFactorVerified) => {
+  if (!req.user.sid) return;
+
+  const user = await findTokenUser(req.user.userId);
+
+  setAuthCookies(
+    res,
+    generateAccessToken(user, req.user.sid, twoFactorVerified)
+  );
+};
+
+// Re-issue both tokens of the current session after the token version was
+// bumped, so the user stays logged in on this device
+const reissueSessionTokens = async (req, res) => {
+  if (!req.user.sid) return;
+
+  const user = await findTokenUser(req.user.userId);
+  const refreshToken = generateRefreshToken(user, req.user.sid);
+  await SessionService.storeRefreshToken(req.user.sid, refreshToken);
+
+  setAuthCookies(
+    res,
+    generateAccessToken(user, req.user.sid, req.user.mfa),
+    refreshToken
+  );
+};
+
+// Get the two-factor authentication status of the current user
+router.get("/2fa/status", authentication, async (req, res) => {
+  try {
+    const user = await prisma.user.findUnique({
+      where: { id: req.user.userId },
+      select: { twoFactorEnabled: true, staffRole: true },
+    });
+
+    return res.status(200).json({
+      enabled: user.twoFactorEnabled,
+      required: !!user.staffRole,
+      backupCodesRemaining: user.twoFactorEnabled
+        ? await TwoFactorService.countBackupCodes(req.user.userId)
+        : 0,
+    });
+  } catch (error) {
+    console.error("Error fetching two-factor status:", error);
+    return res.status(500).json({ message: "Internal server error" });
+  }
+});
+
+// Start 2FA enrollment: returns the secret and an otpauth:// URI for QR codes
+router.post("/2fa/setup", authentication, async (req, res) => {
+  try {
+    const user = await prisma.user.findUnique({
+      where: { id: req.user.userId },
+      select: { id: true, username: true, twoFactorEnabled: true },
+    });
+
+    if (user.twoFactorEnabled) {
+      return res
+        .status(400)
+        .json({ message: "Two-factor authentication is already enabled" });
+    }
+
+    const { secret, otpauthUri } = await TwoFactorService.startEnrollment(user);
+
+    return res.status(200).json({
+      message:
+        "Scan the QR code with your authenticator app, then confirm with a code",
+      secret,
+      otpauthUri,
+    });
+  } catch (error) {
+    console.error("Error starting two-factor setup:", error);
+    return res.status(500).json({ message: "Internal server error" });
+  }
+});
+
+// Finish 2FA enrollment with a first code
+router.post(
+  "/2fa/confirm",
+  [body("code").notEmpty().withMessage("Code is required")],
+  authentication,
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const backupCodes = await TwoFactorService.confirmEnrollment(
+        req.user.userId,
+        req.body.code
+      );
+
+      if (!backupCodes) {
+        return res.status(400).json({
+          message: "Invalid code, or two-factor setup was not started",
+        });
+      }
+
+      // The current session just proved possession of the second factor
+      if (req.user.sid) {
+        await SessionService.setTwoFactorVerified(req.user.userId, true, {
+          sessionId: req.user.sid,
+        });
+      }
+      await refreshAccessToken(req, res, true);
+
+      return res.status(200).json({
+        message: "Two-factor authentication enabled",
+        backupCodes,
+      });
+    } catch (error) {
+      console.error("Error confirming two-factor setup:", error);
+      return res.status(500).json({ message: "Internal server error" });
+    }
+  }
+);
+
+// Generate a new set of backup codes (invalidates the old ones)
+router.post(
+  "/2fa/backup-codes",
+  [body("code").notEmpty().withMessage("Code is required")],
+  authentication,
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const user = await prisma.user.findUnique({
+        where: { id: req.user.userId },
+        select: { id: true, email: true, username: true, name: true },
+      });
+
+      if (
+        !(await verifyTwoFactorCode(req, res, user, { code: req.body.code }))
+      ) {
+        return;
+      }
+
+      const backupCodes = await TwoFactorService.regenerateBackupCodes(
+        req.user.userId
+      );
+
+      return res.status(200).json({
+        message: "New backup codes generated",
+        backupCodes,
+      });
+    } catch (error) {
+      console.error("Error regenerating backup codes:", error);
+      return res.status(500).json({ message: "Internal server error" });
+    }
+  }
+);
+
+// Turn 2FA off (requires the password and a code)
+router.post(
+  "/2fa/disable",
+  [
+    body("password").notEmpty().withMessage("Password is required"),
+    body().custom((value) => {
+      if (!value.code && !value.backupCode) {
+        throw new Error("Either code or backupCode is required");
+      }
+      return true;
+    }),
+  ],
+  authentication,
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { password, code, backupCode } = req.body;
+      const userId = req.user.userId;
+
+      const user = await prisma.user.findUnique({
+        where: { id: userId },
+        select: {
+          id: true,
+          email: true,
+          username: true,
+          name: true,
+          password: true,
+          twoFactorEnabled: true,
+        },
+      });
+
+      if (!user.twoFactorEnabled) {
+        return res
+          .status(400)
+          .json({ message: "Two-factor authentication is not enabled" });
+      }
+
+      if (!(await verifyCurrentPassword(req, res, user, password))) {
+        return;
+      }
+      if (!(await verifyTwoFactorCode(req, res, user, { code, backupCode }))) {
+        return;
+      }
+
+      await TwoFactorService.disable(userId);
+      await SessionService.setTwoFactorVerified(userId, false);
+      await refreshAccessToken(req, res, false);
+
+      return res
+        .status(200)
+        .json({ message: "Two-factor authentication disabled" });
+    } catch (error) {
+      console.error("Error disabling two-factor authentication:", error);
+      return res.status(500).json({ message: "Internal server error" });
+    }
+  }
+);
+
+// Confirm an email address and activate the account
+router.post(
+  "/verify-email/confirm",
+  [body("token").notEmpty().withMessage("Verification token is required")],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const verificationToken = await UserTokenService.consumeToken(
+        req.body.token,
+        "email_verification"
+      );
+      if (!verificationToken) {
+        return res
+          .status(400)
+          .json({ message: "Verification link is invalid or has expired" });
+      }
+
+      const user = await prisma.user.findUnique({
+        where: { id: verificationToken.userId, deletedAt: null },
+        select: { id: true, accountStatus: true },
+      });
+      if (!user) {
+        return res.status(404).json({ message: "User not found" });
+      }
+
+      const data = { emailVerifiedAt: new Date() };
+      // Only pending accounts are activated; never lift a suspension here
+      if (user.accountStatus === "pending") {
+        data.accountStatus = "active";
+      }
+
+      const updatedUser = await prisma.user.update({
+        where: { id: user.id },
+        data,
+        select: {
+          id: true,
+          username: true,
+          email: true,
+          accountStatus: true,
+          emailVerifiedAt: true,
+        },
+      });
+
+      return res.status(200).json({
+        message: "Email verified successfully",
+        user: updatedUser,
+      });
+    } catch (error) {
+      console.error("Error verifying email:", error);
+      return res.status(500).json({ message: "Internal server error" });
+    }
+  }
+);
+
+// Send a new verification link
+router.post(
+  "/verify-email/resend",
+  [body("email").isEmail().withMessage("Invalid email format")],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      // Same answer whether or not the account exists or needs verifying
+      const response = {
+        message:
+          "If that account is waiting for verification, a new link has been sent",
+      };
+
+      const user = await prisma.user.findUnique({
+        where: { email: req.body.email, deletedAt: null },
+        select: {
+          id: true,
+          email: true,
+          username: true,
+          name: true,
+          accountStatus: true,
+          emailVerifiedAt: true,
+        },
+      });
+
+      if (!user || user.emailVerifiedAt || user.accountStatus !== "pending") {
+        return res.status(200).json(response);
+      }
+
+      const [latestToken, sentToday] = await Promise.all([
+        UserTokenService.getLatestToken(user.id, "email_verification"),
+        UserTokenService.countRecentTokens(
+          user.id,
+          "email_verification",
+          24 * 60 * 60 * 1000
+        ),
+      ]);
+
+      const sinceLast = latestToken
+        ? Date.now() - latestToken.createdAt
+        : Infinity;
+      // Over the limits nothing is sent, without saying so: a different
+      // answer would tell that the account exists
+      if (
+        sinceLast < EMAIL_VERIFICATION_COOLDOWN_MS ||
+        sentToday >= EMAIL_VERIFICATION_DAILY_LIMIT
+      ) {
+        return res.status(200).json(response);
+      }
+
+      const token = await UserTokenService.createToken(
+        user.id,
+        "email_verification",
+        EMAIL_VERIFICATION_TTL_MS
+      );
+      await MailService.sendVerificationEmail(user, token);
+
+      return res.status(200).json(response);
+    } catch (error) {
+      console.error("Error resending verification email:", error);
+      return res.status(500).json({ message: "Internal server error" });
+    }
+  }
+);
+
+// Request a password reset link
+router.post(
+  "/password-reset/request",
+  [body("email").isEmail().withMessage("Invalid email format")],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { email } = req.body;
+
+      // Same answer whether or not the account exists
+      const response = {
+        message:
+          "If an account with that email exists, a password reset link has been sent",
+      };
+
+      const user = await prisma.user.findUnique({
+        where: { email, deletedAt: null },
+        select: { id: true, email: true, username: true, name: true },
+      });
+
+      if (!user) {
+        return res.status(200).json(response);
+      }
+
+      // Don't let the endpoint be used to flood someone's inbox
+      const latestToken = await UserTokenService.getLatestToken(
+        user.id,
+        "password_reset"
+      );
+      if (
+        latestToken &&
+        Date.now() - latestToken.createdAt < PASSWORD_RESET_COOLDOWN_MS
+      ) {
+        return res.status(200).json(response);
+      }
+
+      const token = await UserTokenService.createToken(
+        user.id,
+        "password_reset",
+        PASSWORD_RESET_TTL_MS
+      );
+      await MailService.sendPasswordResetEmail(user, token);
+
+      return res.status(200).json(response);
+    } catch (error) {
+      console.error("Error requesting password reset:", error);
+      return res.status(500).json({ message: "Internal server error" });
+    }
+  }
+);
+
+// Set a new password using a reset token
+router.post(
+  "/password-reset/confirm",
+  [
+    body("token").notEmpty().withMessage("Reset token is required"),
+    body("password")
+      .isLength({ min: 6, max: 64 })
+      .withMessage("Password must be at least 6 characters long"),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { token, password } = req.body;
+
+      const resetToken = await UserTokenService.consumeToken(
+        token,
+        "password_reset"
+      );
+      if (!resetToken) {
+        return res
+          .status(400)
+          .json({ message: "Reset link is invalid or has expired" });
+      }
+
+      const user = await prisma.user.update({
+        where: { id: resetToken.userId },
+        data: {
+          password: await bcrypt.hash(password, 10),
+          tokenVersion: { increment: 1 },
+        },
+        select: { id: true, email: true, username: true, name: true },
+      });
+
+      // Whoever had the old password must not stay logged in
+      AuthStateService.invalidate(user.id);
+      await SessionService.revokeUserSessions(user.id, "password_reset");
+      await PersonalAccessTokenService.revokeUserTokens(user.id);
+      clearAuthTokens(req, res);
+
+      try {
+        await MailService.sendPasswordChangedEmail(user);
+      } catch (mailError) {
+        console.error("Error sending password changed email:", mailError);
+      }
+
+      return res.status(200).json({
+        message: "Password has been reset. Please login with your new password",
+      });
+    } catch (error) {
+      console.error("Error resetting password:", error);
+      return res.status(500).json({ message: "Internal server error" });
+    }
+  }
+);
+
+// Change the password of the current user
+router.post(
+  "/password-change",
+  [
+    body("currentPassword")
+      .notEmpty()
+      .withMessage("Current password is required"),
+    body("newPassword")
+      .isLength({ min: 6, max: 64 })
+      .withMessage("Password must be at least 6 characters long"),
+  ],
+  authentication,
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { currentPassword, newPassword } = req.body;
+      const userId = req.user.userId;
+
+      const user = await prisma.user.findUnique({
+        where: { id: userId },
+        select: {
+          id: true,
+          email: true,
+          username: true,
+          name: true,
+          password: true,
+        },
+      });
+
+      if (!(await verifyCurrentPassword(req, res, user, currentPassword))) {
+        return;
+      }
+
+      await prisma.user.update({
+        where: { id: userId },
+        data: {
+          password: await bcrypt.hash(newPassword, 10),
+          tokenVersion: { increment: 1 },
+        },
+      });
+      AuthStateService.invalidate(userId);
+
+      // Log out every other device and keep this one
+      await SessionService.revokeUserSessions(userId, "password_change", {
+        exceptSessionId: req.user.sid,
+      });
+      await PersonalAccessTokenService.revokeUserTokens(userId);
+      await UserTokenService.invalidateTokens(userId, "password_reset");
+      await reissueSessionTokens(req, res);
+
+      try {
+        await MailService.sendPasswordChangedEmail(user);
+      } catch (mailError) {
+        console.error("Error sending password changed email:", mailError);
+      }
+
+      return res.status(200).json({ message: "Password changed successfully" });
+    } catch (error) {
+      console.error("Error changing password:", error);
+      return res.status(500).json({ message: "Internal server error" });
+    }
+  }
+);
+
+// Request an email change. The new address must be confirmed before it
+// replaces the current one.
 router.post(
-  "/register",
-  uploadIdCard.single("idCard"),
+  "/email-change/request",
   [
-    body("username").notEmpty().withMessage("Username is required"),
-    body("email").isEmail().withMessage("Invalid email format"),
-    body("password")
-      .isLength({ min: 6, max: 64 })
-      .withMessage("Password must be at least 6 characters long"),
-    body("name").notEmpty().withMessage("Name is required"),
-    body("birthdate").notEmpty().withMessage("Birthdate is required"),
-    body("gender").notEmpty().withMessage("Gender is required"),
+    body("currentPassword")
+      .notEmpty()
+      .withMessage("Current password is required"),
+    body("newEmail").isEmail().withMessage("Invalid email format"),
   ],
+  authentication,
   async (req, res) => {
     try {
       const errors = validationResult(req);
       if (!errors.isEmpty()) {
         return res.status(400).json({ errors: errors.array() });
       }
-      const { username, email, password, name, bio, gender, birthdate } =
-        req.body;
-      const hashpassword = await bcrypt.hash(password, 10);
 
-      if (!req.file) {
-        return res.status(400).json({ message: "ID card is required" });
-      }
+      const { currentPassword, newEmail } = req.body;
+      const userId = req.user.userId;
 
-      const user = await prisma.user.create({
-        data: {
-          username,
-          email,
-          password: hashpassword,
-          name,
-          bio,
-          gender,
-          birthdate: new Date(birthdate),
-          idCard: req.file.filename,
+      const user = await prisma.user.findUnique({
+        where: { id: userId },
+        select: {
+          id: true,
+          email: true,
+          username: true,
+          name: true,
+          password: true,
         },
       });
 
-      if (!user) {
-        return res.status(500).json({ message: "User registration failed" });
-      } else {
-        return res.status(201).json({
-          message: "User registered successfully",
-          user: {
-            id: user.id,
-            username: user.username,
-            email: user.email,
-            name: user.name,
-            idCard: user.idCard,
-          },
+      if (!(await verifyCurrentPassword(req, res, user, currentPassword))) {
+        return;
+      }
+
+      if (newEmail.toLowerCase() === user.email.toLowerCase()) {
+        return res
+          .status(400)
+          .json({ message: "This is already your email address" });
+      }
+
+      const existingUser = await prisma.user.findUnique({
+        where: { email: newEmail },
+        select: { id: true },
+      });
+      if (existingUser) {
+        return res.status(400).json({ message: "Email already exists" });
+      }
+
+      const sentToday = await UserTokenService.countRecentTokens(
+        userId,
+        "email_change",
+        24 * 60 * 60 * 1000
+      );
+      if (sentToday >= EMAIL_VERIFICATION_DAILY_LIMIT) {
+        return res.status(429).json({
+          message: "Too many email change requests. Please try again tomorrow.",
         });
       }
+
+      const token = await UserTokenService.createToken(
+        userId,
+        "email_change",
+        EMAIL_CHANGE_TTL_MS,
+        { newEmail }
+      );
+      await MailService.sendEmailChangeEmail(user, newEmail, token);
+
+      return res.status(200).json({
+        message: "Please check your new email address to confirm the change",
+      });
     } catch (error) {
-      if (error.code === "P2002") {
+      console.error("Error requesting email change:", error);
+      return res.status(500).json({ message: "Internal server error" });
+    }
+  }
+);
+
+// Confirm a new email address using the link sent to it
+router.post(
+  "/email-change/confirm",
+  [body("token").notEmpty().withMessage("Confirmation token is required")],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const changeToken = await UserTokenService.consumeToken(
+        req.body.token,
+        "email_change"
+      );
+      if (!changeToken) {
         return res
           .status(400)
-          .json({ message: "Username or email already exists" });
+          .json({ message: "Confirmation link is invalid or has expired" });
       }
-      console.error("Error during registration:", error);
-      res.status(500).json({ message: "Internal server error" });
+
+      const { newEmail } = changeToken.payload;
+      const previous = await prisma.user.findUnique({
+        where: { id: changeToken.userId },
+        select: { email: true },
+      });
+
+      const user = await prisma.user.update({
+        where: { id: changeToken.userId },
+        data: { email: newEmail, emailVerifiedAt: new Date() },
+        select: { id: true, email: true, username: true, name: true },
+      });
+
+      try {
+        await MailService.sendEmailChangedEmail(user, {
+          oldEmail: previous.email,
+          newEmail,
+        });
+      } catch (mailError) {
+        console.error("Error sending email changed email:", mailError);
+      }
+
+      return res.status(200).json({
+        message: "Email address changed successfully",
+        email: user.email,
+      });
+    } catch (error) {
+      if (error.code === "P2002") {
+        return res.status(400).json({ message: "Email already exists" });
+      }
+      console.error("Error confirming email change:", error);
+      return res.status(500).json({ message: "Internal server error" });
     }
   }
 );
 
+// Delete the current user's account. It can be restored by logging in
+// during the grace period, after which it is purged.
 router.post(
-  "/login",
+  "/delete-account",
   [
-    body("usernameormail").notEmpty().withMessage("Username is required"),
-    body("password").notEmpty().withMessage("Password is required"),
+    body("currentPassword")
+      .notEmpty()
+      .withMessage("Current password is required"),
   ],
+  authentication,
   async (req, res) => {
     try {
       const errors = validationResult(req);
       if (!errors.isEmpty()) {
         return res.status(400).json({ errors: errors.array() });
       }
-      const { usernameormail, password } = req.body;
-      const user = await prisma.user.findFirst({
-        where: {
-          OR: [{ username: usernameormail }, { email: usernameormail }],
+
+      const user = await prisma.user.findUnique({
+        where: { id: req.user.userId },
+        select: {
+          id: true,
+          email: true,
+          username: true,
+          name: true,
+          password: true,
         },
       });
-      if (!user) {
-        return res.status(404).json({ message: "User/Email not found" });
+
+      if (
+        !(await verifyCurrentPassword(req, res, user, req.body.currentPassword))
+      ) {
+        return;
       }
-      const isPasswordValid = await bcrypt.compare(password, user.password);
-      if (!isPasswordValid) {
-        return res.status(401).json({ message: "Invalid credentials" });
-      } else {
-        // Prepare user data for token generation
-        const userData = {
-          id: user.id,
-          email: user.email,
-          username: user.username,
-          isAdmin: user.isAdmin,
-          isProUser: user.isProUser,
-        };
 
-        // Generate tokens using the helper functions
-        const token = generateAccessToken(userData);
-        const refreshToken = generateRefreshToken(userData);
-
-        // Set cookies with proper configuration
-        res.cookie("token", token, {
-          httpOnly: true,
-          // secure: process.env.NODE_ENV === "production",
-          secure: true,
-          // sameSite: process.env.NODE_ENV === "production" ? "none" : "strict",
-          sameSite: "none",
-          maxAge: 60 * 60 * 1000, // 15 minutes
-        });
+      const purgeAfter = await AccountDeletionService.scheduleDeletion(user.id);
+      clearAuthTokens(req, res);
 
-        res.cookie("refreshToken", refreshToken, {
-          httpOnly: true,
-          secure: true,
-          sameSite: "none",
-          maxAge: 7 * 24 * 60 * 60 * 1000, // 7 days
-        });
-        return res.status(200).json({ message: "Login successful" });
+      try {
+        await MailService.sendAccountDeletedEmail(user, { purgeAfter });
+      } catch (mailError) {
+        console.error("Error sending account deleted email:", mailError);
       }
+
+      return res.status(200).json({
+        message:
+          "Your account has been deleted. Log in again before the purge date to restore it.",
+        purgeAfter,
+      });
     } catch (error) {
-      console.error("Error during login:", error);
-      res.status(500).json({ message: "Internal server error" });
+      console.error("Error deleting account:", error);
+      return res.status(500).json({ message: "Internal server error" });
+    }
+  }
+);
+
+// Change the username of the current user. The old username keeps
+// redirecting to this account for a while and can't be taken by others.
+router.patch(
+  "/username",
+  [body("username").trim().notEmpty().withMessage("Username is required")],
+  authentication,
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const result = await UsernameService.changeUsername(
+        req.user.userId,
+        req.body.username
+      );
+
+      // The access token carries the username
+      await refreshAccessToken(req, res, req.user.mfa);
+
+      return res.status(200).json({
+        message: "Username changed successfully",
+        ...result,
+      });
+    } catch (error) {
+      if (error instanceof UsernameError) {
+        if (error.code === "USERNAME_COOLDOWN") {
+          res.set("Retry-After", String(Math.ceil(error.retryAfterMs / 1000)));
+          return res
+            .status(429)
+            .json({ message: error.message, code: error.code });
+        }
+        const status = error.code === "USERNAME_TAKEN" ? 409 : 400;
+        return res
+          .status(status)
+          .json({ message: error.message, code: error.code });
+      }
+      console.error("Error changing username:", error);
+      return res.status(500).json({ message: "Internal server error" });
     }
   }
 );
 
-router.post("/logout", (req, res) => {
+// Get the previous usernames of the current user
+router.get("/username/history", authentication, async (req, res) => {
   try {
-    clearAuthTokens(req, res);
-    return res.status(200).json({ message: "Logout successful" });
+    const history = await UsernameService.getHistory(req.user.userId);
+    return res.status(200).json({ history });
   } catch (error) {
-    console.error("Error during logout:", error);
+    console.error("Error fetching username history:", error);
     return res.status(500).json({ message: "Internal server error" });
   }
 });
@@ -162,6 +1214,8 @@ router.get("/me", authentication, async (req, res) => {
       },
       omit: {
         password: true,
+        twoFactorSecret: true,
+        twoFactorLastUsedStep: true,
         idCard: true,
       },
     });
@@ -174,6 +1228,184 @@ router.get("/me", authentication, async (req, res) => {
     return res.status(500).json({ message: "Internal server error" });
   }
 });
+// List the current user's active sessions (devices)
+router.get("/sessions", authentication, async (req, res) => {
+  try {
+    const sessions = await SessionService.getActiveSessions(req.user.userId);
+
+    return res.status(200).json({
+      sessions: sessions.map((session) => ({
+        ...session,
+        current: session.id === req.user.sid,
+      })),
+    });
+  } catch (error) {
+    console.error("Error fetching sessions:", error);
+    return res.status(500).json({ message: "Internal server error" });
+  }
+});
+
+// Log out every session except the current one
+router.delete("/sessions/others", authentication, async (req, res) => {
+  try {
+    const revokedCount = await SessionService.revokeUserSessions(
+      req.user.userId,
+      "revoked_by_user",
+      { exceptSessionId: req.user.sid }
+    );
+
+    return res.status(200).json({
+      message: "Logged out of all other sessions",
+      revokedCount,
+    });
+  } catch (error) {
+    console.error("Error revoking other sessions:", error);
+    return res.status(500).json({ message: "Internal server error" });
+  }
+});
+
+// Revoke a single session
+router.delete(
+  "/sessions/:sessionId",
+  [param("sessionId").notEmpty().withMessage("Session ID is required")],
+  authentication,
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { sessionId } = req.params;
+      const revokedCount = await SessionService.revokeSession(
+        sessionId,
+        "revoked_by_user",
+        req.user.userId // Users can only revoke their own sessions
+      );
+
+      if (revokedCount === 0) {
+        return res.status(404).json({ message: "Session not found" });
+      }
+
+      // Revoking the session in use is the same as logging out
+      if (sessionId === req.user.sid) {
+        clearAuthTokens(req, res);
+      }
+
+      return res.status(200).json({ message: "Session revoked successfully" });
+    } catch (error) {
+      console.error("Error revoking session:", error);
+      return res.status(500).json({ message: "Internal server error" });
+    }
+  }
+);
+
+// List the scopes personal access tokens can be granted
+router.get("/tokens/scopes", authentication, async (req, res) => {
+  return res.status(200).json({ scopes: PAT_SCOPES });
+});
+
+// List the current user's personal access tokens
+router.get("/tokens", authentication, async (req, res) => {
+  try {
+    const tokens = await PersonalAccessTokenService.getActiveTokens(
+      req.user.userId
+    );
+    return res.status(200).json({ tokens });
+  } catch (error) {
+    console.error("Error fetching access tokens:", error);
+    return res.status(500).json({ message: "Internal server error" });
+  }
+});
+
+// Create a personal access token. The token is only shown in this response.
+router.post(
+  "/tokens",
+  [
+    body("name")
+      .trim()
+      .isLength({ min: 1, max: 100 })
+      .withMessage("Name must be between 1 and 100 characters"),
+    body("scopes")
+      .isArray({ min: 1 })
+      .withMessage("At least one scope is required"),
+    body("scopes.*")
+      .isIn(PAT_SCOPES)
+      .withMessage(`Scopes must be one of: ${PAT_SCOPES.join(", ")}`),
+    body("expiresInDays")
+      .optional({ values: "null" })
+      .isInt({ min: 1, max: 365 })
+      .withMessage("expiresInDays must be between 1 and 365")
+      .toInt(),
+  ],
+  authentication,
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const userId = req.user.userId;
+      const { name, scopes, expiresInDays } = req.body;
+
+      const activeCount = await PersonalAccessTokenService.countActiveTokens(
+        userId
+      );
+      if (activeCount >= MAX_TOKENS_PER_USER) {
+        return res.status(400).json({
+          message: `You can have at most ${MAX_TOKENS_PER_USER} access tokens`,
+        });
+      }
+
+      const { token, record } = await PersonalAccessTokenService.createToken(
+        userId,
+        { name, scopes, expiresInDays }
+      );
+
+      return res.status(201).json({
+        message:
+          "Access token created. Copy it now, it will not be shown again.",
+        token,
+        accessToken: record,
+      });
+    } catch (error) {
+      console.error("Error creating access token:", error);
+      return res.status(500).json({ message: "Internal server error" });
+    }
+  }
+);
+
+// Revoke a personal access token
+router.delete(
+  "/tokens/:tokenId",
+  [param("tokenId").notEmpty().withMessage("Token ID is required")],
+  authentication,
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const revoked = await PersonalAccessTokenService.revokeToken(
+        req.user.userId,
+        req.params.tokenId
+      );
+      if (!revoked) {
+        return res.status(404).json({ message: "Access token not found" });
+      }
+
+      return res
+        .status(200)
+        .json({ message: "Access token revoked successfully" });
+    } catch (error) {
+      console.error("Error revoking access token:", error);
+      return res.status(500).json({ message: "Internal server error" });
+    }
+  }
+);
+
 router.get(
   "/check/:emailorusername",
   [
@@ -310,12 +1542,27 @@ router.get(
           gender: true,
           coverPicture: true,
           posts: {
-            where: { deletedAt: null },
+            where: {
+              deletedAt: null,
+              AND: [PostVisibilityService.visibleTo(req.user.userId)],
+            },
             select: {
               id: true,
               content: true,
               createdAt: true,
-              author: true,
+              isEdited: true,
+              editedAt: true,
+              sharedPostId: true,
+              linkPreviewId: true,
+              author: {
+                select: {
+                  id: true,
+                  username: true,
+                  name: true,
+                  profilePicture: true,
+                  isVerified: true,
+                },
+              },
               media: {
                 where: { deletedAt: null },
                 select: {
@@ -355,8 +1602,17 @@ router.get(
         },
       });
       if (!user) {
+        // Old handles keep working while they are held for their account
+        const resolved = await UsernameService.resolveUsername(username);
+        if (resolved) {
+          return res.redirect(
+            307,
+            `${req.baseUrl}/user/${encodeURIComponent(resolved.username)}`
+          );
+        }
         return res.status(404).json({ message: "User not found" });
       }
+      user.posts = await PostFeedService.present(user.posts, req.user.userId);
       return res.status(200).json(user);
     } catch (error) {
       console.error("Error fetching user by username:", error);
@@ -418,19 +1674,15 @@ router.get(
 
       const { username } = req.params;
 
-      const user = await prisma.user.findUnique({
-        where: {
-          username: username,
-          deletedAt: null,
-        },
-        select: { id: true, username: true },
-      });
+      // Also covers reserved names and old handles that are still held
+      const problem = await UsernameService.checkAvailability(username);
 
       return res.status(200).json({
-        exists: !!user,
+        exists: problem?.code === "USERNAME_TAKEN",
+        available: !problem,
         type: "username",
         value: username,
-        message: user ? "Username already exists" : "Username is available",
+        message: problem ? problem.message : "Username is available",
       });
     } catch (error) {
       console.error("Error checking username:", error);
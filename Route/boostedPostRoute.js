@@ -2,6 +2,7 @@ import express from "express";
 import prisma from "../config/prismaConfig.js";
 import { body, param, query, validationResult } from "express-validator";
 import { authentication } from "../middleware/authenticantion.js";
+import { PostVisibilityService } from "../services/postVisibilityService.js";
 
 const router = express.Router();
 
@@ -84,6 +85,8 @@ router.post(
           pageId: true,
           type: true,
           content: true,
+          audience: true,
+          status: true,
         },
       });
 
@@ -91,6 +94,19 @@ router.post(
         return res.status(404).json({ message: "Post not found" });
       }
 
+      if (post.status !== "published") {
+        return res
+          .status(400)
+          .json({ message: "Only published posts can be boosted" });
+      }
+
+      // Boosts are shown to everyone, so the post has to be public
+      if (post.audience !== "public") {
+        return res
+          .status(400)
+          .json({ message: "Only public posts can be boosted" });
+      }
+
       // Check if user owns the post (either as author or page owner)
       let canBoost = false;
 
@@ -224,6 +240,7 @@ router.get("/", async (req, res) => {
           deletedAt: null,
           post: {
             deletedAt: null,
+            AND: [PostVisibilityService.visibleTo(req.user.userId)],
           },
           OR: [{ endDate: null }, { endDate: { gt: new Date() } }],
         },
@@ -293,6 +310,7 @@ router.get("/", async (req, res) => {
           deletedAt: null,
           post: {
             deletedAt: null,
+            AND: [PostVisibilityService.visibleTo(req.user.userId)],
           },
           OR: [{ endDate: null }, { endDate: { gt: new Date() } }],
         },
@@ -2,6 +2,11 @@ import express from "express";
 import { body, param, validationResult } from "express-validator";
 import prisma from "../config/prismaConfig.js";
 import { NotificationService } from "../services/notificationService.js";
+import { PostVisibilityService } from "../services/postVisibilityService.js";
+import {
+  MentionService,
+  MENTIONS_INCLUDE,
+} from "../services/mentionService.js";
 
 const router = express.Router();
 
@@ -22,6 +27,18 @@ router.post(
       const { postId } = req.params;
       const userId = req.user.userId;
 
+      const post = await prisma.post.findFirst({
+        where: {
+          id: postId,
+          deletedAt: null,
+          AND: [PostVisibilityService.visibleTo(userId)],
+        },
+        select: { id: true, authorId: true, pageId: true, audience: true },
+      });
+      if (!post) {
+        return res.status(404).json({ message: "Post not found" });
+      }
+
       const comment = await prisma.comment.create({
         data: {
           content,
@@ -50,8 +67,14 @@ router.post(
         comment.id,
         content
       );
+      await MentionService.createCommentMentions(comment, post);
+
+      const mentions = await prisma.mention.findMany({
+        where: { commentId: comment.id },
+        ...MENTIONS_INCLUDE,
+      });
 
-      res.status(201).json(comment);
+      res.status(201).json({ ...comment, mentions });
     } catch (error) {
       console.error("Error creating comment:", error);
       res.status(500).json({ message: "Internal server error" });
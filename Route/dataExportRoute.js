@@ -0,0 +1,118 @@
+import express from "express";
+import { param, validationResult } from "express-validator";
+import { authentication } from "../middleware/authenticantion.js";
+import {
+  DataExportService,
+  DataExportError,
+} from "../services/dataExportService.js";
+import { runDataExportWorker } from "../services/dataExportWorker.js";
+
+const router = express.Router();
+
+// Request a new export of the current user's data
+router.post("/", authentication, async (req, res) => {
+  try {
+    const dataExport = await DataExportService.requestExport(req.user.userId);
+
+    // Start right away instead of waiting for the next worker run
+    runDataExportWorker();
+
+    return res.status(202).json({
+      message: "Your data export is being prepared",
+      export: dataExport,
+    });
+  } catch (error) {
+    if (error instanceof DataExportError) {
+      if (error.retryAfterMs) {
+        res.set("Retry-After", String(Math.ceil(error.retryAfterMs / 1000)));
+      }
+      return res.status(error.code === "EXPORT_COOLDOWN" ? 429 : 409).json({
+        message: error.message,
+        code: error.code,
+        ...(error.exportId && { exportId: error.exportId }),
+      });
+    }
+    console.error("Error requesting data export:", error);
+    return res.status(500).json({ message: "Internal server error" });
+  }
+});
+
+// List the current user's exports
+router.get("/", authentication, async (req, res) => {
+  try {
+    const exports = await DataExportService.getExports(req.user.userId);
+    return res.status(200).json({ exports });
+  } catch (error) {
+    console.error("Error fetching data exports:", error);
+    return res.status(500).json({ message: "Internal server error" });
+  }
+});
+
+// Get the status of an export (poll until it is completed)
+router.get(
+  "/:exportId",
+  [param("exportId").notEmpty().withMessage("Export ID is required")],
+  authentication,
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const dataExport = await DataExportService.getExport(
+        req.user.userId,
+        req.params.exportId
+      );
+      if (!dataExport) {
+        return res.status(404).json({ message: "Export not found" });
+      }
+
+      return res.status(200).json({
+        export: dataExport,
+        downloadReady: !!DataExportService.getDownloadPath(dataExport),
+      });
+    } catch (error) {
+      console.error("Error fetching data export:", error);
+      return res.status(500).json({ message: "Internal server error" });
+    }
+  }
+);
+
+// Download the archive of a completed export
+router.get(
+  "/:exportId/download",
+  [param("exportId").notEmpty().withMessage("Export ID is required")],
+  authentication,
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const dataExport = await DataExportService.getExport(
+        req.user.userId,
+        req.params.exportId
+      );
+      if (!dataExport) {
+        return res.status(404).json({ message: "Export not found" });
+      }
+
+      const archivePath = DataExportService.getDownloadPath(dataExport);
+      if (!archivePath) {
+        return res
+          .status(409)
+          .json({ message: "Export is not ready or has expired" });
+      }
+
+      const date = dataExport.createdAt.toISOString().slice(0, 10);
+      return res.download(archivePath, `lsmedia-data-${date}.zip`);
+    } catch (error) {
+      console.error("Error downloading data export:", error);
+      return res.status(500).json({ message: "Internal server error" });
+    }
+  }
+);
+
+export { router as dataExportRoute };
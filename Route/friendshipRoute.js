@@ -3,6 +3,11 @@ import { body, query, param, validationResult } from "express-validator";
 import prisma from "../config/prismaConfig.js";
 import { authentication } from "../middleware/authenticantion.js";
 import { NotificationService } from "../services/notificationService.js";
+import {
+  CursorPaginationService,
+  CursorError,
+  CURSOR_ORDER_BY,
+} from "../services/cursorPaginationService.js";
 
 const router = express.Router();
 
@@ -1374,6 +1379,10 @@ router.get(
       .optional()
       .isInt({ min: 1 })
       .withMessage("Page must be a positive integer"),
+    query("cursor")
+      .optional()
+      .isString()
+      .withMessage("Cursor must be a string"),
     query("limit")
       .optional()
       .isInt({ min: 1, max: 100 })
@@ -1387,9 +1396,8 @@ router.get(
       }
 
       const targetUserId = req.params.userId;
-      const page = parseInt(req.query.page) || 1;
       const limit = parseInt(req.query.limit) || 20;
-      const skip = (page - 1) * limit;
+      const paging = CursorPaginationService.fromQuery(req.query, limit);
 
       // Check if target user exists
       const targetUser = await prisma.user.findUnique({
@@ -1407,9 +1415,9 @@ router.get(
       }
 
       // Get followers
-      const [followers, totalFollowers] = await Promise.all([
+      const [rows, totalFollowers] = await Promise.all([
         prisma.follower.findMany({
-          where: { followingId: targetUserId },
+          where: { followingId: targetUserId, ...paging.where },
           include: {
             follower: {
               select: {
@@ -1421,14 +1429,21 @@ router.get(
               },
             },
           },
-          orderBy: { createdAt: "desc" },
-          skip,
-          take: limit,
-        }),
-        prisma.follower.count({
-          where: { followingId: targetUserId },
+          orderBy: CURSOR_ORDER_BY,
+          skip: paging.skip,
+          take: paging.take,
         }),
+        paging.isCursor
+          ? null
+          : prisma.follower.count({
+              where: { followingId: targetUserId },
+            }),
       ]);
+      const {
+        items: followers,
+        hasMore,
+        nextCursor,
+      } = CursorPaginationService.getPage(rows, paging, totalFollowers);
 
       const followersData = followers.map((f) => ({
         ...f.follower,
@@ -1438,14 +1453,22 @@ router.get(
       return res.status(200).json({
         user: targetUser,
         followers: followersData,
-        pagination: {
-          currentPage: page,
-          totalPages: Math.ceil(totalFollowers / limit),
-          totalFollowers,
-          hasMore: skip + followers.length < totalFollowers,
-        },
+        pagination: paging.isCursor
+          ? { hasMore, nextCursor }
+          : {
+              currentPage: paging.page,
+              totalPages: Math.ceil(totalFollowers / limit),
+              totalFollowers,
+              hasMore,
+              nextCursor,
+            },
       });
     } catch (error) {
+      if (error instanceof CursorError) {
+        return res
+          .status(400)
+          .json({ message: error.message, code: error.code });
+      }
       console.error("Error fetching followers:", error);
       return res.status(500).json({ message: "Internal server error" });
     }
@@ -1461,6 +1484,10 @@ router.get(
       .optional()
       .isInt({ min: 1 })
       .withMessage("Page must be a positive integer"),
+    query("cursor")
+      .optional()
+      .isString()
+      .withMessage("Cursor must be a string"),
     query("limit")
       .optional()
       .isInt({ min: 1, max: 100 })
@@ -1474,9 +1501,8 @@ router.get(
       }
 
       const targetUserId = req.params.userId;
-      const page = parseInt(req.query.page) || 1;
       const limit = parseInt(req.query.limit) || 20;
-      const skip = (page - 1) * limit;
+      const paging = CursorPaginationService.fromQuery(req.query, limit);
 
       // Check if target user exists
       const targetUser = await prisma.user.findUnique({
@@ -1494,9 +1520,9 @@ router.get(
       }
 
       // Get following
-      const [following, totalFollowing] = await Promise.all([
+      const [rows, totalFollowing] = await Promise.all([
         prisma.follower.findMany({
-          where: { followerId: targetUserId },
+          where: { followerId: targetUserId, ...paging.where },
           include: {
             following: {
               select: {
@@ -1508,14 +1534,21 @@ router.get(
               },
             },
           },
-          orderBy: { createdAt: "desc" },
-          skip,
-          take: limit,
-        }),
-        prisma.follower.count({
-          where: { followerId: targetUserId },
+          orderBy: CURSOR_ORDER_BY,
+          skip: paging.skip,
+          take: paging.take,
         }),
+        paging.isCursor
+          ? null
+          : prisma.follower.count({
+              where: { followerId: targetUserId },
+            }),
       ]);
+      const {
+        items: following,
+        hasMore,
+        nextCursor,
+      } = CursorPaginationService.getPage(rows, paging, totalFollowing);
 
       const followingData = following.map((f) => ({
         ...f.following,
@@ -1525,14 +1558,22 @@ router.get(
       return res.status(200).json({
         user: targetUser,
         following: followingData,
-        pagination: {
-          currentPage: page,
-          totalPages: Math.ceil(totalFollowing / limit),
-          totalFollowing,
-          hasMore: skip + following.length < totalFollowing,
-        },
+        pagination: paging.isCursor
+          ? { hasMore, nextCursor }
+          : {
+              currentPage: paging.page,
+              totalPages: Math.ceil(totalFollowing / limit),
+              totalFollowing,
+              hasMore,
+              nextCursor,
+            },
       });
     } catch (error) {
+      if (error instanceof CursorError) {
+        return res
+          .status(400)
+          .json({ message: error.message, code: error.code });
+      }
       console.error("Error fetching following:", error);
       return res.status(500).json({ message: "Internal server error" });
     }
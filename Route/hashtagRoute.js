@@ -0,0 +1,188 @@
+import express from "express";
+import { param, query, validationResult } from "express-validator";
+import prisma from "../config/prismaConfig.js";
+import { authentication } from "../middleware/authenticantion.js";
+import {
+  HashtagService,
+  TRENDING_WINDOWS_MS,
+} from "../services/hashtagService.js";
+import { PostVisibilityService } from "../services/postVisibilityService.js";
+import { SHARE_COUNT_FILTER } from "../services/postShareService.js";
+import { PostFeedService } from "../services/postFeedService.js";
+import { MENTIONS_INCLUDE } from "../services/mentionService.js";
+
+const router = express.Router();
+
+// Get trending hashtags over the last day or week
+router.get(
+  "/trending",
+  [
+    query("window")
+      .optional()
+      .isIn(Object.keys(TRENDING_WINDOWS_MS))
+      .withMessage("Window must be day or week"),
+    query("limit")
+      .optional()
+      .isInt({ min: 1, max: 50 })
+      .withMessage("Limit must be between 1 and 50"),
+  ],
+  authentication,
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const window = req.query.window || "day";
+      const limit = parseInt(req.query.limit) || 10;
+
+      const hashtags = await HashtagService.getTrending(window, limit);
+
+      return res.status(200).json({ hashtags, window });
+    } catch (error) {
+      console.error("Error fetching trending hashtags:", error);
+      return res.status(500).json({ message: "Internal server error" });
+    }
+  }
+);
+
+// Get a hashtag
+router.get(
+  "/:name",
+  [param("name").notEmpty().withMessage("Hashtag is required")],
+  authentication,
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const hashtag = await HashtagService.getHashtag(
+        req.params.name,
+        PostVisibilityService.visibleTo(req.user.userId)
+      );
+      if (!hashtag) {
+        return res.status(404).json({ message: "Hashtag not found" });
+      }
+
+      return res.status(200).json({ hashtag });
+    } catch (error) {
+      console.error("Error fetching hashtag:", error);
+      return res.status(500).json({ message: "Internal server error" });
+    }
+  }
+);
+
+// Get the posts of a hashtag, newest first
+router.get(
+  "/:name/posts",
+  [
+    param("name").notEmpty().withMessage("Hashtag is required"),
+    query("page")
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage("Page must be a positive integer"),
+    query("limit")
+      .optional()
+      .isInt({ min: 1, max: 50 })
+      .withMessage("Limit must be between 1 and 50"),
+  ],
+  authentication,
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const name = HashtagService.normalize(req.params.name);
+      if (!name) {
+        return res.status(404).json({ message: "Hashtag not found" });
+      }
+
+      const page = parseInt(req.query.page) || 1;
+      const limit = parseInt(req.query.limit) || 10;
+      const skip = (page - 1) * limit;
+
+      const where = {
+        deletedAt: null,
+        hashtags: { some: { hashtag: { name } } },
+        AND: [PostVisibilityService.visibleTo(req.user.userId)],
+      };
+
+      const [posts, total] = await Promise.all([
+        prisma.post.findMany({
+          where,
+          skip,
+          take: limit,
+          orderBy: { createdAt: "desc" },
+          include: {
+            mentions: MENTIONS_INCLUDE,
+            media: {
+              where: {
+                deletedAt: null,
+              },
+            },
+            author: {
+              select: {
+                id: true,
+                username: true,
+                name: true,
+                profilePicture: true,
+                isVerified: true,
+              },
+            },
+            page: {
+              select: {
+                id: true,
+                name: true,
+                profileImage: true,
+                isVerified: true,
+              },
+            },
+            _count: {
+              select: {
+                comments: {
+                  where: {
+                    deletedAt: null,
+                    user: {
+                      deletedAt: null,
+                    },
+                  },
+                },
+                reactions: {
+                  where: {
+                    deletedAt: null,
+                    user: {
+                      deletedAt: null,
+                    },
+                  },
+                },
+                shares: SHARE_COUNT_FILTER,
+              },
+            },
+          },
+        }),
+        prisma.post.count({ where }),
+      ]);
+
+      return res.status(200).json({
+        hashtag: name,
+        posts: await PostFeedService.present(posts, req.user.userId),
+        pagination: {
+          currentPage: page,
+          totalPages: Math.ceil(total / limit),
+          totalPosts: total,
+          hasMore: skip + posts.length < total,
+        },
+      });
+    } catch (error) {
+      console.error("Error fetching hashtag posts:", error);
+      return res.status(500).json({ message: "Internal server error" });
+    }
+  }
+);
+
+export { router as hashtagRoute };
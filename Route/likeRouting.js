@@ -2,6 +2,7 @@ import express from "express";
 import { body, param, validationResult } from "express-validator";
 import prisma from "../config/prismaConfig.js";
 import { NotificationService } from "../services/notificationService.js";
+import { PostVisibilityService } from "../services/postVisibilityService.js";
 const router = express.Router();
 
 router.post(
@@ -23,6 +24,10 @@ router.post(
       const { type } = req.body;
       const userId = req.user.userId;
 
+      if (!(await PostVisibilityService.canView(postId, userId))) {
+        return res.status(404).json({ message: "Post not found" });
+      }
+
       const existing = await prisma.reaction.findUnique({
         where: {
           userId_postId: {
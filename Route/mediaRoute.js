@@ -0,0 +1,80 @@
+import express from "express";
+import { query, validationResult } from "express-validator";
+import { MediaUrlService, UPLOADS_DIR } from "../services/mediaUrlService.js";
+
+const router = express.Router();
+
+// Serve an uploaded file through a signed URL. Supports range requests, so
+// videos can be streamed and seeked.
+router.get(
+  "/*uploadPath",
+  [
+    query("exp").isInt().withMessage("Expiry is required"),
+    query("sig").notEmpty().withMessage("Signature is required"),
+    query("viewer").optional().isString(),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const uploadPath = MediaUrlService.resolveUploadPath(
+        req.params.uploadPath.join("/")
+      );
+      if (
+        !uploadPath ||
+        !MediaUrlService.verify(
+          uploadPath,
+          req.query.exp,
+          req.query.sig,
+          req.query.viewer
+        )
+      ) {
+        return res
+          .status(403)
+          .json({ message: "Media link is invalid or has expired" });
+      }
+
+      // The post or account may have been deleted, or the post's audience
+      // changed, since the URL was issued
+      if (
+        !(await MediaUrlService.canServe(uploadPath, req.query.viewer || null))
+      ) {
+        return res.status(404).json({ message: "Media not found" });
+      }
+
+      const maxAge = Math.max(
+        0,
+        Number(req.query.exp) - Math.floor(Date.now() / 1000)
+      );
+
+      return res.sendFile(
+        uploadPath,
+        {
+          root: UPLOADS_DIR,
+          dotfiles: "deny",
+          cacheControl: false,
+          headers: {
+            "Cache-Control": `private, max-age=${maxAge}`,
+            "X-Content-Type-Options": "nosniff",
+          },
+        },
+        (error) => {
+          if (!error || res.headersSent) return;
+          if (error.status === 404) {
+            return res.status(404).json({ message: "Media not found" });
+          }
+          console.error("Error sending media:", error);
+          res.status(500).json({ message: "Internal server error" });
+        }
+      );
+    } catch (error) {
+      console.error("Error serving media:", error);
+      return res.status(500).json({ message: "Internal server error" });
+    }
+  }
+);
+
+export { router as mediaRoute };
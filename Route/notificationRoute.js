@@ -2,6 +2,10 @@ import express from "express";
 import { query, body, param, validationResult } from "express-validator";
 import { authentication } from "../middleware/authenticantion.js";
 import { NotificationService } from "../services/notificationService.js";
+import {
+  CursorPaginationService,
+  CursorError,
+} from "../services/cursorPaginationService.js";
 import prisma from "../config/prismaConfig.js";
 
 const router = express.Router();
@@ -14,6 +18,10 @@ router.get(
       .optional()
       .isInt({ min: 1 })
       .withMessage("Page must be a positive integer"),
+    query("cursor")
+      .optional()
+      .isString()
+      .withMessage("Cursor must be a string"),
     query("limit")
       .optional()
       .isInt({ min: 1, max: 50 })
@@ -32,19 +40,23 @@ router.get(
       }
 
       const userId = req.user.userId;
-      const page = parseInt(req.query.page) || 1;
       const limit = parseInt(req.query.limit) || 20;
       const unreadOnly = req.query.unreadOnly === "true";
+      const paging = CursorPaginationService.fromQuery(req.query, limit);
 
       const result = await NotificationService.getUserNotifications(
         userId,
-        page,
-        limit,
-        unreadOnly
+        paging,
+        { unreadOnly }
       );
 
       return res.status(200).json(result);
     } catch (error) {
+      if (error instanceof CursorError) {
+        return res
+          .status(400)
+          .json({ message: error.message, code: error.code });
+      }
       console.error("Error fetching notifications:", error);
       return res.status(500).json({ message: "Internal server error" });
     }
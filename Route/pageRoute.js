@@ -2,9 +2,27 @@ import express from "express";
 import { body, query, param, validationResult, check } from "express-validator";
 import prisma from "../config/prismaConfig.js";
 import { authentication } from "../middleware/authenticantion.js";
-import { upload, uploadPostMedia } from "../config/multer.js";
+import {
+  upload,
+  uploadPostMedia,
+  discardUploadsOnFailure,
+  MAX_POST_MEDIA,
+} from "../config/multer.js";
 import { NotificationService } from "../services/notificationService.js";
 import { SoftDeleteService } from "../services/softDeleteService.js";
+import {
+  PostSchedulingService,
+  PostScheduleError,
+} from "../services/postSchedulingService.js";
+import { PostContentService } from "../services/postContentService.js";
+import { PostFeedService } from "../services/postFeedService.js";
+import { PollService, PollError } from "../services/pollService.js";
+import {
+  CursorPaginationService,
+  CursorError,
+  CURSOR_ORDER_BY,
+} from "../services/cursorPaginationService.js";
+import { MENTIONS_INCLUDE } from "../services/mentionService.js";
 
 const router = express.Router();
 
@@ -251,7 +269,7 @@ router.get("/followed", authentication, async (req, res) => {
             select: {
               followers: true,
               members: true,
-              posts: true,
+              posts: { where: { status: "published" } },
             },
           },
         },
@@ -344,7 +362,7 @@ router.get(
               select: {
                 members: true,
                 followers: true,
-                posts: true,
+                posts: { where: { status: "published" } },
               },
             },
           },
@@ -530,7 +548,7 @@ router.post(
                 },
               },
               followers: true,
-              posts: true,
+              posts: { where: { status: "published" } },
             },
           },
         },
@@ -620,7 +638,7 @@ router.get(
                 },
               },
               followers: true,
-              posts: true,
+              posts: { where: { status: "published" } },
             },
           },
         },
@@ -1390,7 +1408,8 @@ router.post(
     param("pageId").notEmpty().withMessage("Page ID is required"),
     body("content").optional().trim(),
   ],
-  uploadPostMedia.array("media", 10),
+  discardUploadsOnFailure,
+  uploadPostMedia.array("media", MAX_POST_MEDIA),
   async (req, res) => {
     try {
       const errors = validationResult(req);
@@ -1403,10 +1422,14 @@ router.post(
       const userId = req.user.userId;
       const uploadedFiles = req.files;
 
-      // Validate that at least content or media is provided
-      if (!content && (!uploadedFiles || uploadedFiles.length === 0)) {
+      // Validate that at least content, media or a poll is provided
+      if (
+        !content &&
+        !req.body.poll &&
+        (!uploadedFiles || uploadedFiles.length === 0)
+      ) {
         return res.status(400).json({
-          message: "Post must have either content or media",
+          message: "Post must have content, media or a poll",
         });
       }
 
@@ -1440,6 +1463,11 @@ router.post(
         });
       }
 
+      const publishAt = PostSchedulingService.parsePublishAt(
+        req.body.publishAt
+      );
+      const poll = PollService.parsePoll(req.body.poll, publishAt);
+
       // Create post with media
       const post = await prisma.post.create({
         data: {
@@ -1447,6 +1475,8 @@ router.post(
           pageId,
           type: "page",
           authorId: userId,
+          ...(publishAt ? { status: "scheduled", publishAt } : {}),
+          ...(poll ? { poll: { create: poll } } : {}),
           // Handle uploaded media files
           ...(uploadedFiles && uploadedFiles.length > 0
             ? {
@@ -1472,6 +1502,8 @@ router.post(
           author: {
             omit: {
               password: true,
+              twoFactorSecret: true,
+              twoFactorLastUsedStep: true,
               email: true,
             },
           },
@@ -1485,12 +1517,22 @@ router.post(
         },
       });
 
+      post.mentions = await PostContentService.syncPost(post.id);
+      const [created] = await PollService.attachPolls([post], userId);
+
       return res.status(201).json({
-        message: "Post created successfully",
-        post,
+        message: publishAt
+          ? "Post scheduled successfully"
+          : "Post created successfully",
+        post: created,
         mediaCount: uploadedFiles ? uploadedFiles.length : 0,
       });
     } catch (error) {
+      if (error instanceof PostScheduleError || error instanceof PollError) {
+        return res
+          .status(400)
+          .json({ message: error.message, code: error.code });
+      }
       console.error("Error creating page posts:", error);
       return res.status(500).json({ message: "Internal server error" });
     }
@@ -1606,7 +1648,7 @@ router.patch(
             select: {
               members: true,
               followers: true,
-              posts: true,
+              posts: { where: { status: "published" } },
             },
           },
         },
@@ -1664,9 +1706,11 @@ router.get(
         where: {
           pageId: pageId,
           type: "page",
+          status: "published",
           deletedAt: null,
         },
         include: {
+          mentions: MENTIONS_INCLUDE,
           page: {
             select: {
               id: true,
@@ -1678,6 +1722,8 @@ router.get(
           author: {
             omit: {
               password: true,
+              twoFactorSecret: true,
+              twoFactorLastUsedStep: true,
               email: true,
             },
           },
@@ -1723,11 +1769,12 @@ router.get(
         where: {
           pageId: pageId,
           type: "page",
+          status: "published",
         },
       });
 
       return res.status(200).json({
-        posts,
+        posts: await PostFeedService.present(posts, req.user.userId),
         pagination: {
           currentPage: page,
           totalPages: Math.ceil(totalPosts / limit),
@@ -1751,6 +1798,10 @@ router.get(
       .optional()
       .isInt({ min: 1 })
       .withMessage("Page must be a positive integer"),
+    query("cursor")
+      .optional()
+      .isString()
+      .withMessage("Cursor must be a string"),
     query("limit")
       .optional()
       .isInt({ min: 1, max: 100 })
@@ -1764,9 +1815,8 @@ router.get(
       }
 
       const { pageId } = req.params;
-      const page = parseInt(req.query.page) || 1;
       const limit = parseInt(req.query.limit) || 20;
-      const skip = (page - 1) * limit;
+      const paging = CursorPaginationService.fromQuery(req.query, limit);
 
       // Check if page exists
       const pageExists = await prisma.page.findUnique({
@@ -1779,8 +1829,8 @@ router.get(
       }
 
       // Get followers
-      const followers = await prisma.pageFollower.findMany({
-        where: { pageId },
+      const rows = await prisma.pageFollower.findMany({
+        where: { pageId, ...paging.where },
         include: {
           user: {
             select: {
@@ -1792,29 +1842,45 @@ router.get(
             },
           },
         },
-        orderBy: { createdAt: "desc" },
-        skip,
-        take: limit,
+        orderBy: CURSOR_ORDER_BY,
+        skip: paging.skip,
+        take: paging.take,
       });
 
-      // Get total count
-      const totalFollowers = await prisma.pageFollower.count({
-        where: { pageId },
-      });
+      // Get total count (cursor pages don't need it)
+      const totalFollowers = paging.isCursor
+        ? null
+        : await prisma.pageFollower.count({
+            where: { pageId },
+          });
+
+      const {
+        items: followers,
+        hasMore,
+        nextCursor,
+      } = CursorPaginationService.getPage(rows, paging, totalFollowers);
 
       return res.status(200).json({
         followers: followers.map((f) => ({
           ...f.user,
           followedAt: f.createdAt,
         })),
-        pagination: {
-          currentPage: page,
-          totalPages: Math.ceil(totalFollowers / limit),
-          totalFollowers,
-          hasMore: skip + followers.length < totalFollowers,
-        },
+        pagination: paging.isCursor
+          ? { hasMore, nextCursor }
+          : {
+              currentPage: paging.page,
+              totalPages: Math.ceil(totalFollowers / limit),
+              totalFollowers,
+              hasMore,
+              nextCursor,
+            },
       });
     } catch (error) {
+      if (error instanceof CursorError) {
+        return res
+          .status(400)
+          .json({ message: error.message, code: error.code });
+      }
       console.error("Error fetching page followers:", error);
       return res.status(500).json({ message: "Internal server error" });
     }
@@ -1830,6 +1896,10 @@ router.get(
       .optional()
       .isInt({ min: 1 })
       .withMessage("Page must be a positive integer"),
+    query("cursor")
+      .optional()
+      .isString()
+      .withMessage("Cursor must be a string"),
     query("limit")
       .optional()
       .isInt({ min: 1, max: 100 })
@@ -1843,9 +1913,8 @@ router.get(
       }
 
       const { pageId } = req.params;
-      const page = parseInt(req.query.page) || 1;
       const limit = parseInt(req.query.limit) || 20;
-      const skip = (page - 1) * limit;
+      const paging = CursorPaginationService.fromQuery(req.query, limit);
 
       // Check if page exists
       const pageExists = await prisma.page.findUnique({
@@ -1858,10 +1927,11 @@ router.get(
       }
 
       // Get members (only accepted by default)
-      const members = await prisma.pageMember.findMany({
+      const rows = await prisma.pageMember.findMany({
         where: {
           pageId,
           status: "accepted",
+          ...paging.where,
         },
         include: {
           user: {
@@ -1874,21 +1944,33 @@ router.get(
             },
           },
         },
-        orderBy: [
-          { role: "desc" }, // Show owners/admins/moderators first
-          { createdAt: "desc" },
-        ],
-        skip,
-        take: limit,
+        // Cursors are keyed on the join date, so cursor pages are sorted
+        // by it alone
+        orderBy: paging.isCursor
+          ? CURSOR_ORDER_BY
+          : [
+              { role: "desc" }, // Show owners/admins/moderators first
+              { createdAt: "desc" },
+            ],
+        skip: paging.skip,
+        take: paging.take,
       });
 
-      // Get total count of accepted members
-      const totalMembers = await prisma.pageMember.count({
-        where: {
-          pageId,
-          status: "accepted",
-        },
-      });
+      // Get total count of accepted members (cursor pages don't need it)
+      const totalMembers = paging.isCursor
+        ? null
+        : await prisma.pageMember.count({
+            where: {
+              pageId,
+              status: "accepted",
+            },
+          });
+
+      const {
+        items: members,
+        hasMore,
+        nextCursor,
+      } = CursorPaginationService.getPage(rows, paging, totalMembers);
 
       return res.status(200).json({
         members: members.map((m) => ({
@@ -1897,14 +1979,21 @@ router.get(
           status: m.status,
           joinedAt: m.createdAt,
         })),
-        pagination: {
-          currentPage: page,
-          totalPages: Math.ceil(totalMembers / limit),
-          totalMembers,
-          hasMore: skip + members.length < totalMembers,
-        },
+        pagination: paging.isCursor
+          ? { hasMore, nextCursor }
+          : {
+              currentPage: paging.page,
+              totalPages: Math.ceil(totalMembers / limit),
+              totalMembers,
+              hasMore,
+            },
       });
     } catch (error) {
+      if (error instanceof CursorError) {
+        return res
+          .status(400)
+          .json({ message: error.message, code: error.code });
+      }
       console.error("Error fetching page members:", error);
       return res.status(500).json({ message: "Internal server error" });
     }
@@ -1974,7 +2063,7 @@ router.get(
             select: {
               members: true,
               followers: true,
-              posts: true,
+              posts: { where: { status: "published" } },
             },
           },
         },
@@ -2105,7 +2194,7 @@ router.get(
               select: {
                 members: true,
                 followers: true,
-                posts: true,
+                posts: { where: { status: "published" } },
               },
             },
           },
@@ -2216,7 +2305,7 @@ router.get("/categories", async (req, res) => {
 router.post(
   "/:pageId/upload-media",
   authentication,
-  uploadPostMedia.array("media", 10),
+  uploadPostMedia.array("media", MAX_POST_MEDIA),
   async (req, res) => {
     try {
       const { pageId } = req.params;
@@ -1,15 +1,53 @@
 import express from "express";
 import prisma from "../config/prismaConfig.js";
-import { param, query, validationResult } from "express-validator";
+import { body, param, query, validationResult } from "express-validator";
 import { authentication } from "../middleware/authenticantion.js";
-import { uploadPostMedia } from "../config/multer.js";
+import { hasPermission } from "../middleware/authorization.js";
+import { PERMISSIONS } from "../config/permissions.js";
+import {
+  uploadPostMedia,
+  discardUploadsOnFailure,
+  MAX_POST_MEDIA,
+} from "../config/multer.js";
 import { SoftDeleteService } from "../services/softDeleteService.js";
+import { UsernameService } from "../services/usernameService.js";
+import {
+  PostRevisionService,
+  PostEditError,
+} from "../services/postRevisionService.js";
+import {
+  PostVisibilityService,
+  PostAudienceError,
+} from "../services/postVisibilityService.js";
+import {
+  PostSchedulingService,
+  PostScheduleError,
+} from "../services/postSchedulingService.js";
+import {
+  PostDraftService,
+  PostDraftError,
+} from "../services/postDraftService.js";
+import {
+  PostShareService,
+  PostShareError,
+  SHARE_COUNT_FILTER,
+} from "../services/postShareService.js";
+import { PostFeedService } from "../services/postFeedService.js";
+import { PollService, PollError } from "../services/pollService.js";
+import {
+  CursorPaginationService,
+  CursorError,
+  CURSOR_ORDER_BY,
+} from "../services/cursorPaginationService.js";
+import { PostContentService } from "../services/postContentService.js";
+import { MENTIONS_INCLUDE } from "../services/mentionService.js";
 const router = express.Router();
 
 router.post(
   "/",
   authentication,
-  uploadPostMedia.array("media", 10),
+  discardUploadsOnFailure,
+  uploadPostMedia.array("media", MAX_POST_MEDIA),
   async (req, res) => {
     try {
       const { content, pageId, type } = req.body;
@@ -30,10 +68,14 @@ router.post(
           .json({ message: "Invalid post type. Must be 'user' or 'page'" });
       }
 
-      // Validate that there's either content or media
-      if (!content && (!uploadedFiles || uploadedFiles.length === 0)) {
+      // Validate that there's content, media or a poll
+      if (
+        !content &&
+        !req.body.poll &&
+        (!uploadedFiles || uploadedFiles.length === 0)
+      ) {
         return res.status(400).json({
-          message: "Post must have either content or media",
+          message: "Post must have content, media or a poll",
         });
       }
 
@@ -65,11 +107,39 @@ router.post(
         }
       }
 
+      const publishAt = PostSchedulingService.parsePublishAt(
+        req.body.publishAt
+      );
+      const poll = PollService.parsePoll(req.body.poll, publishAt);
+
+      const { audience, memberIds } =
+        await PostVisibilityService.resolveAudience(authorId, {
+          audience: req.body.audience,
+          audienceUserIds: [].concat(req.body.audienceUserIds || []),
+          postType,
+        });
+
       const data = {
         content,
         type: postType,
+        audience,
       };
 
+      if (publishAt) {
+        data.status = "scheduled";
+        data.publishAt = publishAt;
+      }
+
+      if (poll) {
+        data.poll = { create: poll };
+      }
+
+      if (memberIds.length > 0) {
+        data.audienceMembers = {
+          create: memberIds.map((userId) => ({ userId })),
+        };
+      }
+
       // Set author or page based on post type
       if (postType === "page") {
         data.pageId = pageId;
@@ -122,12 +192,26 @@ router.post(
         },
       });
 
+      post.mentions = await PostContentService.syncPost(post.id);
+      const [created] = await PollService.attachPolls([post], authorId);
+
       res.status(201).json({
-        message: "Post created successfully",
-        post,
+        message: publishAt
+          ? "Post scheduled successfully"
+          : "Post created successfully",
+        post: created,
         mediaCount: uploadedFiles ? uploadedFiles.length : 0,
       });
     } catch (error) {
+      if (
+        error instanceof PostAudienceError ||
+        error instanceof PostScheduleError ||
+        error instanceof PollError
+      ) {
+        return res
+          .status(400)
+          .json({ message: error.message, code: error.code });
+      }
       console.error("Error creating post:", error);
       return res.status(500).json({ message: "Internal server error" });
     }
@@ -144,6 +228,7 @@ router.get("/", async (req, res) => {
       prisma.post.findMany({
         where: {
           deletedAt: null,
+          AND: [PostVisibilityService.visibleTo(req.user.userId)],
           author: {
             deletedAt: null,
           },
@@ -152,6 +237,7 @@ router.get("/", async (req, res) => {
         take: limit,
         orderBy: { createdAt: "desc" },
         include: {
+          mentions: MENTIONS_INCLUDE,
           media: {
             where: {
               deletedAt: null,
@@ -170,6 +256,7 @@ router.get("/", async (req, res) => {
       prisma.post.count({
         where: {
           deletedAt: null,
+          AND: [PostVisibilityService.visibleTo(req.user.userId)],
           author: {
             deletedAt: null,
           },
@@ -183,7 +270,10 @@ router.get("/", async (req, res) => {
 
     const hasMore = skip + post.length < total;
 
-    res.status(200).json({ post, hasMore });
+    res.status(200).json({
+      post: await PostFeedService.present(post, req.user.userId),
+      hasMore,
+    });
   } catch (error) {
     console.error("Error fetching posts:", error);
     return res.status(500).json({ message: "Internal server error" });
@@ -192,10 +282,9 @@ router.get("/", async (req, res) => {
 
 router.get("/timeline", authentication, async (req, res) => {
   try {
-    const page = parseInt(req.query.page) || 1;
     const limit = parseInt(req.query.limit) || 10;
     const userId = req.user.userId;
-    const skip = (page - 1) * limit;
+    const paging = CursorPaginationService.fromQuery(req.query, limit);
 
     // Get users that the current user is following
     const followingUsers = await prisma.follower.findMany({
@@ -232,29 +321,38 @@ router.get("/timeline", authentication, async (req, res) => {
     // Create a unique array of page IDs
     const allPageIds = [...new Set([...followingPageIds, ...memberPageIds])];
 
-    const [post, total] = await Promise.all([
+    const timelineWhere = {
+      deletedAt: null,
+      AND: [PostVisibilityService.visibleTo(req.user.userId)],
+      OR: [
+        // Posts from users (including own posts)
+        {
+          authorId: {
+            in: followingUserIds,
+          },
+          type: "user",
+        },
+        // Posts from followed pages and member pages
+        {
+          pageId: {
+            in: allPageIds,
+          },
+          type: "page",
+        },
+      ],
+    };
+
+    const [rows, total] = await Promise.all([
       prisma.post.findMany({
-        skip,
-        take: limit,
+        skip: paging.skip,
+        take: paging.take,
         where: {
-          deletedAt: null,
-          OR: [
-            {
-              authorId: {
-                in: followingUserIds,
-              },
-              type: "user",
-            },
-            {
-              pageId: {
-                in: allPageIds,
-              },
-              type: "page",
-            },
-          ],
+          ...timelineWhere,
+          AND: [...timelineWhere.AND, paging.where],
         },
-        orderBy: { createdAt: "desc" },
+        orderBy: CURSOR_ORDER_BY,
         include: {
+          mentions: MENTIONS_INCLUDE,
           media: {
             where: {
               deletedAt: null,
@@ -321,215 +419,1010 @@ router.get("/timeline", authentication, async (req, res) => {
                   },
                 },
               },
+              shares: SHARE_COUNT_FILTER,
             },
           },
         },
       }),
-      prisma.post.count({
-        where: {
-          deletedAt: null,
-          OR: [
-            // Count posts from users (including own posts)
-            {
-              authorId: {
-                in: followingUserIds,
-              },
-              type: "user",
-            },
-            // Count posts from followed pages and member pages
-            {
-              pageId: {
-                in: allPageIds,
-              },
-              type: "page",
-            },
-          ],
-        },
-      }),
+      // Cursor pages don't need the total
+      paging.isCursor ? null : prisma.post.count({ where: timelineWhere }),
     ]);
+    const {
+      items: post,
+      hasMore,
+      nextCursor,
+    } = CursorPaginationService.getPage(rows, paging, total);
+
     if (post.length === 0) {
       return res
         .status(404)
         .json({ message: "No posts found", hasMore: false });
     }
 
-    const hasMore = skip + post.length < total;
+    res.status(200).json({
+      post: await PostFeedService.present(post, req.user.userId),
+      hasMore,
+      nextCursor,
+    });
+  } catch (error) {
+    if (error instanceof CursorError) {
+      return res.status(400).json({ message: error.message, code: error.code });
+    }
+    console.error("Error fetching posts:", error);
+    return res.status(500).json({ message: "Internal server error" });
+  }
+});
+
+// Whether a user is an owner/admin of a page, and so manages its posts
+const canManagePagePosts = async (userId, pageId) => {
+  const pageMember = await prisma.pageMember.findFirst({
+    where: {
+      deletedAt: null,
+      userId,
+      pageId,
+      status: "accepted",
+      role: { in: ["owner", "admin"] },
+    },
+  });
+  return Boolean(pageMember);
+};
+
+// Media rows for files uploaded with a post
+const toPostMedia = (files = []) =>
+  files.map((file) => ({
+    url: `/uploads/post_media/${file.filename}`,
+    filename: file.filename,
+    originalName: file.originalname,
+    size: file.size,
+    mimeType: file.mimetype,
+    type: file.mimetype.startsWith("video/") ? "video" : "image",
+  }));
+
+// Get the current user's scheduled posts, or those of a page they manage
+router.get(
+  "/scheduled",
+  [query("pageId").optional().notEmpty().withMessage("Invalid page ID")],
+  authentication,
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const userId = req.user.userId;
+      const { pageId } = req.query;
+
+      if (pageId && !(await canManagePagePosts(userId, pageId))) {
+        return res.status(403).json({
+          message: "You don't have permission to manage this page's posts",
+        });
+      }
+
+      const posts = await PostSchedulingService.getScheduledPosts(
+        pageId ? { pageId } : { authorId: userId }
+      );
+
+      return res.status(200).json({ posts });
+    } catch (error) {
+      console.error("Error fetching scheduled posts:", error);
+      return res.status(500).json({ message: "Internal server error" });
+    }
+  }
+);
+
+// Get the current user's drafts, or those of a page they manage
+router.get(
+  "/drafts",
+  [query("pageId").optional().notEmpty().withMessage("Invalid page ID")],
+  authentication,
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const userId = req.user.userId;
+      const { pageId } = req.query;
+
+      if (pageId && !(await canManagePagePosts(userId, pageId))) {
+        return res.status(403).json({
+          message: "You don't have permission to manage this page's posts",
+        });
+      }
+
+      const drafts = await PostDraftService.getDrafts(
+        pageId ? { pageId } : { authorId: userId }
+      );
+
+      return res.status(200).json({ drafts });
+    } catch (error) {
+      console.error("Error fetching drafts:", error);
+      return res.status(500).json({ message: "Internal server error" });
+    }
+  }
+);
+
+// Start a draft. Content and media are optional, so the frontend can
+// create it on the first autosave.
+router.post(
+  "/drafts",
+  authentication,
+  discardUploadsOnFailure,
+  uploadPostMedia.array("media", MAX_POST_MEDIA),
+  async (req, res) => {
+    try {
+      const { content, pageId } = req.body;
+      const authorId = req.user.userId;
+      const postType = req.body.type || "user";
+
+      if (!["user", "page"].includes(postType)) {
+        return res
+          .status(400)
+          .json({ message: "Invalid post type. Must be 'user' or 'page'" });
+      }
+
+      if (postType === "page") {
+        if (!pageId) {
+          return res
+            .status(400)
+            .json({ message: "pageId is required for page posts" });
+        }
+
+        const pageMember = await prisma.pageMember.findFirst({
+          where: {
+            deletedAt: null,
+            userId: authorId,
+            pageId,
+            status: "accepted",
+            role: { in: ["owner", "admin", "moderator"] },
+          },
+        });
+        if (!pageMember) {
+          return res.status(403).json({
+            message: "You don't have permission to post on this page",
+          });
+        }
+      }
+
+      const { audience, memberIds } =
+        await PostVisibilityService.resolveAudience(authorId, {
+          audience: req.body.audience,
+          audienceUserIds: [].concat(req.body.audienceUserIds || []),
+          postType,
+        });
+
+      const draft = await PostDraftService.createDraft({
+        authorId,
+        content,
+        type: postType,
+        pageId,
+        audience,
+        memberIds,
+        media: toPostMedia(req.files),
+      });
+
+      return res
+        .status(201)
+        .json({ message: "Draft saved successfully", draft });
+    } catch (error) {
+      if (error instanceof PostAudienceError) {
+        return res
+          .status(400)
+          .json({ message: error.message, code: error.code });
+      }
+      console.error("Error creating draft:", error);
+      return res.status(500).json({ message: "Internal server error" });
+    }
+  }
+);
+
+// Get a draft
+router.get(
+  "/drafts/:id",
+  [param("id").notEmpty().withMessage("Draft ID is required")],
+  authentication,
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const draft = await PostDraftService.getDraft(req.params.id);
+      if (!draft || !(await canEditPost(draft, req.user.userId))) {
+        return res.status(404).json({ message: "Draft not found" });
+      }
+
+      return res.status(200).json({ draft });
+    } catch (error) {
+      console.error("Error fetching draft:", error);
+      return res.status(500).json({ message: "Internal server error" });
+    }
+  }
+);
+
+// Autosave a draft: text, audience, new uploads and removed media
+router.patch(
+  "/drafts/:id",
+  authentication,
+  discardUploadsOnFailure,
+  uploadPostMedia.array("media", MAX_POST_MEDIA),
+  [
+    param("id").notEmpty().withMessage("Draft ID is required"),
+    body("content")
+      .optional({ values: "null" })
+      .isString()
+      .withMessage("Content must be a string"),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const draftId = req.params.id;
+      const userId = req.user.userId;
+
+      const draft = await PostDraftService.getDraft(draftId);
+      if (!draft || !(await canEditPost(draft, userId))) {
+        return res.status(404).json({ message: "Draft not found" });
+      }
+
+      const audience =
+        req.body.audience !== undefined
+          ? await PostVisibilityService.resolveAudience(draft.authorId, {
+              audience: req.body.audience,
+              audienceUserIds: [].concat(req.body.audienceUserIds || []),
+              postType: draft.type,
+            })
+          : undefined;
+
+      const updatedDraft = await PostDraftService.updateDraft(draftId, {
+        content: req.body.content,
+        // Multipart forms send one or more removeMediaIds fields
+        removeMediaIds: [].concat(req.body.removeMediaIds || []),
+        newMedia: toPostMedia(req.files),
+        audience,
+      });
+
+      return res
+        .status(200)
+        .json({ message: "Draft saved successfully", draft: updatedDraft });
+    } catch (error) {
+      if (
+        error instanceof PostDraftError ||
+        error instanceof PostAudienceError
+      ) {
+        return res
+          .status(400)
+          .json({ message: error.message, code: error.code });
+      }
+      console.error("Error saving draft:", error);
+      return res.status(500).json({ message: "Internal server error" });
+    }
+  }
+);
+
+// Publish a draft now, or schedule it with publishAt
+router.post(
+  "/drafts/:id/publish",
+  [param("id").notEmpty().withMessage("Draft ID is required")],
+  authentication,
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const draftId = req.params.id;
+      const publishAt = PostSchedulingService.parsePublishAt(
+        req.body?.publishAt
+      );
+
+      const draft = await PostDraftService.getDraft(draftId);
+      if (!draft || !(await canEditPost(draft, req.user.userId))) {
+        return res.status(404).json({ message: "Draft not found" });
+      }
+
+      const post = await PostDraftService.publishDraft(draftId, publishAt);
+
+      return res.status(200).json({
+        message: publishAt
+          ? "Post scheduled successfully"
+          : "Post published successfully",
+        post,
+      });
+    } catch (error) {
+      if (
+        error instanceof PostDraftError ||
+        error instanceof PostScheduleError
+      ) {
+        return res
+          .status(400)
+          .json({ message: error.message, code: error.code });
+      }
+      console.error("Error publishing draft:", error);
+      return res.status(500).json({ message: "Internal server error" });
+    }
+  }
+);
+
+// Discard a draft
+router.delete(
+  "/drafts/:id",
+  [param("id").notEmpty().withMessage("Draft ID is required")],
+  authentication,
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const draft = await PostDraftService.getDraft(req.params.id);
+      if (!draft || !(await canEditPost(draft, req.user.userId))) {
+        return res.status(404).json({ message: "Draft not found" });
+      }
+
+      await SoftDeleteService.softDeletePost(draft.id);
+
+      return res.status(200).json({ message: "Draft discarded successfully" });
+    } catch (error) {
+      console.error("Error discarding draft:", error);
+      return res.status(500).json({ message: "Internal server error" });
+    }
+  }
+);
+
+router.get(
+  "/:id",
+  [param("id").notEmpty().withMessage("Post ID is required")],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+      const postId = req.params.id;
+      const post = await prisma.post.findFirst({
+        where: {
+          id: postId,
+          deletedAt: null,
+          AND: [PostVisibilityService.visibleTo(req.user.userId)],
+        },
+        include: {
+          mentions: MENTIONS_INCLUDE,
+          media: {
+            where: {
+              deletedAt: null,
+            },
+          },
+          author: {
+            select: {
+              id: true,
+              username: true,
+              name: true,
+              profilePicture: true,
+              isVerified: true,
+            },
+          },
+          reactions: {
+            where: {
+              deletedAt: null,
+              user: {
+                deletedAt: null,
+              },
+            },
+          },
+          comments: {
+            where: {
+              deletedAt: null,
+              user: {
+                deletedAt: null,
+              },
+            },
+            include: {
+              user: {
+                select: {
+                  id: true,
+                  username: true,
+                  name: true,
+                  profilePicture: true,
+                },
+              },
+              mentions: MENTIONS_INCLUDE,
+            },
+          },
+        },
+      });
+      if (!post) {
+        return res.status(404).json({ message: "Post not found" });
+      }
+      const [embedded] = await PostFeedService.present([post], req.user.userId);
+      res.status(200).json(embedded);
+    } catch (error) {
+      console.error("Error fetching post by ID:", error);
+      return res.status(500).json({ message: "Internal server error" });
+    }
+  }
+);
+
+router.get(
+  "/user/:userId",
+  [
+    param("userId").notEmpty().withMessage("User ID is required"),
+    param("userId").isUUID().withMessage("Invalid User ID format"),
+  ],
+  async (req, res) => {
+    try {
+      const userId = req.params.userId;
+      const page = parseInt(req.query.page) || 1;
+      const limit = parseInt(req.query.limit) || 10;
+      const skip = (page - 1) * limit;
+
+      const [posts, total] = await Promise.all([
+        prisma.post.findMany({
+          where: {
+            authorId: userId,
+            deletedAt: null,
+            AND: [PostVisibilityService.visibleTo(req.user.userId)],
+          },
+          skip,
+          take: limit,
+          orderBy: { createdAt: "desc" },
+          include: {
+            mentions: MENTIONS_INCLUDE,
+            media: {
+              where: {
+                deletedAt: null,
+              },
+            },
+            reactions: {
+              where: {
+                deletedAt: null,
+                user: {
+                  deletedAt: null,
+                },
+              },
+            },
+            comments: {
+              where: {
+                deletedAt: null,
+                user: {
+                  deletedAt: null,
+                },
+              },
+              include: {
+                user: {
+                  select: {
+                    id: true,
+                    username: true,
+                    name: true,
+                    profilePicture: true,
+                  },
+                },
+              },
+            },
+          },
+        }),
+        prisma.post.count({
+          where: {
+            authorId: userId,
+            deletedAt: null,
+            AND: [PostVisibilityService.visibleTo(req.user.userId)],
+          },
+        }),
+      ]);
+      if (posts.length === 0) {
+        return res
+          .status(404)
+          .json({ message: "No posts found for this user" });
+      }
+      const hasMore = skip + posts.length < total;
+      res.status(200).json({
+        posts: await PostFeedService.present(posts, req.user.userId),
+        hasMore,
+      });
+    } catch (error) {
+      console.error("Error fetching user posts:", error);
+      return res.status(500).json({ message: "Internal server error" });
+    }
+  }
+);
+
+// Whether a user may edit a post: its author, or an owner/admin of the
+// page for page posts
+const canEditPost = async (post, userId) => {
+  if (post.authorId === userId) return true;
+  if (post.type !== "page" || !post.pageId) return false;
+  return await canManagePagePosts(userId, post.pageId);
+};
+
+// Edit the text and/or media of a post. The previous version is kept as a
+// revision.
+router.patch(
+  "/:id",
+  authentication,
+  discardUploadsOnFailure,
+  uploadPostMedia.array("media", MAX_POST_MEDIA),
+  [
+    param("id").notEmpty().withMessage("Post ID is required"),
+    body("content")
+      .optional({ values: "null" })
+      .isString()
+      .withMessage("Content must be a string"),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const postId = req.params.id;
+      // Drafts are saved through the draft endpoints, without revisions
+      const post = await prisma.post.findUnique({
+        where: { id: postId, deletedAt: null, status: { not: "draft" } },
+        select: { authorId: true, pageId: true, type: true },
+      });
+      if (!post) {
+        return res.status(404).json({ message: "Post not found" });
+      }
+
+      if (!(await canEditPost(post, req.user.userId))) {
+        return res
+          .status(403)
+          .json({ message: "You do not have permission to edit this post" });
+      }
+
+      // Multipart forms send one or more removeMediaIds fields
+      const removeMediaIds = [].concat(req.body.removeMediaIds || []);
+      const newMedia = toPostMedia(req.files);
+
+      const updatedPost = await PostRevisionService.editPost(
+        postId,
+        req.user.userId,
+        { content: req.body.content, removeMediaIds, newMedia }
+      );
+
+      return res.status(200).json({
+        message: "Post updated successfully",
+        post: updatedPost,
+      });
+    } catch (error) {
+      if (error instanceof PostEditError) {
+        return res
+          .status(400)
+          .json({ message: error.message, code: error.code });
+      }
+      console.error("Error updating post:", error);
+      return res.status(500).json({ message: "Internal server error" });
+    }
+  }
+);
+
+// Change who can see a post (author only)
+router.patch(
+  "/:id/audience",
+  [
+    param("id").notEmpty().withMessage("Post ID is required"),
+    body("audience").notEmpty().withMessage("Audience is required"),
+    body("audienceUserIds")
+      .optional()
+      .isArray()
+      .withMessage("audienceUserIds must be an array of user IDs"),
+  ],
+  authentication,
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const postId = req.params.id;
+      const userId = req.user.userId;
+
+      const post = await prisma.post.findUnique({
+        where: { id: postId, deletedAt: null },
+        select: { authorId: true, type: true },
+      });
+      if (!post) {
+        return res.status(404).json({ message: "Post not found" });
+      }
+      if (post.authorId !== userId) {
+        return res.status(403).json({
+          message: "You can only change the audience of your own posts",
+        });
+      }
+
+      const { audience, memberIds } =
+        await PostVisibilityService.resolveAudience(userId, {
+          audience: req.body.audience,
+          audienceUserIds: req.body.audienceUserIds,
+          postType: post.type,
+        });
+
+      const [, updatedPost] = await prisma.$transaction([
+        prisma.postAudienceMember.deleteMany({ where: { postId } }),
+        prisma.post.update({
+          where: { id: postId },
+          data: {
+            audience,
+            audienceMembers: {
+              create: memberIds.map((memberId) => ({ userId: memberId })),
+            },
+          },
+          select: {
+            id: true,
+            audience: true,
+            audienceMembers: { select: { userId: true } },
+          },
+        }),
+      ]);
+
+      return res.status(200).json({
+        message: "Post audience updated successfully",
+        post: updatedPost,
+      });
+    } catch (error) {
+      if (error instanceof PostAudienceError) {
+        return res
+          .status(400)
+          .json({ message: error.message, code: error.code });
+      }
+      console.error("Error updating post audience:", error);
+      return res.status(500).json({ message: "Internal server error" });
+    }
+  }
+);
+
+// Move a scheduled post to another time
+router.patch(
+  "/:id/schedule",
+  [
+    param("id").notEmpty().withMessage("Post ID is required"),
+    body("publishAt").notEmpty().withMessage("publishAt is required"),
+  ],
+  authentication,
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const postId = req.params.id;
+      const publishAt = PostSchedulingService.parsePublishAt(
+        req.body.publishAt
+      );
+
+      const post = await prisma.post.findUnique({
+        where: { id: postId, deletedAt: null },
+        select: { authorId: true, pageId: true, type: true, status: true },
+      });
+      if (!post || !(await canEditPost(post, req.user.userId))) {
+        return res.status(404).json({ message: "Post not found" });
+      }
+      if (post.status !== "scheduled") {
+        return res
+          .status(409)
+          .json({ message: "Only scheduled posts can be rescheduled" });
+      }
+
+      const updatedPost = await PostSchedulingService.reschedule(
+        postId,
+        publishAt
+      );
+      if (!updatedPost) {
+        return res
+          .status(409)
+          .json({ message: "Only scheduled posts can be rescheduled" });
+      }
+
+      return res.status(200).json({
+        message: "Post rescheduled successfully",
+        post: updatedPost,
+      });
+    } catch (error) {
+      if (error instanceof PostScheduleError) {
+        return res
+          .status(400)
+          .json({ message: error.message, code: error.code });
+      }
+      console.error("Error rescheduling post:", error);
+      return res.status(500).json({ message: "Internal server error" });
+    }
+  }
+);
+
+// Cancel a scheduled post before it is published
+router.delete(
+  "/:id/schedule",
+  [param("id").notEmpty().withMessage("Post ID is required")],
+  authentication,
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const postId = req.params.id;
+      const post = await prisma.post.findUnique({
+        where: { id: postId, deletedAt: null },
+        select: { authorId: true, pageId: true, type: true, status: true },
+      });
+      if (!post || !(await canEditPost(post, req.user.userId))) {
+        return res.status(404).json({ message: "Post not found" });
+      }
+
+      if (
+        post.status !== "scheduled" ||
+        !(await PostSchedulingService.cancel(postId))
+      ) {
+        return res
+          .status(409)
+          .json({ message: "Only scheduled posts can be cancelled" });
+      }
+
+      return res
+        .status(200)
+        .json({ message: "Scheduled post cancelled successfully" });
+    } catch (error) {
+      console.error("Error cancelling scheduled post:", error);
+      return res.status(500).json({ message: "Internal server error" });
+    }
+  }
+);
+
+// Reshare a post, or quote it with content of your own
+router.post(
+  "/:id/share",
+  [
+    param("id").notEmpty().withMessage("Post ID is required"),
+    body("content")
+      .optional({ values: "null" })
+      .isString()
+      .withMessage("Content must be a string"),
+    body("audienceUserIds")
+      .optional()
+      .isArray()
+      .withMessage("audienceUserIds must be an array of user IDs"),
+  ],
+  authentication,
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const userId = req.user.userId;
+      const content = req.body.content?.trim();
+
+      const { audience, memberIds } =
+        await PostVisibilityService.resolveAudience(userId, {
+          audience: req.body.audience,
+          audienceUserIds: req.body.audienceUserIds,
+        });
+
+      const post = await PostShareService.sharePost(userId, req.params.id, {
+        content,
+        audience,
+        memberIds,
+      });
+
+      return res.status(201).json({
+        message: content
+          ? "Post quoted successfully"
+          : "Post shared successfully",
+        post,
+      });
+    } catch (error) {
+      if (error instanceof PostShareError && error.code === "POST_NOT_FOUND") {
+        return res.status(404).json({ message: error.message });
+      }
+      if (
+        error instanceof PostShareError ||
+        error instanceof PostAudienceError
+      ) {
+        return res
+          .status(400)
+          .json({ message: error.message, code: error.code });
+      }
+      console.error("Error sharing post:", error);
+      return res.status(500).json({ message: "Internal server error" });
+    }
+  }
+);
+
+// Get the poll of a post. Results are hidden until the user votes.
+router.get(
+  "/:id/poll",
+  [param("id").notEmpty().withMessage("Post ID is required")],
+  authentication,
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const userId = req.user.userId;
+      if (!(await PostVisibilityService.canView(req.params.id, userId))) {
+        return res.status(404).json({ message: "Post not found" });
+      }
+
+      const [post] = await PollService.attachPolls(
+        [{ id: req.params.id }],
+        userId
+      );
+      if (!post.poll) {
+        return res.status(404).json({ message: "Poll not found" });
+      }
+
+      return res.status(200).json({ poll: post.poll });
+    } catch (error) {
+      console.error("Error fetching poll:", error);
+      return res.status(500).json({ message: "Internal server error" });
+    }
+  }
+);
+
+// Vote in a poll (change=false), or change a vote (change=true)
+const voteInPoll = (change) => async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const userId = req.user.userId;
+    if (!(await PostVisibilityService.canView(req.params.id, userId))) {
+      return res.status(404).json({ message: "Post not found" });
+    }
+
+    const poll = await PollService.getPollByPost(req.params.id);
+    if (!poll) {
+      return res.status(404).json({ message: "Poll not found" });
+    }
+
+    await PollService.vote(poll, userId, req.body.optionIds, { change });
+
+    const [post] = await PollService.attachPolls([{ id: poll.postId }], userId);
 
-    res.status(200).json({ post, hasMore });
+    return res.status(change ? 200 : 201).json({
+      message: change ? "Vote changed successfully" : "Voted successfully",
+      poll: post.poll,
+    });
   } catch (error) {
-    console.error("Error fetching posts:", error);
+    if (
+      error instanceof PollError &&
+      ["ALREADY_VOTED", "NOT_VOTED"].includes(error.code)
+    ) {
+      return res.status(409).json({ message: error.message, code: error.code });
+    }
+    if (error instanceof PollError) {
+      return res.status(400).json({ message: error.message, code: error.code });
+    }
+    console.error("Error voting in poll:", error);
     return res.status(500).json({ message: "Internal server error" });
   }
-});
+};
+
+const pollVoteValidators = [
+  param("id").notEmpty().withMessage("Post ID is required"),
+  body("optionIds")
+    .isArray({ min: 1, max: 10 })
+    .withMessage("optionIds must be an array of 1 to 10 option IDs"),
+  body("optionIds.*")
+    .isString()
+    .withMessage("optionIds must be an array of option IDs"),
+];
+
+// Vote in the poll of a post
+router.post(
+  "/:id/poll/votes",
+  pollVoteValidators,
+  authentication,
+  voteInPoll(false)
+);
 
+// Change your vote in the poll of a post
+router.put(
+  "/:id/poll/votes",
+  pollVoteValidators,
+  authentication,
+  voteInPoll(true)
+);
+
+// Get who voted for what in a page poll (page owners/admins only)
 router.get(
-  "/:id",
+  "/:id/poll/voters",
   [param("id").notEmpty().withMessage("Post ID is required")],
+  authentication,
   async (req, res) => {
     try {
       const errors = validationResult(req);
       if (!errors.isEmpty()) {
         return res.status(400).json({ errors: errors.array() });
       }
-      const postId = req.params.id;
-      const post = await prisma.post.findUnique({
-        where: { id: postId, deletedAt: null },
-        include: {
-          media: {
-            where: {
-              deletedAt: null,
-            },
-          },
-          author: {
-            select: {
-              id: true,
-              username: true,
-              name: true,
-              profilePicture: true,
-              isVerified: true,
-            },
-          },
-          reactions: {
-            where: {
-              deletedAt: null,
-              user: {
-                deletedAt: null,
-              },
-            },
-          },
-          comments: {
-            where: {
-              deletedAt: null,
-              user: {
-                deletedAt: null,
-              },
-            },
-            include: {
-              user: {
-                select: {
-                  id: true,
-                  username: true,
-                  name: true,
-                  profilePicture: true,
-                },
-              },
-            },
-          },
-        },
-      });
-      if (!post) {
+
+      const userId = req.user.userId;
+      if (!(await PostVisibilityService.canView(req.params.id, userId))) {
         return res.status(404).json({ message: "Post not found" });
       }
-      res.status(200).json(post);
+
+      const poll = await PollService.getPollByPost(req.params.id);
+      if (!poll) {
+        return res.status(404).json({ message: "Poll not found" });
+      }
+
+      // Votes are anonymous, except to the admins of a page for its polls
+      if (
+        poll.post.type !== "page" ||
+        !(await canManagePagePosts(userId, poll.post.pageId))
+      ) {
+        return res.status(403).json({
+          message: "Only page owners and admins can see who voted",
+        });
+      }
+
+      const options = await PollService.getVoters(poll.id);
+
+      return res.status(200).json({ pollId: poll.id, options });
     } catch (error) {
-      console.error("Error fetching post by ID:", error);
+      console.error("Error fetching poll voters:", error);
       return res.status(500).json({ message: "Internal server error" });
     }
   }
 );
 
+// Get the revision history of a post (staff reviewing reports)
 router.get(
-  "/user/:userId",
-  [
-    param("userId").notEmpty().withMessage("User ID is required"),
-    param("userId").isUUID().withMessage("Invalid User ID format"),
-  ],
+  "/:id/revisions",
+  [param("id").notEmpty().withMessage("Post ID is required")],
+  authentication,
   async (req, res) => {
     try {
-      const userId = req.params.userId;
-      const page = parseInt(req.query.page) || 1;
-      const limit = parseInt(req.query.limit) || 10;
-      const skip = (page - 1) * limit;
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
 
-      const [posts, total] = await Promise.all([
-        prisma.post.findMany({
-          where: { authorId: userId, deletedAt: null },
-          skip,
-          take: limit,
-          orderBy: { createdAt: "desc" },
-          include: {
-            media: {
-              where: {
-                deletedAt: null,
-              },
-            },
-            reactions: {
-              where: {
-                deletedAt: null,
-                user: {
-                  deletedAt: null,
-                },
-              },
-            },
-            comments: {
-              where: {
-                deletedAt: null,
-                user: {
-                  deletedAt: null,
-                },
-              },
-              include: {
-                user: {
-                  select: {
-                    id: true,
-                    username: true,
-                    name: true,
-                    profilePicture: true,
-                  },
-                },
-              },
-            },
-          },
-        }),
-        prisma.post.count({
-          where: {
-            authorId: userId,
-            deletedAt: null,
-          },
-        }),
-      ]);
-      if (posts.length === 0) {
-        return res
-          .status(404)
-          .json({ message: "No posts found for this user" });
+      if (
+        !hasPermission(req.user, PERMISSIONS.REPORTS_REVIEW) &&
+        !hasPermission(req.user, PERMISSIONS.CONTENT_MODERATE)
+      ) {
+        return res.status(403).json({
+          message: "You do not have permission to perform this action",
+        });
       }
-      const hasMore = skip + posts.length < total;
-      res.status(200).json({ posts, hasMore });
+
+      // Deleted posts are included, reports often concern them
+      const post = await prisma.post.findUnique({
+        where: { id: req.params.id },
+        include: { media: true },
+      });
+      if (!post) {
+        return res.status(404).json({ message: "Post not found" });
+      }
+
+      const revisions = await PostRevisionService.getRevisions(post.id);
+
+      return res.status(200).json({ post, revisions });
     } catch (error) {
-      console.error("Error fetching user posts:", error);
+      console.error("Error fetching post revisions:", error);
       return res.status(500).json({ message: "Internal server error" });
     }
   }
 );
 
-// router.patch("/:id", async (req, res) => {
-//   try {
-//     const postId = req.params.id;
-//     const { content, media } = req.body;
-
-//     const post = await prisma.post.update({
-//       where: { id: postId },
-//       data: {
-//         content,
-//         media: {
-//           deleteMany: {},
-//           create: media
-//             ? media.map((item) => ({ url: item.url, type: item.type }))
-//             : [],
-//         },
-//       },
-//       include: {
-//         media: true,
-//       },
-//     });
-
-//     res.status(200).json(post);
-//   } catch (error) {
-//     console.error("Error updating post:", error);
-//     return res.status(500).json({ message: "Internal server error" });
-//   }
-// });
-
 router.delete(
   "/:id",
   [param("id").notEmpty().withMessage("Post ID is required")],
@@ -550,7 +1443,10 @@ router.delete(
       if (!postDetail) {
         return res.status(404).json({ message: "Post not found" });
       }
-      if (postDetail.authorId !== author.userId && !author.isAdmin) {
+      if (
+        postDetail.authorId !== author.userId &&
+        !hasPermission(author, PERMISSIONS.CONTENT_MODERATE)
+      ) {
         return res
           .status(403)
           .json({ message: "You do not have permission to delete this post" });
@@ -605,7 +1501,7 @@ router.get(
           isVerified: true,
           _count: {
             select: {
-              posts: true,
+              posts: { where: { status: "published" } },
               followers: true,
               following: true,
             },
@@ -614,6 +1510,19 @@ router.get(
       });
 
       if (!user) {
+        // Old handles keep working while they are held for their account
+        const resolved = await UsernameService.resolveUsername(username);
+        if (resolved) {
+          const queryIndex = req.originalUrl.indexOf("?");
+          const search =
+            queryIndex === -1 ? "" : req.originalUrl.slice(queryIndex);
+          return res.redirect(
+            307,
+            `${req.baseUrl}/user/username/${encodeURIComponent(
+              resolved.username
+            )}${search}`
+          );
+        }
         return res.status(404).json({ message: "User not found" });
       }
 
@@ -626,14 +1535,20 @@ router.get(
               deletedAt: null,
             },
             deletedAt: null,
+            AND: [PostVisibilityService.visibleTo(req.user.userId)],
           },
           skip,
           take: limit,
           orderBy: { createdAt: "desc" },
           select: {
+            mentions: MENTIONS_INCLUDE,
             id: true,
             content: true,
             createdAt: true,
+            isEdited: true,
+            editedAt: true,
+            sharedPostId: true,
+            linkPreviewId: true,
             author: {
               select: {
                 id: true,
@@ -706,6 +1621,7 @@ router.get(
                     },
                   },
                 },
+                shares: SHARE_COUNT_FILTER,
               },
             },
           },
@@ -717,6 +1633,7 @@ router.get(
               deletedAt: null,
             },
             deletedAt: null,
+            AND: [PostVisibilityService.visibleTo(req.user.userId)],
           },
         }),
       ]);
@@ -724,7 +1641,7 @@ router.get(
       const hasMore = skip + posts.length < totalPosts;
 
       return res.status(200).json({
-        posts,
+        posts: await PostFeedService.present(posts, req.user.userId),
         hasMore,
         totalPosts,
       });
@@ -796,6 +1713,7 @@ router.get("/timeline/stats", authentication, async (req, res) => {
       prisma.post.count({
         where: {
           deletedAt: null,
+          status: "published",
           authorId: {
             in: followingUserIds,
           },
@@ -805,6 +1723,7 @@ router.get("/timeline/stats", authentication, async (req, res) => {
       prisma.post.count({
         where: {
           deletedAt: null,
+          status: "published",
           pageId: {
             in: allPageIds,
           },
@@ -814,6 +1733,7 @@ router.get("/timeline/stats", authentication, async (req, res) => {
       prisma.post.count({
         where: {
           deletedAt: null,
+          status: "published",
           OR: [
             {
               authorId: {
@@ -851,7 +1771,8 @@ router.get("/timeline/stats", authentication, async (req, res) => {
 router.post(
   "/page/:pageId",
   authentication,
-  uploadPostMedia.array("media", 10),
+  discardUploadsOnFailure,
+  uploadPostMedia.array("media", MAX_POST_MEDIA),
   async (req, res) => {
     try {
       const { content } = req.body;
@@ -869,10 +1790,14 @@ router.post(
         return res.status(400).json({ message: "pageId is required" });
       }
 
-      // Validate that there's either content or media
-      if (!content && (!uploadedFiles || uploadedFiles.length === 0)) {
+      // Validate that there's content, media or a poll
+      if (
+        !content &&
+        !req.body.poll &&
+        (!uploadedFiles || uploadedFiles.length === 0)
+      ) {
         return res.status(400).json({
-          message: "Post must have either content or media",
+          message: "Post must have content, media or a poll",
         });
       }
 
@@ -895,6 +1820,11 @@ router.post(
           .json({ message: "You don't have permission to post on this page" });
       }
 
+      const publishAt = PostSchedulingService.parsePublishAt(
+        req.body.publishAt
+      );
+      const poll = PollService.parsePoll(req.body.poll, publishAt);
+
       const data = {
         content,
         pageId: pageId,
@@ -902,6 +1832,15 @@ router.post(
         type: "page",
       };
 
+      if (publishAt) {
+        data.status = "scheduled";
+        data.publishAt = publishAt;
+      }
+
+      if (poll) {
+        data.poll = { create: poll };
+      }
+
       // Handle uploaded media files
       if (uploadedFiles && uploadedFiles.length > 0) {
         data.media = {
@@ -945,12 +1884,22 @@ router.post(
         },
       });
 
+      post.mentions = await PostContentService.syncPost(post.id);
+      const [created] = await PollService.attachPolls([post], authorId);
+
       res.status(201).json({
-        message: "Page post created successfully",
-        post,
+        message: publishAt
+          ? "Page post scheduled successfully"
+          : "Page post created successfully",
+        post: created,
         mediaCount: uploadedFiles ? uploadedFiles.length : 0,
       });
     } catch (error) {
+      if (error instanceof PostScheduleError || error instanceof PollError) {
+        return res
+          .status(400)
+          .json({ message: error.message, code: error.code });
+      }
       console.error("Error creating page post:", error);
       return res.status(500).json({ message: "Internal server error" });
     }
@@ -963,6 +1912,7 @@ router.get("/debug/all-posts", authentication, async (req, res) => {
     const posts = await prisma.post.findMany({
       where: {
         deletedAt: null,
+        AND: [PostVisibilityService.visibleTo(req.user.userId)],
         author: {
           deletedAt: null,
         },
@@ -1044,10 +1994,9 @@ router.post("/debug/fix-page-posts", authentication, async (req, res) => {
 // Enhanced timeline with boosted posts
 router.get("/timeline-enhanced", authentication, async (req, res) => {
   try {
-    const page = parseInt(req.query.page) || 1;
     const limit = parseInt(req.query.limit) || 10;
     const userId = req.user.userId;
-    const skip = (page - 1) * limit;
+    const paging = CursorPaginationService.fromQuery(req.query, limit);
 
     // Get users that the current user is following
     const followingUsers = await prisma.follower.findMany({
@@ -1087,6 +2036,7 @@ router.get("/timeline-enhanced", authentication, async (req, res) => {
     const boostedPosts = await prisma.post.findMany({
       where: {
         deletedAt: null,
+        AND: [PostVisibilityService.visibleTo(req.user.userId)],
         boostedPosts: {
           some: {
             deletedAt: null,
@@ -1110,6 +2060,7 @@ router.get("/timeline-enhanced", authentication, async (req, res) => {
         ],
       },
       include: {
+        mentions: MENTIONS_INCLUDE,
         media: {
           where: {
             deletedAt: null,
@@ -1189,6 +2140,7 @@ router.get("/timeline-enhanced", authentication, async (req, res) => {
                 },
               },
             },
+            shares: SHARE_COUNT_FILTER,
           },
         },
       },
@@ -1196,12 +2148,25 @@ router.get("/timeline-enhanced", authentication, async (req, res) => {
       take: Math.min(5, limit), // Limit boosted posts
     });
 
+    // With cursors, boosted posts lead the first page only, and leave room
+    // for a regular post to key the next cursor on
+    const shownBoostedPosts = !paging.isCursor
+      ? boostedPosts
+      : paging.isFirstPage
+      ? boostedPosts.slice(0, limit - 1)
+      : [];
+    const regularPaging = {
+      ...paging,
+      take: paging.take - shownBoostedPosts.length,
+    };
+
     // Get regular posts
-    const regularPosts = await prisma.post.findMany({
-      skip,
-      take: limit - boostedPosts.length,
+    const regularRows = await prisma.post.findMany({
+      skip: regularPaging.skip,
+      take: regularPaging.take,
       where: {
         deletedAt: null,
+        AND: [PostVisibilityService.visibleTo(req.user.userId), paging.where],
         NOT: {
           id: {
             in: boostedPosts.map((p) => p.id),
@@ -1222,8 +2187,9 @@ router.get("/timeline-enhanced", authentication, async (req, res) => {
           },
         ],
       },
-      orderBy: { createdAt: "desc" },
+      orderBy: CURSOR_ORDER_BY,
       include: {
+        mentions: MENTIONS_INCLUDE,
         media: {
           where: {
             deletedAt: null,
@@ -1303,48 +2269,64 @@ router.get("/timeline-enhanced", authentication, async (req, res) => {
                 },
               },
             },
+            shares: SHARE_COUNT_FILTER,
           },
         },
       },
     });
 
+    // Get total count (cursor pages don't need it)
+    const total = paging.isCursor
+      ? null
+      : await prisma.post.count({
+          where: {
+            deletedAt: null,
+            AND: [PostVisibilityService.visibleTo(req.user.userId)],
+            OR: [
+              {
+                authorId: {
+                  in: followingUserIds,
+                },
+                type: "user",
+              },
+              {
+                pageId: {
+                  in: allPageIds,
+                },
+                type: "page",
+              },
+            ],
+          },
+        });
+
+    const {
+      items: regularPosts,
+      hasMore: hasMoreRegular,
+      nextCursor,
+    } = CursorPaginationService.getPage(regularRows, regularPaging, total);
+
     // Combine and sort posts (boosted posts first, then regular posts)
     const allPosts = [
-      ...boostedPosts.map((post) => ({ ...post, isBoosted: true })),
+      ...shownBoostedPosts.map((post) => ({ ...post, isBoosted: true })),
       ...regularPosts.map((post) => ({ ...post, isBoosted: false })),
     ];
 
-    // Get total count
-    const total = await prisma.post.count({
-      where: {
-        deletedAt: null,
-        OR: [
-          {
-            authorId: {
-              in: followingUserIds,
-            },
-            type: "user",
-          },
-          {
-            pageId: {
-              in: allPageIds,
-            },
-            type: "page",
-          },
-        ],
-      },
-    });
-
-    const hasMore = skip + allPosts.length < total;
+    const hasMore = paging.isCursor
+      ? hasMoreRegular
+      : paging.skip + allPosts.length < total;
 
     res.status(200).json({
-      posts: allPosts,
+      posts: await PostFeedService.present(allPosts, userId),
       hasMore,
-      total,
-      boostedCount: boostedPosts.length,
+      nextCursor,
+      ...(paging.isCursor ? {} : { total }),
+      boostedCount: shownBoostedPosts.length,
       regularCount: regularPosts.length,
     });
   } catch (error) {
+    if (error instanceof CursorError) {
+      return res.status(400).json({ message: error.message, code: error.code });
+    }
     console.error("Error fetching enhanced timeline:", error);
     return res.status(500).json({ message: "Internal server error" });
   }
@@ -1354,7 +2336,7 @@ router.get("/timeline-enhanced", authentication, async (req, res) => {
 router.post(
   "/upload-media",
   authentication,
-  uploadPostMedia.array("media", 10),
+  uploadPostMedia.array("media", MAX_POST_MEDIA),
   async (req, res) => {
     try {
       const uploadedFiles = req.files;
@@ -1,6 +1,8 @@
 import express from "express";
 import { PrismaClient } from "../generated/prisma/index.js";
 import { authentication } from "../middleware/authenticantion.js";
+import { requirePermission } from "../middleware/authorization.js";
+import { PERMISSIONS } from "../config/permissions.js";
 import { SoftDeleteService } from "../services/softDeleteService.js";
 
 const router = express.Router();
@@ -389,17 +391,12 @@ router.get("/my-reports", authentication, async (req, res) => {
   }
 });
 
+// Every /admin route requires the report review permission
+router.use("/admin", requirePermission(PERMISSIONS.REPORTS_REVIEW));
+
 // Admin routes - Get all reports for review
 router.get("/admin/all", authentication, async (req, res) => {
   try {
-    // Check if user is admin
-    if (!req.user.isAdmin) {
-      return res.status(403).json({
-        success: false,
-        message: "Admin access required",
-      });
-    }
-
     const {
       page = 1,
       limit = 20,
@@ -454,6 +451,7 @@ router.get("/admin/all", authentication, async (req, res) => {
             select: {
               id: true,
               content: true,
+              isEdited: true,
               author: {
                 select: {
                   id: true,
@@ -527,14 +525,6 @@ router.get("/admin/all", authentication, async (req, res) => {
 // Admin route - Review a report (accept/reject)
 router.put("/admin/review/:reportId", authentication, async (req, res) => {
   try {
-    // Check if user is admin
-    if (!req.user.isAdmin) {
-      return res.status(403).json({
-        success: false,
-        message: "Admin access required",
-      });
-    }
-
     const { reportId } = req.params;
     const { status, reviewNote, actionTaken } = req.body;
 
@@ -652,14 +642,6 @@ router.put("/admin/review/:reportId", authentication, async (req, res) => {
 // Get report statistics (admin only)
 router.get("/admin/stats", authentication, async (req, res) => {
   try {
-    // Check if user is admin
-    if (!req.user.isAdmin) {
-      return res.status(403).json({
-        success: false,
-        message: "Admin access required",
-      });
-    }
-
     const baseWhereClause = SoftDeleteService.buildWhereClause({});
 
     const [
@@ -744,14 +726,6 @@ router.get("/admin/stats", authentication, async (req, res) => {
 // Get a single report by ID (admin only)
 router.get("/admin/:reportId", authentication, async (req, res) => {
   try {
-    // Check if user is admin
-    if (!req.user.isAdmin) {
-      return res.status(403).json({
-        success: false,
-        message: "Admin access required",
-      });
-    }
-
     const { reportId } = req.params;
 
     const report = await prisma.report.findFirst({
@@ -779,6 +753,8 @@ router.get("/admin/:reportId", authentication, async (req, res) => {
             id: true,
             content: true,
             createdAt: true,
+            isEdited: true,
+            editedAt: true,
             author: {
               select: {
                 id: true,
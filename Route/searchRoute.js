@@ -2,6 +2,11 @@ import express from "express";
 import { query, validationResult } from "express-validator";
 import prisma from "../config/prismaConfig.js";
 import { authentication } from "../middleware/authenticantion.js";
+import { PostVisibilityService } from "../services/postVisibilityService.js";
+import { SHARE_COUNT_FILTER } from "../services/postShareService.js";
+import { PostFeedService } from "../services/postFeedService.js";
+import { HashtagService } from "../services/hashtagService.js";
+import { MENTIONS_INCLUDE } from "../services/mentionService.js";
 
 const router = express.Router();
 
@@ -66,7 +71,7 @@ router.get(
             _count: {
               select: {
                 followers: true,
-                posts: true,
+                posts: { where: { status: "published" } },
               },
             },
           },
@@ -161,7 +166,7 @@ router.get(
               select: {
                 followers: true,
                 members: true,
-                posts: true,
+                posts: { where: { status: "published" } },
               },
             },
           },
@@ -221,14 +226,20 @@ router.get(
           where: {
             content: { contains: q },
             deletedAt: null,
+            AND: [PostVisibilityService.visibleTo(req.user.userId)],
           },
           select: {
+            mentions: MENTIONS_INCLUDE,
             id: true,
             content: true,
             type: true,
             createdAt: true,
+            isEdited: true,
+            editedAt: true,
             authorId: true,
             pageId: true,
+            sharedPostId: true,
+            linkPreviewId: true,
             author: {
               select: {
                 id: true,
@@ -258,6 +269,7 @@ router.get(
               select: {
                 comments: true,
                 reactions: true,
+                shares: SHARE_COUNT_FILTER,
               },
             },
           },
@@ -265,7 +277,11 @@ router.get(
           orderBy: [{ createdAt: "desc" }],
         });
 
-        results.posts = posts.map((post) => ({
+        const postsWithShares = await PostFeedService.present(
+          posts,
+          req.user.userId
+        );
+        results.posts = postsWithShares.map((post) => ({
           ...post,
           type: "post",
           matchType: "content",
@@ -288,6 +304,15 @@ router.get(
   }
 );
 
+const toHashtagSuggestion = (hashtag) => ({
+  id: hashtag.id,
+  title: `#${hashtag.name}`,
+  subtitle: `${hashtag.postCount} posts`,
+  image: null,
+  isVerified: false,
+  type: "hashtag",
+});
+
 // Search suggestions for autocomplete
 router.get(
   "/suggestions",
@@ -320,8 +345,24 @@ router.get(
         });
       }
 
+      // "#ca" only suggests hashtags
+      if (q.trim().startsWith("#")) {
+        const hashtags = await HashtagService.suggest(q.trim(), limit);
+        return res.status(200).json({
+          suggestions: hashtags.map(toHashtagSuggestion),
+          query: q,
+          type: "suggestions",
+        });
+      }
+
       const suggestions = [];
 
+      // Get top hashtags
+      const hashtags = await HashtagService.suggest(
+        q.trim(),
+        Math.ceil(limit / 3)
+      );
+
       // Get top users
       const users = await prisma.user.findMany({
         where: {
@@ -381,6 +422,8 @@ router.get(
         });
       });
 
+      suggestions.push(...hashtags.map(toHashtagSuggestion));
+
       // Sort by verification status and limit results
       const sortedSuggestions = suggestions
         .sort((a, b) => {
@@ -459,7 +502,7 @@ router.get(
               select: {
                 followers: true,
                 following: true,
-                posts: true,
+                posts: { where: { status: "published" } },
                 friends: true,
               },
             },
@@ -616,7 +659,7 @@ router.get(
               select: {
                 members: true,
                 followers: true,
-                posts: true,
+                posts: { where: { status: "published" } },
               },
             },
           },
@@ -730,6 +773,7 @@ router.get(
       const searchConditions = {
         content: { contains: q },
         deletedAt: null,
+        AND: [PostVisibilityService.visibleTo(req.user.userId)],
       };
 
       if (type) {
@@ -740,6 +784,7 @@ router.get(
         prisma.post.findMany({
           where: searchConditions,
           include: {
+            mentions: MENTIONS_INCLUDE,
             author: {
               select: {
                 id: true,
@@ -768,6 +813,7 @@ router.get(
               select: {
                 comments: true,
                 reactions: true,
+                shares: SHARE_COUNT_FILTER,
               },
             },
           },
@@ -778,7 +824,11 @@ router.get(
         prisma.post.count({ where: searchConditions }),
       ]);
 
-      const postsWithPreview = posts.map((post) => ({
+      const postsWithShares = await PostFeedService.present(
+        posts,
+        req.user.userId
+      );
+      const postsWithPreview = postsWithShares.map((post) => ({
         ...post,
         contentPreview:
           post.content.length > 150
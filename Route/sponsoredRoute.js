@@ -2,6 +2,8 @@ import express from "express";
 import { body, check, param, query, validationResult } from "express-validator";
 import prisma from "../config/prismaConfig.js";
 import { upload } from "../config/multer.js";
+import { PERMISSIONS } from "../config/permissions.js";
+import { requirePermission } from "../middleware/authorization.js";
 
 const router = express.Router();
 
@@ -50,6 +52,7 @@ router.get(
         "Status must be one of: pending, accepted, rejected, expired"
       ),
   ],
+  requirePermission(PERMISSIONS.SPONSORED_MANAGE),
   async (req, res) => {
     try {
       const errors = validationResult(req);
@@ -101,6 +104,7 @@ router.get(
 router.put(
   "/accept/:id",
   [param("id").notEmpty().withMessage("Invalid ID format")],
+  requirePermission(PERMISSIONS.SPONSORED_MANAGE),
   async (req, res) => {
     try {
       const errors = validationResult(req);
@@ -152,6 +156,7 @@ router.put(
 router.delete(
   "/:id",
   [param("id").notEmpty().withMessage("Invalid ID format")],
+  requirePermission(PERMISSIONS.SPONSORED_MANAGE),
   async (req, res) => {
     try {
       const errors = validationResult(req);
@@ -189,6 +194,8 @@ router.delete(
 
 router.patch(
   "/:id",
+  // Before multer, so uploads of users without the permission aren't stored
+  requirePermission(PERMISSIONS.SPONSORED_MANAGE),
   upload.single("image"),
   [
     param("id").notEmpty().withMessage("Invalid ID format"),
@@ -276,6 +283,7 @@ router.patch(
 router.put(
   "/reject/:id",
   [check("id").notEmpty().withMessage("Invalid ID format")],
+  requirePermission(PERMISSIONS.SPONSORED_MANAGE),
   async (req, res) => {
     try {
       const errors = validationResult(req);
@@ -376,19 +384,23 @@ router.post(
 );
 
 // New endpoint to manually update expired posts
-router.put("/update-expired", async (req, res) => {
-  try {
-    const expiredCount = await updateExpiredPosts();
+router.put(
+  "/update-expired",
+  requirePermission(PERMISSIONS.SPONSORED_MANAGE),
+  async (req, res) => {
+    try {
+      const expiredCount = await updateExpiredPosts();
 
-    res.status(200).json({
-      message: `Successfully updated ${expiredCount} expired posts`,
-      expiredPostsUpdated: expiredCount,
-    });
-  } catch (error) {
-    console.error("Error updating expired posts:", error);
-    res.status(500).json({ message: "Internal server error" });
+      res.status(200).json({
+        message: `Successfully updated ${expiredCount} expired posts`,
+        expiredPostsUpdated: expiredCount,
+      });
+    } catch (error) {
+      console.error("Error updating expired posts:", error);
+      res.status(500).json({ message: "Internal server error" });
+    }
   }
-});
+);
 
 // Get active sponsored posts only (for frontend display)
 router.get("/active", async (req, res) => {
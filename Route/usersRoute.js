@@ -3,8 +3,33 @@ import prisma from "../config/prismaConfig.js";
 import { body, query, param, validationResult } from "express-validator";
 import { upload, uploadIdCard } from "../config/multer.js";
 import { authentication } from "../middleware/authenticantion.js";
+import {
+  hasPermission,
+  requirePermission,
+} from "../middleware/authorization.js";
+import { PERMISSIONS, STAFF_ROLES } from "../config/permissions.js";
+import {
+  AuthStateService,
+  BLOCKED_ACCOUNT_STATUSES,
+} from "../services/authStateService.js";
+import { SessionService } from "../services/sessionService.js";
+import { PrivateFileService } from "../services/privateFileService.js";
 const router = express.Router();
 
+// Whether a staff member may manage another account (status, profile).
+// Staff accounts need STAFF_MANAGE, so a moderator can't lock out or edit
+// the admins who oversee them.
+const canManageUser = async (user, targetUserId) => {
+  if (!hasPermission(user, PERMISSIONS.USERS_MANAGE)) return false;
+  if (hasPermission(user, PERMISSIONS.STAFF_MANAGE)) return true;
+
+  const target = await prisma.user.findUnique({
+    where: { id: targetUserId },
+    select: { staffRole: true },
+  });
+  return !target?.staffRole;
+};
+
 router.get(
   "/search",
   [query("name").notEmpty().withMessage("Query is required")],
@@ -20,6 +45,7 @@ router.get(
       const users = await prisma.user.findMany({
         where: {
           OR: [{ username: { contains: q } }, { name: { contains: q } }],
+          deletedAt: null,
         },
         select: {
           id: true,
@@ -55,9 +81,11 @@ router.get(
         return res.status(400).json({ message: "User ID is required" });
       }
       const user = await prisma.user.findUnique({
-        where: { id: userId },
+        where: { id: userId, deletedAt: null },
         omit: {
           password: true,
+          twoFactorSecret: true,
+          twoFactorLastUsedStep: true,
         },
       });
       if (!user) {
@@ -88,15 +116,19 @@ router.patch(
 
       const userId = req.params.id;
       const currentUserId = req.user.userId;
-      // Check if user is trying to update their own profile or is admin
-      if (userId !== currentUserId && !req.user.isAdmin) {
+      // Check if user is trying to update their own profile or is staff
+      if (
+        userId !== currentUserId &&
+        !(await canManageUser(req.user, userId))
+      ) {
         return res
           .status(403)
           .json({ message: "You can only update your own profile" });
       }
 
+      // Usernames are changed through PATCH /api/auth/username, which
+      // enforces the cooldown and keeps the old handle
       const allowedFields = [
-        "username",
         "name",
         "bio",
         "profilePicture",
@@ -149,9 +181,6 @@ router.patch(
         user: updatedUser,
       });
     } catch (error) {
-      if (error.code === "P2002") {
-        return res.status(400).json({ message: "Username already exists" });
-      }
       console.error("Error updating user:", error);
       res.status(500).json({ message: "Internal server error" });
     }
@@ -242,6 +271,7 @@ router.get(
       .isIn(["active", "pending", "banned"])
       .withMessage("Status must be one of: active, pending, banned"),
   ],
+  requirePermission(PERMISSIONS.USERS_MANAGE),
   async (req, res) => {
     try {
       const errors = validationResult(req);
@@ -259,13 +289,15 @@ router.get(
         take: limit,
         omit: {
           password: true,
+          twoFactorSecret: true,
+          twoFactorLastUsedStep: true,
         },
         include: {
           _count: {
             select: {
               followers: true,
               following: true,
-              posts: true,
+              posts: { where: { status: "published" } },
             },
           },
         },
@@ -310,8 +342,11 @@ router.patch(
       const userId = req.params.userId;
       const currentUserId = req.user.userId;
 
-      // Check if user is trying to update their own profile or is admin
-      if (userId !== currentUserId && !req.user.isAdmin) {
+      // Check if user is trying to update their own profile or is staff
+      if (
+        userId !== currentUserId &&
+        !(await canManageUser(req.user, userId))
+      ) {
         return res
           .status(403)
           .json({ message: "You can only update your own profile" });
@@ -361,8 +396,11 @@ router.patch(
       const userId = req.params.userId;
       const currentUserId = req.user.userId;
 
-      // Check if user is trying to update their own profile or is admin
-      if (userId !== currentUserId && !req.user.isAdmin) {
+      // Check if user is trying to update their own profile or is staff
+      if (
+        userId !== currentUserId &&
+        !(await canManageUser(req.user, userId))
+      ) {
         return res
           .status(403)
           .json({ message: "You can only update your own profile" });
@@ -399,9 +437,20 @@ router.patch(
 router.patch(
   "/:id/status",
   [
-    body("status").notEmpty().withMessage("Status is required"),
+    body("status")
+      .isIn([
+        "active",
+        "pending",
+        "inactive",
+        "suspended",
+        "rejected",
+        "deleted",
+      ])
+      .withMessage("Invalid status"),
     param("id").notEmpty().withMessage("Valid User ID is required"),
   ],
+  authentication,
+  requirePermission(PERMISSIONS.USERS_MANAGE),
   async (req, res) => {
     try {
       const errors = validationResult(req);
@@ -412,15 +461,22 @@ router.patch(
       const userId = req.params.id;
       const { status } = req.body;
 
-      if (!req.user.isAdmin) {
-        return res
-          .status(403)
-          .json({ message: "Only admins can update user status" });
+      if (!(await canManageUser(req.user, userId))) {
+        return res.status(403).json({
+          message: "You do not have permission to manage staff accounts",
+          requiredPermission: PERMISSIONS.STAFF_MANAGE,
+        });
       }
 
+      const isBlocked = BLOCKED_ACCOUNT_STATUSES.includes(status);
+
       const updatedUser = await prisma.user.update({
         where: { id: userId },
-        data: { accountStatus: status },
+        data: {
+          accountStatus: status,
+          // Blocking an account invalidates every token it holds
+          ...(isBlocked && { tokenVersion: { increment: 1 } }),
+        },
         select: {
           id: true,
           username: true,
@@ -429,20 +485,36 @@ router.patch(
         },
       });
 
+      AuthStateService.invalidate(userId);
+      if (isBlocked) {
+        await SessionService.revokeUserSessions(userId, `account_${status}`);
+      }
+
       res.status(200).json({
         message: "User status updated successfully",
         user: updatedUser,
       });
     } catch (error) {
+      if (error.code === "P2025") {
+        return res.status(404).json({ message: "User not found" });
+      }
       console.error("Error updating user status:", error);
       res.status(500).json({ message: "Internal server error" });
     }
   }
 );
 
-router.get(
-  "/:id/idcard",
-  [param("id").notEmpty().withMessage("Valid User ID is required")],
+// Assign or remove the staff role of a user
+router.patch(
+  "/:id/role",
+  [
+    param("id").notEmpty().withMessage("Valid User ID is required"),
+    body("role")
+      .custom((role) => role === null || STAFF_ROLES.includes(role))
+      .withMessage(`Role must be null or one of: ${STAFF_ROLES.join(", ")}`),
+  ],
+  authentication,
+  requirePermission(PERMISSIONS.STAFF_MANAGE),
   async (req, res) => {
     try {
       const errors = validationResult(req);
@@ -451,24 +523,96 @@ router.get(
       }
 
       const userId = req.params.id;
+      const { role } = req.body;
 
-      const user = await prisma.user.findUnique({
+      // Keeps at least one super admin able to manage staff
+      if (userId === req.user.userId) {
+        return res
+          .status(400)
+          .json({ message: "You cannot change your own staff role" });
+      }
+
+      const updatedUser = await prisma.user.update({
         where: { id: userId },
+        data: { staffRole: role, isAdmin: role !== null },
         select: {
           id: true,
           username: true,
-          idCard: true,
+          staffRole: true,
+          updatedAt: true,
         },
       });
 
-      if (!user || !user.idCard) {
+      // Role changes apply to existing sessions right away
+      AuthStateService.invalidate(userId);
+
+      res.status(200).json({
+        message: "Staff role updated successfully",
+        user: updatedUser,
+      });
+    } catch (error) {
+      if (error.code === "P2025") {
+        return res.status(404).json({ message: "User not found" });
+      }
+      console.error("Error updating staff role:", error);
+      res.status(500).json({ message: "Internal server error" });
+    }
+  }
+);
+
+// Get the ID card image of a user (owner or ID card reviewers only).
+// Every attempt is recorded in the private file access log.
+router.get(
+  "/:id/idcard",
+  [param("id").notEmpty().withMessage("Valid User ID is required")],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const userId = req.params.id;
+
+      // Personal access tokens never get identity documents
+      if (
+        req.user.tokenId ||
+        (userId !== req.user.userId &&
+          !hasPermission(req.user, PERMISSIONS.USERS_VIEW_ID_CARD))
+      ) {
+        await PrivateFileService.logAccess(req, {
+          ownerId: userId,
+          fileType: "id_card",
+          granted: false,
+        });
+        return res
+          .status(403)
+          .json({ message: "You can only view your own ID card" });
+      }
+
+      const user = await prisma.user.findUnique({
+        where: { id: userId },
+        select: { id: true, idCard: true },
+      });
+
+      const file =
+        user && (await PrivateFileService.readFile("id_card", user.idCard));
+      if (!file) {
         return res.status(404).json({ message: "ID card not found" });
       }
 
-      res.status(200).json({
-        message: "ID card retrieved successfully",
-        idCard: user.idCard,
+      await PrivateFileService.logAccess(req, {
+        ownerId: userId,
+        fileType: "id_card",
+        fileName: user.idCard,
+        granted: true,
+      });
+
+      res.set({
+        "Cache-Control": "private, no-store",
+        "X-Content-Type-Options": "nosniff",
       });
+      return res.type(file.extension).send(file.data);
     } catch (error) {
       console.error("Error fetching ID card:", error);
       res.status(500).json({ message: "Internal server error" });
@@ -476,14 +620,59 @@ router.get(
   }
 );
 
-router.patch(
-  "/changeidcard/:id",
-  uploadIdCard.single("idCard"),
+// Get who accessed the ID card and verification documents of a user
+router.get(
+  "/:id/private-files/access-log",
   [
     param("id").notEmpty().withMessage("Valid User ID is required"),
-    body("username").notEmpty().withMessage("Username is required"),
+    query("page")
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage("Page must be a positive integer"),
+    query("limit")
+      .optional()
+      .isInt({ min: 1, max: 100 })
+      .withMessage("Limit must be between 1 and 100"),
   ],
   authentication,
+  requirePermission(PERMISSIONS.PRIVATE_FILES_AUDIT),
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const page = parseInt(req.query.page) || 1;
+      const limit = parseInt(req.query.limit) || 20;
+      const skip = (page - 1) * limit;
+
+      const { entries, totalCount } = await PrivateFileService.getAccessLog(
+        { ownerId: req.params.id },
+        { skip, take: limit }
+      );
+
+      return res.status(200).json({
+        entries,
+        pagination: {
+          currentPage: page,
+          totalPages: Math.ceil(totalCount / limit),
+          totalCount,
+          hasMore: skip + entries.length < totalCount,
+        },
+      });
+    } catch (error) {
+      console.error("Error fetching private file access log:", error);
+      return res.status(500).json({ message: "Internal server error" });
+    }
+  }
+);
+
+router.patch(
+  "/changeidcard/:id",
+  uploadIdCard.single("idCard"),
+  [param("id").notEmpty().withMessage("Valid User ID is required")],
+  authentication,
   async (req, res) => {
     try {
       const errors = validationResult(req);
@@ -491,12 +680,14 @@ router.patch(
         return res.status(400).json({ errors: errors.array() });
       }
 
-      const username = req.body.username;
       const userId = req.params.id;
       const currentUserId = req.user.userId;
 
-      // Check if user is trying to update their own profile or is admin
-      if (userId !== currentUserId && !req.user.isAdmin) {
+      // Check if user is trying to update their own profile or is staff
+      if (
+        userId !== currentUserId &&
+        !(await canManageUser(req.user, userId))
+      ) {
         return res
           .status(403)
           .json({ message: "You can only update your own profile" });
@@ -505,16 +696,25 @@ router.patch(
         return res.status(400).json({ message: "ID card image is required" });
       }
 
+      const previous = await prisma.user.findUnique({
+        where: { id: userId },
+        select: { idCard: true },
+      });
+      if (!previous) {
+        return res.status(404).json({ message: "User not found" });
+      }
+
+      const idCard = await PrivateFileService.saveFile("id_card", req.file);
       const updatedUser = await prisma.user.update({
         where: { id: userId },
-        data: { idCard: req.file.filename },
+        data: { idCard },
         select: {
           id: true,
           username: true,
-          idCard: true,
           updatedAt: true,
         },
       });
+      await PrivateFileService.removeFile("id_card", previous.idCard);
 
       res.status(200).json({
         message: "ID card updated successfully",
@@ -2,7 +2,13 @@ import express from "express";
 import prisma from "../config/prismaConfig.js";
 import { body, query, param, validationResult } from "express-validator";
 import { authentication } from "../middleware/authenticantion.js";
+import {
+  hasPermission,
+  requirePermission,
+} from "../middleware/authorization.js";
+import { PERMISSIONS, getRolesWithPermission } from "../config/permissions.js";
 import { uploadVerificationDocs } from "../config/multer.js";
+import { PrivateFileService } from "../services/privateFileService.js";
 
 const router = express.Router();
 
@@ -54,10 +60,14 @@ router.post(
 
       // Check if user has a pending verification request
 
-      // Process uploaded documents
+      // Store uploaded documents encrypted in private storage
       let documentsUrls = [];
       if (req.files && req.files.length > 0) {
-        documentsUrls = req.files.map((file) => file.filename);
+        documentsUrls = await Promise.all(
+          req.files.map((file) =>
+            PrivateFileService.saveFile("verification_document", file)
+          )
+        );
       }
 
       // Create verification request
@@ -81,10 +91,14 @@ router.post(
         },
       });
 
-      // Send notification to admins about new verification request
+      // Send notification to reviewers about new verification request
       try {
         const admins = await prisma.user.findMany({
-          where: { isAdmin: true },
+          where: {
+            staffRole: {
+              in: getRolesWithPermission(PERMISSIONS.VERIFICATION_REVIEW),
+            },
+          },
           select: { id: true },
         });
 
@@ -93,7 +107,7 @@ router.post(
             data: {
               userId: admin.id,
               senderId: userId,
-              type: "mention", // Using mention as closest type
+              type: "verification",
               title: "New Verification Request",
               content: `${verificationRequest.user.name} submitted a verification request`,
             },
@@ -197,6 +211,7 @@ router.get(
       .withMessage("Status must be pending, accepted, or rejected"),
   ],
   authentication,
+  requirePermission(PERMISSIONS.VERIFICATION_REVIEW),
   async (req, res) => {
     try {
       const errors = validationResult(req);
@@ -204,13 +219,6 @@ router.get(
         return res.status(400).json({ errors: errors.array() });
       }
 
-      // Check if user is admin
-      if (!req.user.isAdmin) {
-        return res.status(403).json({
-          message: "Access denied. Admin privileges required.",
-        });
-      }
-
       const page = parseInt(req.query.page) || 1;
       const limit = parseInt(req.query.limit) || 20;
       const skip = (page - 1) * limit;
@@ -280,7 +288,10 @@ router.get(
 
       const { requestId } = req.params;
       const userId = req.user.userId;
-      const isAdmin = req.user.isAdmin;
+      const isReviewer = hasPermission(
+        req.user,
+        PERMISSIONS.VERIFICATION_REVIEW
+      );
 
       const request = await prisma.verificationRequest.findUnique({
         where: { id: requestId },
@@ -312,7 +323,7 @@ router.get(
       }
 
       // Check if user can view this request
-      if (request.userId !== userId && !isAdmin) {
+      if (request.userId !== userId && !isReviewer) {
         return res.status(403).json({
           message: "You can only view your own verification requests",
         });
@@ -326,6 +337,88 @@ router.get(
   }
 );
 
+// Get a document of a verification request (owner or reviewers only).
+// Every attempt is recorded in the private file access log.
+router.get(
+  "/:requestId/documents/:index",
+  [
+    param("requestId").notEmpty().withMessage("Valid request ID is required"),
+    param("index")
+      .isInt({ min: 0 })
+      .withMessage("Document index must be a non-negative integer"),
+  ],
+  authentication,
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { requestId } = req.params;
+      const request = await prisma.verificationRequest.findUnique({
+        where: { id: requestId },
+        select: { id: true, userId: true, documents: true },
+      });
+
+      if (!request) {
+        return res
+          .status(404)
+          .json({ message: "Verification request not found" });
+      }
+
+      let documents = [];
+      try {
+        documents = JSON.parse(request.documents || "[]");
+      } catch (parseError) {
+        documents = [];
+      }
+      const fileName = documents[parseInt(req.params.index)];
+
+      if (
+        request.userId !== req.user.userId &&
+        !hasPermission(req.user, PERMISSIONS.VERIFICATION_REVIEW)
+      ) {
+        await PrivateFileService.logAccess(req, {
+          ownerId: request.userId,
+          fileType: "verification_document",
+          fileName,
+          requestId,
+          granted: false,
+        });
+        return res.status(403).json({
+          message: "You can only view your own verification documents",
+        });
+      }
+
+      const file = await PrivateFileService.readFile(
+        "verification_document",
+        fileName
+      );
+      if (!file) {
+        return res.status(404).json({ message: "Document not found" });
+      }
+
+      await PrivateFileService.logAccess(req, {
+        ownerId: request.userId,
+        fileType: "verification_document",
+        fileName,
+        requestId,
+        granted: true,
+      });
+
+      res.set({
+        "Cache-Control": "private, no-store",
+        "X-Content-Type-Options": "nosniff",
+      });
+      return res.type(file.extension).send(file.data);
+    } catch (error) {
+      console.error("Error fetching verification document:", error);
+      return res.status(500).json({ message: "Internal server error" });
+    }
+  }
+);
+
 // Approve verification request (Admin only)
 router.patch(
   "/:requestId/approve",
@@ -337,17 +430,13 @@ router.patch(
       .withMessage("Review note must be less than 500 characters"),
   ],
   authentication,
+  requirePermission(PERMISSIONS.VERIFICATION_REVIEW),
   async (req, res) => {
     try {
       const errors = validationResult(req);
       if (!errors.isEmpty()) {
         return res.status(400).json({ errors: errors.array() });
       }
-      if (!req.user.isAdmin) {
-        return res.status(403).json({
-          message: "Access denied. Admin privileges required.",
-        });
-      }
 
       const { requestId } = req.params;
       const { reviewNote } = req.body;
@@ -419,7 +508,7 @@ router.patch(
           data: {
             userId: request.userId,
             senderId: reviewerId,
-            type: "mention",
+            type: "verification",
             title: "Verification Approved",
             content: `Congratulations! Your verification request has been approved. You are now verified!`,
           },
@@ -451,6 +540,7 @@ router.patch(
       .withMessage("Review note must be less than 500 characters"),
   ],
   authentication,
+  requirePermission(PERMISSIONS.VERIFICATION_REVIEW),
   async (req, res) => {
     try {
       const errors = validationResult(req);
@@ -458,13 +548,6 @@ router.patch(
         return res.status(400).json({ errors: errors.array() });
       }
 
-      // Check if user is admin
-      if (!req.user.isAdmin) {
-        return res.status(403).json({
-          message: "Access denied. Admin privileges required.",
-        });
-      }
-
       const { requestId } = req.params;
       const { reviewNote } = req.body;
       const reviewerId = req.user.userId;
@@ -529,7 +612,7 @@ router.patch(
           data: {
             userId: request.userId,
             senderId: reviewerId,
-            type: "mention",
+            type: "verification",
             title: "Verification Rejected",
             content: `Your verification request has been rejected. Reason: ${reviewNote}`,
           },
@@ -550,63 +633,61 @@ router.patch(
 );
 
 // Get verification statistics (Admin only)
-router.get("/stats/overview", authentication, async (req, res) => {
-  try {
-    // Check if user is admin
-    if (!req.user.isAdmin) {
-      return res.status(403).json({
-        message: "Access denied. Admin privileges required.",
-      });
-    }
-
-    const [
-      totalRequests,
-      pendingRequests,
-      approvedRequests,
-      rejectedRequests,
-      totalVerifiedUsers,
-      recentRequests,
-    ] = await Promise.all([
-      prisma.verificationRequest.count(),
-      prisma.verificationRequest.count({ where: { status: "pending" } }),
-      prisma.verificationRequest.count({ where: { status: "accepted" } }),
-      prisma.verificationRequest.count({ where: { status: "rejected" } }),
-      prisma.user.count({ where: { isVerified: true } }),
-      prisma.verificationRequest.findMany({
-        where: { status: "pending" },
-        include: {
-          user: {
-            select: {
-              id: true,
-              username: true,
-              name: true,
-              profilePicture: true,
-            },
-          },
-        },
-        orderBy: { createdAt: "desc" },
-        take: 5,
-      }),
-    ]);
-
-    return res.status(200).json({
-      stats: {
+router.get(
+  "/stats/overview",
+  authentication,
+  requirePermission(PERMISSIONS.VERIFICATION_REVIEW),
+  async (req, res) => {
+    try {
+      const [
         totalRequests,
         pendingRequests,
         approvedRequests,
         rejectedRequests,
         totalVerifiedUsers,
-        approvalRate:
-          totalRequests > 0
-            ? ((approvedRequests / totalRequests) * 100).toFixed(2)
-            : 0,
-      },
-      recentRequests,
-    });
-  } catch (error) {
-    console.error("Error fetching verification statistics:", error);
-    return res.status(500).json({ message: "Internal server error" });
+        recentRequests,
+      ] = await Promise.all([
+        prisma.verificationRequest.count(),
+        prisma.verificationRequest.count({ where: { status: "pending" } }),
+        prisma.verificationRequest.count({ where: { status: "accepted" } }),
+        prisma.verificationRequest.count({ where: { status: "rejected" } }),
+        prisma.user.count({ where: { isVerified: true } }),
+        prisma.verificationRequest.findMany({
+          where: { status: "pending" },
+          include: {
+            user: {
+              select: {
+                id: true,
+                username: true,
+                name: true,
+                profilePicture: true,
+              },
+            },
+          },
+          orderBy: { createdAt: "desc" },
+          take: 5,
+        }),
+      ]);
+
+      return res.status(200).json({
+        stats: {
+          totalRequests,
+          pendingRequests,
+          approvedRequests,
+          rejectedRequests,
+          totalVerifiedUsers,
+          approvalRate:
+            totalRequests > 0
+              ? ((approvedRequests / totalRequests) * 100).toFixed(2)
+              : 0,
+        },
+        recentRequests,
+      });
+    } catch (error) {
+      console.error("Error fetching verification statistics:", error);
+      return res.status(500).json({ message: "Internal server error" });
+    }
   }
-});
+);
 
 export { router as verificationRoute };
@@ -51,28 +51,9 @@ const upload = multer({
   },
 });
 
-// Create a separate multer configuration for ID cards
-const idCardStorage = multer.diskStorage({
-  destination: (req, file, cb) => {
-    const idCardDir = path.join(__dirname, "..", "uploads", "idCard");
-    if (!fs.existsSync(idCardDir)) {
-      fs.mkdirSync(idCardDir, { recursive: true });
-      console.log("✅ Multer: Created idCard directory at:", idCardDir);
-    }
-    console.log("📁 Multer idCard destination:", idCardDir);
-    cb(null, idCardDir);
-  },
-  filename: (req, file, cb) => {
-    const username = req.body.username;
-    console.log("🔍 ID card filename generation called - Username:", username);
-    if (!username) {
-      return cb(new Error("Username is required for ID card upload"));
-    }
-    const filename = username + path.extname(file.originalname);
-    console.log("📄 Generated ID card filename:", filename);
-    cb(null, filename);
-  },
-});
+// ID cards and verification documents are kept in memory and then stored
+// encrypted by PrivateFileService, never under the public uploads folder
+const privateStorage = multer.memoryStorage();
 
 // ID card specific file filter
 const idCardFileFilter = (req, file, cb) => {
@@ -92,48 +73,13 @@ const idCardFileFilter = (req, file, cb) => {
 
 // Create multer instance for ID cards
 const uploadIdCard = multer({
-  storage: idCardStorage,
+  storage: privateStorage,
   fileFilter: idCardFileFilter,
   limits: {
     fileSize: 10 * 1024 * 1024, // 10MB limit for ID cards
   },
 });
 
-// Create a separate multer configuration for verification documents
-const verificationStorage = multer.diskStorage({
-  destination: (req, file, cb) => {
-    const verificationDir = path.join(
-      __dirname,
-      "..",
-      "uploads",
-      "verification_documents"
-    );
-    if (!fs.existsSync(verificationDir)) {
-      fs.mkdirSync(verificationDir, { recursive: true });
-      console.log(
-        "✅ Multer: Created verification_documents directory at:",
-        verificationDir
-      );
-    }
-    console.log(
-      "📁 Multer verification documents destination:",
-      verificationDir
-    );
-    cb(null, verificationDir);
-  },
-  filename: (req, file, cb) => {
-    // Use userId and timestamp for filename
-    const userId = req.user?.userId || "unknown";
-    const timestamp = Date.now();
-    const uniqueSuffix = Math.round(Math.random() * 1e9);
-    const filename = `${userId}_${timestamp}_${uniqueSuffix}${path.extname(
-      file.originalname
-    )}`;
-    console.log("📄 Generated verification document filename:", filename);
-    cb(null, filename);
-  },
-});
-
 // Verification documents file filter (allows images and PDFs)
 const verificationFileFilter = (req, file, cb) => {
   console.log("🔍 Verification file filter called - MIME type:", file.mimetype);
@@ -169,7 +115,7 @@ const verificationFileFilter = (req, file, cb) => {
 
 // Create multer instance for verification documents
 const uploadVerificationDocs = multer({
-  storage: verificationStorage,
+  storage: privateStorage,
   fileFilter: verificationFileFilter,
   limits: {
     fileSize: 20 * 1024 * 1024, // 20MB limit for verification documents
@@ -238,14 +184,40 @@ const postMediaFileFilter = (req, file, cb) => {
   }
 };
 
+// Most media a post can have, uploaded at once or added by edits
+const MAX_POST_MEDIA = 10;
+
 // Create multer instance for post media
 const uploadPostMedia = multer({
   storage: postMediaStorage,
   fileFilter: postMediaFileFilter,
   limits: {
     fileSize: 50 * 1024 * 1024, // 50MB limit for post media (videos can be larger)
-    files: 10, // Maximum 10 files per post
+    files: MAX_POST_MEDIA,
   },
 });
 
-export { upload, uploadIdCard, uploadVerificationDocs, uploadPostMedia };
+// Delete the files stored for a request that doesn't succeed, e.g. when the
+// user may not edit the post. Goes before the multer middleware.
+const discardUploadsOnFailure = (req, res, next) => {
+  res.on("close", () => {
+    if (res.writableFinished && res.statusCode < 300) return;
+
+    const files = req.files || (req.file ? [req.file] : []);
+    for (const file of files) {
+      fs.promises
+        .rm(file.path, { force: true })
+        .catch((error) => console.error("Error deleting upload:", error));
+    }
+  });
+  next();
+};
+
+export {
+  upload,
+  uploadIdCard,
+  uploadVerificationDocs,
+  uploadPostMedia,
+  discardUploadsOnFailure,
+  MAX_POST_MEDIA,
+};
@@ -0,0 +1,34 @@
+// Permissions checked by requirePermission / hasPermission
+const PERMISSIONS = {
+  USERS_MANAGE: "users:manage", // List accounts, change status, edit profiles (not of staff)
+  USERS_VIEW_ID_CARD: "users:view_id_card",
+  CONTENT_MODERATE: "content:moderate", // Remove other users' posts
+  REPORTS_REVIEW: "reports:review",
+  VERIFICATION_REVIEW: "verification:review",
+  SPONSORED_MANAGE: "sponsored:manage",
+  STAFF_MANAGE: "staff:manage", // Assign staff roles, manage staff accounts
+  PRIVATE_FILES_AUDIT: "private_files:audit", // Read the ID card/document access log
+};
+
+// What each StaffRole may do
+const ROLE_PERMISSIONS = {
+  super_admin: Object.values(PERMISSIONS),
+  moderator: [
+    PERMISSIONS.USERS_MANAGE,
+    PERMISSIONS.CONTENT_MODERATE,
+    PERMISSIONS.REPORTS_REVIEW,
+  ],
+  verification_reviewer: [
+    PERMISSIONS.USERS_VIEW_ID_CARD,
+    PERMISSIONS.VERIFICATION_REVIEW,
+  ],
+  ads_reviewer: [PERMISSIONS.SPONSORED_MANAGE],
+};
+
+const STAFF_ROLES = Object.keys(ROLE_PERMISSIONS);
+
+// Roles that include a permission, e.g. to find who to notify
+const getRolesWithPermission = (permission) =>
+  STAFF_ROLES.filter((role) => ROLE_PERMISSIONS[role].includes(permission));
+
+export { PERMISSIONS, ROLE_PERMISSIONS, STAFF_ROLES, getRolesWithPermission };
@@ -3,7 +3,7 @@ import cookieParser from "cookie-parser";
 import env from "./config/dotenv.js";
 import compression from "compression";
 import { authenticationRoute } from "./Route/authenticationRoute.js";
-import { authentication } from "./middleware/authenticantion.js";
+import { authentication, tokenScope } from "./middleware/authenticantion.js";
 import { userRoute } from "./Route/usersRoute.js";
 import { postsRouter } from "./Route/postsRouter.js";
 import { likeRouter } from "./Route/likeRouting.js";
@@ -17,6 +17,14 @@ import { searchRouter } from "./Route/searchRoute.js";
 import { verificationRoute } from "./Route/verificationRoute.js";
 import { boostedPostRouter } from "./Route/boostedPostRoute.js";
 import reportRouter from "./Route/reportRoute.js";
+import { dataExportRoute } from "./Route/dataExportRoute.js";
+import { mediaRoute } from "./Route/mediaRoute.js";
+import { hashtagRoute } from "./Route/hashtagRoute.js";
+import { signMediaUrls, blockUnsignedMedia } from "./middleware/mediaUrls.js";
+import startAccountPurgeScheduler from "./services/accountPurgeScheduler.js";
+import startDataExportWorker from "./services/dataExportWorker.js";
+import startScheduledPostPublisher from "./services/scheduledPostPublisher.js";
+import startLinkPreviewWorker from "./services/linkPreviewWorker.js";
 
 import path from "path";
 import { fileURLToPath } from "url";
@@ -67,23 +75,51 @@ app.use(express.urlencoded({ limit: "10mb", extended: true }));
 app.use(express.json({ limit: "10mb" }));
 app.use(cookieParser());
 
-// Serve static files from uploads directory
+// Serve static files from uploads directory. ID cards and verification
+// documents live in private storage; files left there by older versions
+// are never served (see scripts/privateFilesMigration.js).
+app.use(["/uploads/idCard", "/uploads/verification_documents"], (req, res) =>
+  res.status(404).json({ message: "Not found" })
+);
+// Post media and profile/cover pictures are only served via signed URLs
+app.use("/uploads", blockUnsignedMedia);
 app.use("/uploads", express.static(path.join(__dirname, "uploads")));
 
+// Signed URLs carry their own authorization, so no authentication here
+app.use("/api/media", mediaRoute);
+
+app.use(signMediaUrls);
+
 app.use("/api/auth", authenticationRoute);
-app.use("/api/users", authentication, userRoute);
-app.use("/api/posts", authentication, postsRouter);
-app.use("/api/like", authentication, likeRouter);
-app.use("/api/comment/", authentication, commentRouter);
-app.use("/api/friendship", authentication, friendshipRoute);
+app.use("/api/users", tokenScope("users"), authentication, userRoute);
+app.use("/api/posts", tokenScope("posts"), authentication, postsRouter);
+app.use("/api/like", tokenScope("posts"), authentication, likeRouter);
+app.use("/api/comment/", tokenScope("posts"), authentication, commentRouter);
+app.use(
+  "/api/friendship",
+  tokenScope("friendship"),
+  authentication,
+  friendshipRoute
+);
 app.use("/api/sponsored", authentication, sponsoredRouter);
-app.use("/api/page", authentication, pageRoute);
-app.use("/api/notifications", authentication, notificationRouter);
-app.use("/api/search", authentication, searchRouter);
+app.use("/api/page", tokenScope("pages"), authentication, pageRoute);
+app.use(
+  "/api/notifications",
+  tokenScope("notifications"),
+  authentication,
+  notificationRouter
+);
+app.use("/api/search", tokenScope("search"), authentication, searchRouter);
+app.use("/api/hashtags", tokenScope("posts"), authentication, hashtagRoute);
 app.use("/api/verification", authentication, verificationRoute);
 app.use("/api/boosted-posts", authentication, boostedPostRouter);
 app.use("/api/reports", authentication, reportRouter);
+app.use("/api/exports", authentication, dataExportRoute);
 
 app.listen(env.DEV_PORT, () => {
   console.log(`🚀 Server is running on port ${env.DEV_PORT}`);
+  startAccountPurgeScheduler();
+  startDataExportWorker();
+  startScheduledPostPublisher();
+  startLinkPreviewWorker();
 });
@@ -1,15 +1,24 @@
+import crypto from "crypto";
 import jwt from "jsonwebtoken";
 import prisma from "../config/prismaConfig.js";
+import { SessionService } from "../services/sessionService.js";
+import { AuthStateService } from "../services/authStateService.js";
+import { PersonalAccessTokenService } from "../services/personalAccessTokenService.js";
 
-// Helper function to generate new access token
-const generateAccessToken = (user) => {
+// Helper function to generate new access token.
+// `mfa` records whether the session passed two-factor auth, which staff
+// permissions depend on. `tv` ties the token to the user's token version,
+// see AuthStateService.
+const generateAccessToken = (user, sessionId, twoFactorVerified = false) => {
   return jwt.sign(
     {
       userId: user.id,
       email: user.email,
       username: user.username,
-      isAdmin: user.isAdmin || false,
       isProUser: user.isProUser || false,
+      sid: sessionId,
+      mfa: twoFactorVerified,
+      tv: user.tokenVersion || 0,
     },
     process.env.JWT_SECRET,
     { expiresIn: "1h" } // Short-lived access token
@@ -17,21 +26,108 @@ const generateAccessToken = (user) => {
 };
 
 // Helper function to generate new refresh token
-const generateRefreshToken = (user) => {
+const generateRefreshToken = (user, sessionId) => {
   return jwt.sign(
     {
       userId: user.id,
       email: user.email,
       username: user.username,
-      isAdmin: user.isAdmin || false,
       isProUser: user.isProUser || false,
+      sid: sessionId,
+      tv: user.tokenVersion || 0,
       type: "refresh",
     },
     process.env.JWT_REFRESH_SECRET || process.env.JWT_SECRET,
-    { expiresIn: "7d" } // Long-lived refresh token
+    {
+      expiresIn: "7d", // Long-lived refresh token
+      jwtid: crypto.randomUUID(), // Keeps every rotated token unique
+    }
   );
 };
 
+// Helper function to set both auth cookies
+const setAuthCookies = (res, accessToken, refreshToken) => {
+  res.cookie("token", accessToken, {
+    httpOnly: true,
+    secure: true,
+    sameSite: "none",
+    maxAge: 60 * 60 * 1000, // 1 hour
+  });
+
+  if (refreshToken) {
+    res.cookie("refreshToken", refreshToken, {
+      httpOnly: true,
+      secure: true,
+      sameSite: "none",
+      maxAge: 7 * 24 * 60 * 60 * 1000, // 7 days
+    });
+  }
+};
+
+// Helper function for login - opens a server-side session and sets cookies
+const startSession = async (
+  req,
+  res,
+  user,
+  { twoFactorVerified = false } = {}
+) => {
+  const session = await SessionService.createSession(user.id, {
+    userAgent: req.get("user-agent"),
+    ipAddress: req.ip,
+    twoFactorVerified,
+  });
+
+  const accessToken = generateAccessToken(user, session.id, twoFactorVerified);
+  const refreshToken = generateRefreshToken(user, session.id);
+  await SessionService.storeRefreshToken(session.id, refreshToken);
+
+  setAuthCookies(res, accessToken, refreshToken);
+  return session;
+};
+
+// Helper functions for the second login step. The challenge token proves the
+// password was correct and is exchanged for a session once the 2FA code is.
+const generateTwoFactorChallenge = (user) => {
+  return jwt.sign(
+    { userId: user.id, type: "2fa_challenge" },
+    process.env.JWT_SECRET,
+    { expiresIn: "5m" }
+  );
+};
+
+const verifyTwoFactorChallenge = (challengeToken) => {
+  try {
+    const decoded = jwt.verify(challengeToken, process.env.JWT_SECRET);
+    return decoded.type === "2fa_challenge" ? decoded : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+// Helper function to find the session behind the request cookies, even if
+// the tokens have already expired (used by logout)
+const getSessionIdFromRequest = (req) => {
+  const candidates = [
+    [
+      req.cookies.refreshToken,
+      process.env.JWT_REFRESH_SECRET || process.env.JWT_SECRET,
+    ],
+    [req.cookies.token, process.env.JWT_SECRET],
+  ];
+
+  for (const [token, secret] of candidates) {
+    if (!token) continue;
+    try {
+      const decoded = jwt.verify(token, secret, { ignoreExpiration: true });
+      if (decoded.sid) return decoded.sid;
+    } catch (error) {
+      // Tampered or malformed token, try the next one
+    }
+  }
+
+  return null;
+};
+
 // Helper function for logout - clears both tokens
 const clearAuthTokens = (req, res) => {
   res.clearCookie("token", {
@@ -46,10 +142,78 @@ const clearAuthTokens = (req, res) => {
   });
 };
 
-const authentication = (req, res, next) => {
+// Helper function to read an `Authorization: Bearer <token>` header
+const getBearerToken = (req) => {
+  const header = req.get("authorization");
+  const match = header && header.match(/^Bearer\s+(\S+)$/i);
+  return match ? match[1] : null;
+};
+
+// Declare which personal access token scope covers the routes behind it:
+// `<area>:read` for GET and HEAD requests, `<area>:write` for the rest.
+// Routes without a declared scope can't be used with personal access tokens.
+const tokenScope = (area) => (req, res, next) => {
+  const access = ["GET", "HEAD"].includes(req.method) ? "read" : "write";
+  req.requiredScope = `${area}:${access}`;
+  next();
+};
+
+// Authenticate an API client by its personal access token
+const authenticatePersonalAccessToken = async (req, res, next, token) => {
+  const record = await PersonalAccessTokenService.verifyToken(token);
+  if (!record) {
+    return res.status(401).json({ message: "Invalid or expired access token" });
+  }
+
+  const denial = AuthStateService.getAccountDenial(
+    await AuthStateService.getAuthState(record.userId)
+  );
+  if (denial) {
+    return res
+      .status(denial.status)
+      .json({ message: denial.message, code: denial.code });
+  }
+
+  if (!req.requiredScope || !record.scopes.includes(req.requiredScope)) {
+    return res.status(403).json({
+      message: "This access token is not allowed to use this endpoint",
+      requiredScope: req.requiredScope || null,
+    });
+  }
+
+  // Personal access tokens never carry staff permissions
+  req.user = {
+    userId: record.user.id,
+    email: record.user.email,
+    username: record.user.username,
+    role: null,
+    isProUser: record.user.isProUser || false,
+    tokenId: record.id,
+    scopes: record.scopes,
+  };
+  return next();
+};
+
+const authentication = async (req, res, next) => {
+  // Routers are mounted behind this middleware and some of their routes run
+  // it again; authenticate only once per request
+  if (req.user) {
+    return next();
+  }
+
   try {
-    const token = req.cookies.token;
-    const refreshToken = req.cookies.refreshToken;
+    const bearerToken = getBearerToken(req);
+    if (
+      bearerToken &&
+      PersonalAccessTokenService.isPersonalAccessToken(bearerToken)
+    ) {
+      return await authenticatePersonalAccessToken(req, res, next, bearerToken);
+    }
+
+    // A Bearer access token wins over cookies. Bearer clients refresh their
+    // tokens themselves, so cookies are only refreshed for browsers.
+    const token = bearerToken || req.cookies.token;
+    const refreshToken = bearerToken ? null : req.cookies.refreshToken;
 
     if (!token && !refreshToken) {
       return res
@@ -59,10 +223,9 @@ const authentication = (req, res, next) => {
 
     // Try to verify the access token first
     if (token) {
+      let decoded;
       try {
-        const decoded = jwt.verify(token, process.env.JWT_SECRET);
-        req.user = decoded;
-        return next();
+        decoded = jwt.verify(token, process.env.JWT_SECRET);
       } catch (tokenError) {
         // Access token is invalid/expired, try refresh token
         if (tokenError.name === "TokenExpiredError" && refreshToken) {
@@ -72,6 +235,36 @@ const authentication = (req, res, next) => {
           return res.status(401).json({ message: "Invalid access token" });
         }
       }
+
+      // Refresh and 2FA challenge tokens are not access tokens
+      if (decoded.type) {
+        return res.status(401).json({ message: "Invalid access token" });
+      }
+
+      // Reject access tokens whose session was logged out or revoked
+      if (decoded.sid && !(await SessionService.validateSession(decoded.sid))) {
+        clearAuthTokens(req, res);
+        return res
+          .status(401)
+          .json({ message: "Session has been revoked. Please login again." });
+      }
+
+      // Reject blocked accounts and tokens issued before a version bump
+      const authState = await AuthStateService.getAuthState(decoded.userId);
+      const denial = AuthStateService.getAccessDenial(authState, decoded.tv);
+      if (denial) {
+        clearAuthTokens(req, res);
+        return res
+          .status(denial.status)
+          .json({ message: denial.message, code: denial.code });
+      }
+
+      // Staff roles only apply to sessions that passed two-factor auth
+      req.user = {
+        ...decoded,
+        role: decoded.mfa ? authState.staffRole : null,
+      };
+      return next();
     } else if (refreshToken) {
       // Only refresh token provided, try to refresh
       return handleTokenRefresh(req, res, next, refreshToken);
@@ -98,23 +291,41 @@ const handleTokenRefresh = async (req, res, next, refreshToken) => {
       return res.status(401).json({ message: "Invalid refresh token type" });
     }
 
+    // Rotate the token in the server-side store; replaying an old token
+    // revokes the whole session
+    const { session, rotate } = await SessionService.consumeRefreshToken(
+      refreshToken
+    );
+
     const user = await prisma.user.findUnique({
       where: {
-        id: refreshDecoded.userId,
+        id: session.userId,
       },
       select: {
         id: true,
         email: true,
         username: true,
-        isAdmin: true,
         isProUser: true,
+        staffRole: true,
+        tokenVersion: true,
+        accountStatus: true,
+        deletedAt: true,
       },
     });
 
-    if (!user) {
+    // Always read fresh state here: a refresh must never outlive a
+    // suspension or version bump
+    const denial = AuthStateService.getAccessDenial(user, refreshDecoded.tv);
+    if (denial) {
+      // The session kept by a password change was reissued with the new
+      // version, so a stale version means the session is over
+      if (user && denial.code === "TOKEN_REVOKED") {
+        await SessionService.revokeSession(session.id, "token_revoked");
+      }
+      clearAuthTokens(req, res);
       return res
-        .status(401)
-        .json({ message: "User not found or account deactivated" });
+        .status(denial.status)
+        .json({ message: denial.message, code: denial.code });
     }
 
     // Generate new tokens
@@ -122,42 +333,50 @@ const handleTokenRefresh = async (req, res, next, refreshToken) => {
       id: user.id,
       email: user.email,
       username: user.username,
-      isAdmin: user.isAdmin || false,
       isProUser: user.isProUser || false,
+      tokenVersion: user.tokenVersion,
     };
 
-    const newAccessToken = generateAccessToken(userData);
-    const newRefreshToken = generateRefreshToken(userData);
-
-    // Set new tokens in cookies
-    res.cookie("token", newAccessToken, {
-      httpOnly: true,
-      secure: process.env.NODE_ENV === "production",
-      sameSite: "strict",
-      maxAge: 60 * 60 * 1000, // 1 hour
-    });
+    const newAccessToken = generateAccessToken(
+      userData,
+      session.id,
+      session.twoFactorVerified
+    );
 
-    res.cookie("refreshToken", newRefreshToken, {
-      httpOnly: true,
-      secure: process.env.NODE_ENV === "production",
-      sameSite: "strict",
-      maxAge: 7 * 24 * 60 * 60 * 1000, // 7 days
-    });
+    if (rotate) {
+      const newRefreshToken = generateRefreshToken(userData, session.id);
+      await SessionService.storeRefreshToken(session.id, newRefreshToken);
+      setAuthCookies(res, newAccessToken, newRefreshToken);
+    } else {
+      // A parallel request already rotated this token and sent the new
+      // refresh cookie; only hand out a fresh access token here
+      setAuthCookies(res, newAccessToken);
+    }
 
     req.user = {
       userId: user.id,
       email: user.email,
       username: user.username,
-      isAdmin: user.isAdmin || false,
       isProUser: user.isProUser || false,
+      role: session.twoFactorVerified ? user.staffRole : null,
+      sid: session.id,
+      mfa: session.twoFactorVerified,
+      tv: user.tokenVersion,
     };
 
     req.tokensRefreshed = true; // Flag to indicate tokens were refreshed
 
     return next();
   } catch (refreshError) {
-    // Refresh token is also invalid
-    clearAuthTokens(res);
+    // Refresh token is invalid, expired, revoked or replayed
+    if (refreshError.name === "SessionError") {
+      console.warn(`Refresh rejected: ${refreshError.code}`);
+    } else if (
+      !["JsonWebTokenError", "TokenExpiredError"].includes(refreshError.name)
+    ) {
+      console.error("Token refresh error:", refreshError);
+    }
+    clearAuthTokens(req, res);
     return res.status(401).json({
       message: "Refresh token expired or invalid. Please login again.",
     });
@@ -166,8 +385,14 @@ const handleTokenRefresh = async (req, res, next, refreshToken) => {
 
 export {
   authentication,
+  tokenScope,
   generateAccessToken,
   generateRefreshToken,
+  setAuthCookies,
+  startSession,
+  generateTwoFactorChallenge,
+  verifyTwoFactorChallenge,
+  getSessionIdFromRequest,
   clearAuthTokens,
   handleTokenRefresh,
 };
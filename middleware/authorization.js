@@ -0,0 +1,22 @@
+import { ROLE_PERMISSIONS } from "../config/permissions.js";
+
+// Helper function to check a permission of the authenticated user.
+// `req.user.role` is only set for staff sessions that passed 2FA.
+const hasPermission = (user, permission) => {
+  if (!user || !user.role) return false;
+  return (ROLE_PERMISSIONS[user.role] || []).includes(permission);
+};
+
+// Reject the request unless the user has the permission.
+// Must run after `authentication`.
+const requirePermission = (permission) => (req, res, next) => {
+  if (!hasPermission(req.user, permission)) {
+    return res.status(403).json({
+      message: "You do not have permission to perform this action",
+      requiredPermission: permission,
+    });
+  }
+  next();
+};
+
+export { hasPermission, requirePermission };
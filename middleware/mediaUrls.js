@@ -0,0 +1,21 @@
+import { MediaUrlService } from "../services/mediaUrlService.js";
+
+// Replace stored media paths in JSON responses with signed URLs, issued to
+// the authenticated user (read when the response is sent)
+const signMediaUrls = (req, res, next) => {
+  const json = res.json.bind(res);
+  res.json = (body) =>
+    json(MediaUrlService.signUrls(body, req.user?.userId || null));
+  next();
+};
+
+// Keep files that need a signed URL out of the static uploads route.
+// Mount under "/uploads".
+const blockUnsignedMedia = (req, res, next) => {
+  if (MediaUrlService.requiresSignedUrl(decodeURIComponent(req.path))) {
+    return res.status(404).json({ message: "Not found" });
+  }
+  next();
+};
+
+export { signMediaUrls, blockUnsignedMedia };
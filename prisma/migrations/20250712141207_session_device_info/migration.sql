@@ -0,0 +1,4 @@
+-- AlterTable
+ALTER TABLE `session` ADD COLUMN `ipAddress` VARCHAR(191) NULL,
+    ADD COLUMN `lastSeenAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+    ADD COLUMN `userAgent` TEXT NULL;
@@ -0,0 +1,5 @@
+-- AlterTable
+ALTER TABLE `user` ADD COLUMN `emailVerifiedAt` DATETIME(3) NULL;
+
+-- AlterTable
+ALTER TABLE `user_token` MODIFY `type` ENUM('password_reset', 'email_verification') NOT NULL;
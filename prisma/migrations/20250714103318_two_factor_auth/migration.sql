@@ -0,0 +1,22 @@
+-- AlterTable
+ALTER TABLE `session` ADD COLUMN `twoFactorVerified` BOOLEAN NOT NULL DEFAULT false;
+
+-- AlterTable
+ALTER TABLE `user` ADD COLUMN `twoFactorEnabled` BOOLEAN NOT NULL DEFAULT false,
+    ADD COLUMN `twoFactorLastUsedStep` INTEGER NULL,
+    ADD COLUMN `twoFactorSecret` TEXT NULL;
+
+-- CreateTable
+CREATE TABLE `two_factor_backup_code` (
+    `id` VARCHAR(191) NOT NULL,
+    `userId` VARCHAR(191) NOT NULL,
+    `codeHash` VARCHAR(191) NOT NULL,
+    `usedAt` DATETIME(3) NULL,
+    `createdAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+
+    INDEX `two_factor_backup_code_userId_codeHash_idx`(`userId`, `codeHash`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- AddForeignKey
+ALTER TABLE `two_factor_backup_code` ADD CONSTRAINT `two_factor_backup_code_userId_fkey` FOREIGN KEY (`userId`) REFERENCES `user`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
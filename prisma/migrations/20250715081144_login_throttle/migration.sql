@@ -0,0 +1,14 @@
+-- CreateTable
+CREATE TABLE `login_throttle` (
+    `id` VARCHAR(191) NOT NULL,
+    `key` VARCHAR(191) NOT NULL,
+    `failedCount` INTEGER NOT NULL DEFAULT 0,
+    `lastFailedAt` DATETIME(3) NULL,
+    `lockedUntil` DATETIME(3) NULL,
+    `createdAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+    `updatedAt` DATETIME(3) NOT NULL,
+
+    UNIQUE INDEX `login_throttle_key_key`(`key`),
+    INDEX `login_throttle_lastFailedAt_idx`(`lastFailedAt`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
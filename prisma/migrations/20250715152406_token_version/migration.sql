@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE `user` ADD COLUMN `tokenVersion` INTEGER NOT NULL DEFAULT 0;
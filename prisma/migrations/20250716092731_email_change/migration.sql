@@ -0,0 +1,3 @@
+-- AlterTable
+ALTER TABLE `user_token` ADD COLUMN `payload` JSON NULL,
+    MODIFY `type` ENUM('password_reset', 'email_verification', 'email_change') NOT NULL;
@@ -0,0 +1,5 @@
+-- AlterTable
+ALTER TABLE `user` ADD COLUMN `staffRole` ENUM('super_admin', 'moderator', 'verification_reviewer', 'ads_reviewer') NULL;
+
+-- Existing admins keep full access
+UPDATE `user` SET `staffRole` = 'super_admin' WHERE `isAdmin` = true;
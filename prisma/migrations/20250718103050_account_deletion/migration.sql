@@ -0,0 +1,5 @@
+-- AlterTable
+ALTER TABLE `user` ADD COLUMN `purgeAfter` DATETIME(3) NULL;
+
+-- CreateIndex
+CREATE INDEX `user_purgeAfter_idx` ON `user`(`purgeAfter`);
@@ -0,0 +1,18 @@
+-- AlterTable
+ALTER TABLE `user` ADD COLUMN `usernameChangedAt` DATETIME(3) NULL;
+
+-- CreateTable
+CREATE TABLE `username_history` (
+    `id` VARCHAR(191) NOT NULL,
+    `userId` VARCHAR(191) NOT NULL,
+    `username` VARCHAR(191) NOT NULL,
+    `heldUntil` DATETIME(3) NOT NULL,
+    `createdAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+
+    INDEX `username_history_username_idx`(`username`),
+    INDEX `username_history_userId_idx`(`userId`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- AddForeignKey
+ALTER TABLE `username_history` ADD CONSTRAINT `username_history_userId_fkey` FOREIGN KEY (`userId`) REFERENCES `user`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,18 @@
+-- CreateTable
+CREATE TABLE `private_file_access_log` (
+    `id` VARCHAR(191) NOT NULL,
+    `actorId` VARCHAR(191) NOT NULL,
+    `ownerId` VARCHAR(191) NOT NULL,
+    `fileType` ENUM('id_card', 'verification_document') NOT NULL,
+    `fileName` VARCHAR(191) NOT NULL,
+    `requestId` VARCHAR(191) NULL,
+    `granted` BOOLEAN NOT NULL,
+    `ipAddress` VARCHAR(191) NULL,
+    `userAgent` TEXT NULL,
+    `createdAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+
+    INDEX `private_file_access_log_ownerId_idx`(`ownerId`),
+    INDEX `private_file_access_log_actorId_idx`(`actorId`),
+    INDEX `private_file_access_log_createdAt_idx`(`createdAt`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
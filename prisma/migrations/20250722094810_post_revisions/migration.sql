@@ -0,0 +1,22 @@
+-- AlterTable
+ALTER TABLE `post` ADD COLUMN `editedAt` DATETIME(3) NULL,
+    ADD COLUMN `isEdited` BOOLEAN NOT NULL DEFAULT false;
+
+-- CreateTable
+CREATE TABLE `post_revision` (
+    `id` VARCHAR(191) NOT NULL,
+    `postId` VARCHAR(191) NOT NULL,
+    `editorId` VARCHAR(191) NULL,
+    `content` LONGTEXT NULL,
+    `media` JSON NULL,
+    `createdAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+
+    INDEX `post_revision_postId_idx`(`postId`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- AddForeignKey
+ALTER TABLE `post_revision` ADD CONSTRAINT `post_revision_postId_fkey` FOREIGN KEY (`postId`) REFERENCES `post`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `post_revision` ADD CONSTRAINT `post_revision_editorId_fkey` FOREIGN KEY (`editorId`) REFERENCES `user`(`id`) ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,17 @@
+-- AlterTable
+ALTER TABLE `post` ADD COLUMN `audience` ENUM('public', 'friends', 'followers', 'only_me', 'custom') NOT NULL DEFAULT 'public';
+
+-- CreateTable
+CREATE TABLE `post_audience_member` (
+    `postId` VARCHAR(191) NOT NULL,
+    `userId` VARCHAR(191) NOT NULL,
+
+    INDEX `post_audience_member_userId_idx`(`userId`),
+    PRIMARY KEY (`postId`, `userId`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- AddForeignKey
+ALTER TABLE `post_audience_member` ADD CONSTRAINT `post_audience_member_postId_fkey` FOREIGN KEY (`postId`) REFERENCES `post`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `post_audience_member` ADD CONSTRAINT `post_audience_member_userId_fkey` FOREIGN KEY (`userId`) REFERENCES `user`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
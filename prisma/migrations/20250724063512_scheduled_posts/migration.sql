@@ -0,0 +1,9 @@
+-- AlterTable
+ALTER TABLE `notification` MODIFY `type` ENUM('like', 'comment', 'follow', 'friend_request', 'friend_accept', 'page_follow', 'page_like', 'mention', 'new_post') NOT NULL;
+
+-- AlterTable
+ALTER TABLE `post` ADD COLUMN `publishAt` DATETIME(3) NULL,
+    ADD COLUMN `status` ENUM('published', 'scheduled') NOT NULL DEFAULT 'published';
+
+-- CreateIndex
+CREATE INDEX `post_status_publishAt_idx` ON `post`(`status`, `publishAt`);
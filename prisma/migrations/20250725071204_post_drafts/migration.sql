@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE `post` MODIFY `status` ENUM('published', 'scheduled', 'draft') NOT NULL DEFAULT 'published';
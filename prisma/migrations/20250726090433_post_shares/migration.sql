@@ -0,0 +1,11 @@
+-- AlterTable
+ALTER TABLE `notification` MODIFY `type` ENUM('like', 'comment', 'follow', 'friend_request', 'friend_accept', 'page_follow', 'page_like', 'mention', 'new_post', 'share') NOT NULL;
+
+-- AlterTable
+ALTER TABLE `post` ADD COLUMN `sharedPostId` VARCHAR(191) NULL;
+
+-- CreateIndex
+CREATE INDEX `post_sharedPostId_idx` ON `post`(`sharedPostId`);
+
+-- AddForeignKey
+ALTER TABLE `post` ADD CONSTRAINT `post_sharedPostId_fkey` FOREIGN KEY (`sharedPostId`) REFERENCES `post`(`id`) ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,25 @@
+-- CreateTable
+CREATE TABLE `hashtag` (
+    `id` VARCHAR(191) NOT NULL,
+    `name` VARCHAR(100) NOT NULL,
+    `createdAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+
+    UNIQUE INDEX `hashtag_name_key`(`name`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- CreateTable
+CREATE TABLE `post_hashtag` (
+    `postId` VARCHAR(191) NOT NULL,
+    `hashtagId` VARCHAR(191) NOT NULL,
+    `createdAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+
+    INDEX `post_hashtag_hashtagId_idx`(`hashtagId`),
+    PRIMARY KEY (`postId`, `hashtagId`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- AddForeignKey
+ALTER TABLE `post_hashtag` ADD CONSTRAINT `post_hashtag_postId_fkey` FOREIGN KEY (`postId`) REFERENCES `post`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `post_hashtag` ADD CONSTRAINT `post_hashtag_hashtagId_fkey` FOREIGN KEY (`hashtagId`) REFERENCES `hashtag`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,33 @@
+-- AlterTable
+ALTER TABLE `notification` MODIFY `type` ENUM('like', 'comment', 'follow', 'friend_request', 'friend_accept', 'page_follow', 'page_like', 'mention', 'new_post', 'share', 'verification') NOT NULL;
+
+-- Verification notifications used to be stored as mentions
+UPDATE `notification` SET `type` = 'verification'
+WHERE `type` = 'mention'
+    AND `title` IN ('New Verification Request', 'Verification Approved', 'Verification Rejected');
+
+-- CreateTable
+CREATE TABLE `mention` (
+    `id` VARCHAR(191) NOT NULL,
+    `userId` VARCHAR(191) NOT NULL,
+    `postId` VARCHAR(191) NULL,
+    `commentId` VARCHAR(191) NULL,
+    `offset` INTEGER NOT NULL,
+    `length` INTEGER NOT NULL,
+    `notifiedAt` DATETIME(3) NULL,
+    `createdAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+
+    INDEX `mention_userId_idx`(`userId`),
+    INDEX `mention_postId_idx`(`postId`),
+    INDEX `mention_commentId_idx`(`commentId`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- AddForeignKey
+ALTER TABLE `mention` ADD CONSTRAINT `mention_userId_fkey` FOREIGN KEY (`userId`) REFERENCES `user`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `mention` ADD CONSTRAINT `mention_postId_fkey` FOREIGN KEY (`postId`) REFERENCES `post`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `mention` ADD CONSTRAINT `mention_commentId_fkey` FOREIGN KEY (`commentId`) REFERENCES `comment`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,52 @@
+-- CreateTable
+CREATE TABLE `poll` (
+    `id` VARCHAR(191) NOT NULL,
+    `postId` VARCHAR(191) NOT NULL,
+    `question` VARCHAR(300) NOT NULL,
+    `allowMultiple` BOOLEAN NOT NULL DEFAULT false,
+    `closesAt` DATETIME(3) NULL,
+    `createdAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+
+    UNIQUE INDEX `poll_postId_key`(`postId`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- CreateTable
+CREATE TABLE `poll_option` (
+    `id` VARCHAR(191) NOT NULL,
+    `pollId` VARCHAR(191) NOT NULL,
+    `text` VARCHAR(100) NOT NULL,
+    `position` INTEGER NOT NULL,
+
+    INDEX `poll_option_pollId_idx`(`pollId`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- CreateTable
+CREATE TABLE `poll_vote` (
+    `id` VARCHAR(191) NOT NULL,
+    `pollId` VARCHAR(191) NOT NULL,
+    `optionId` VARCHAR(191) NOT NULL,
+    `userId` VARCHAR(191) NOT NULL,
+    `createdAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+
+    INDEX `poll_vote_pollId_userId_idx`(`pollId`, `userId`),
+    INDEX `poll_vote_userId_idx`(`userId`),
+    UNIQUE INDEX `poll_vote_optionId_userId_key`(`optionId`, `userId`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- AddForeignKey
+ALTER TABLE `poll` ADD CONSTRAINT `poll_postId_fkey` FOREIGN KEY (`postId`) REFERENCES `post`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `poll_option` ADD CONSTRAINT `poll_option_pollId_fkey` FOREIGN KEY (`pollId`) REFERENCES `poll`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `poll_vote` ADD CONSTRAINT `poll_vote_pollId_fkey` FOREIGN KEY (`pollId`) REFERENCES `poll`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `poll_vote` ADD CONSTRAINT `poll_vote_optionId_fkey` FOREIGN KEY (`optionId`) REFERENCES `poll_option`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `poll_vote` ADD CONSTRAINT `poll_vote_userId_fkey` FOREIGN KEY (`userId`) REFERENCES `user`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,28 @@
+-- AlterTable
+ALTER TABLE `post` ADD COLUMN `linkPreviewId` VARCHAR(191) NULL;
+
+-- CreateTable
+CREATE TABLE `link_preview` (
+    `id` VARCHAR(191) NOT NULL,
+    `url` VARCHAR(2048) NOT NULL,
+    `urlHash` CHAR(64) NOT NULL,
+    `status` ENUM('pending', 'ready', 'failed') NOT NULL DEFAULT 'pending',
+    `title` VARCHAR(300) NULL,
+    `description` TEXT NULL,
+    `imageUrl` VARCHAR(2048) NULL,
+    `siteName` VARCHAR(200) NULL,
+    `error` VARCHAR(255) NULL,
+    `fetchedAt` DATETIME(3) NULL,
+    `createdAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+    `updatedAt` DATETIME(3) NOT NULL,
+
+    UNIQUE INDEX `link_preview_urlHash_key`(`urlHash`),
+    INDEX `link_preview_status_updatedAt_idx`(`status`, `updatedAt`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- CreateIndex
+CREATE INDEX `post_linkPreviewId_idx` ON `post`(`linkPreviewId`);
+
+-- AddForeignKey
+ALTER TABLE `post` ADD CONSTRAINT `post_linkPreviewId_fkey` FOREIGN KEY (`linkPreviewId`) REFERENCES `link_preview`(`id`) ON DELETE SET NULL ON UPDATE CASCADE;
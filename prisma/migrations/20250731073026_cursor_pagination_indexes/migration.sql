@@ -0,0 +1,17 @@
+-- CreateIndex
+CREATE INDEX `notification_userId_createdAt_id_idx` ON `notification`(`userId`, `createdAt`, `id`);
+
+-- CreateIndex
+CREATE INDEX `follower_followingId_createdAt_id_idx` ON `follower`(`followingId`, `createdAt`, `id`);
+
+-- CreateIndex
+CREATE INDEX `follower_followerId_createdAt_id_idx` ON `follower`(`followerId`, `createdAt`, `id`);
+
+-- CreateIndex
+CREATE INDEX `pagefollower_pageId_createdAt_id_idx` ON `pagefollower`(`pageId`, `createdAt`, `id`);
+
+-- CreateIndex
+CREATE INDEX `pagemember_pageId_status_createdAt_id_idx` ON `pagemember`(`pageId`, `status`, `createdAt`, `id`);
+
+-- CreateIndex
+CREATE INDEX `post_createdAt_id_idx` ON `post`(`createdAt`, `id`);
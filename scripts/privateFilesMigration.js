@@ -0,0 +1,164 @@
+/**
+ * Migration Script for Private File Storage
+ *
+ * Older versions stored ID cards in uploads/idCard (named after the
+ * username) and verification documents in uploads/verification_documents,
+ * both unencrypted. This script encrypts them into private storage, updates
+ * the stored file names and removes the old copies.
+ * Requires the same ENCRYPTION_KEY as the server.
+ */
+
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import prisma from "../config/prismaConfig.js";
+import { PrivateFileService } from "../services/privateFileService.js";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const UPLOADS_DIR = path.join(__dirname, "..", "uploads");
+
+const MIME_TYPES_BY_EXTENSION = {
+  ".jpg": "image/jpeg",
+  ".jpeg": "image/jpeg",
+  ".png": "image/png",
+  ".gif": "image/gif",
+  ".webp": "image/webp",
+  ".pdf": "application/pdf",
+};
+
+const isMigrated = (fileName) => fileName.endsWith(".enc");
+
+/**
+ * Encrypt one legacy upload into private storage
+ * @returns {Promise<Object|null>} - { newName, legacyPath }, or null if missing
+ */
+const migrateFile = async (fileType, legacyDir, fileName) => {
+  const legacyPath = path.join(UPLOADS_DIR, legacyDir, path.basename(fileName));
+  if (!fs.existsSync(legacyPath)) {
+    console.warn(`⚠️  Missing file: ${legacyPath}`);
+    return null;
+  }
+
+  const newName = await PrivateFileService.saveFile(fileType, {
+    buffer: await fs.promises.readFile(legacyPath),
+    mimetype:
+      MIME_TYPES_BY_EXTENSION[path.extname(fileName).toLowerCase()] || null,
+  });
+  return { newName, legacyPath };
+};
+
+/**
+ * Move ID cards into private storage
+ */
+const migrateIdCards = async () => {
+  console.log("🔍 Migrating ID cards...");
+
+  const users = await prisma.user.findMany({
+    where: { idCard: { not: null } },
+    select: { id: true, idCard: true },
+  });
+
+  let migratedCount = 0;
+  for (const user of users) {
+    if (isMigrated(user.idCard)) continue;
+
+    const result = await migrateFile("id_card", "idCard", user.idCard);
+    if (!result) continue;
+
+    await prisma.user.update({
+      where: { id: user.id },
+      data: { idCard: result.newName },
+    });
+    await fs.promises.rm(result.legacyPath, { force: true });
+    migratedCount++;
+  }
+
+  console.log(`✅ Migrated ${migratedCount} ID cards`);
+  return migratedCount;
+};
+
+/**
+ * Move verification documents into private storage
+ */
+const migrateVerificationDocuments = async () => {
+  console.log("🔍 Migrating verification documents...");
+
+  const requests = await prisma.verificationRequest.findMany({
+    where: { documents: { not: null } },
+    select: { id: true, documents: true },
+  });
+
+  let migratedCount = 0;
+  for (const request of requests) {
+    let documents;
+    try {
+      documents = JSON.parse(request.documents);
+    } catch (error) {
+      console.warn(`⚠️  Invalid documents on request ${request.id}`);
+      continue;
+    }
+    if (documents.every(isMigrated)) continue;
+
+    const legacyPaths = [];
+    const newDocuments = [];
+    for (const document of documents) {
+      if (isMigrated(document)) {
+        newDocuments.push(document);
+        continue;
+      }
+      const result = await migrateFile(
+        "verification_document",
+        "verification_documents",
+        document
+      );
+      if (!result) continue;
+      newDocuments.push(result.newName);
+      legacyPaths.push(result.legacyPath);
+    }
+
+    await prisma.verificationRequest.update({
+      where: { id: request.id },
+      data: {
+        documents:
+          newDocuments.length > 0 ? JSON.stringify(newDocuments) : null,
+      },
+    });
+    for (const legacyPath of legacyPaths) {
+      await fs.promises.rm(legacyPath, { force: true });
+    }
+    migratedCount += legacyPaths.length;
+  }
+
+  console.log(`✅ Migrated ${migratedCount} verification documents`);
+  return migratedCount;
+};
+
+/**
+ * Main migration function
+ */
+const runMigration = async () => {
+  console.log("🚀 Starting private file migration...\n");
+
+  try {
+    await migrateIdCards();
+    console.log("");
+
+    await migrateVerificationDocuments();
+    console.log("");
+
+    console.log("✅ Private file migration completed successfully!");
+  } catch (error) {
+    console.error("❌ Migration failed:", error);
+  } finally {
+    await prisma.$disconnect();
+  }
+};
+
+// Run if called directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runMigration();
+}
+
+export { migrateIdCards, migrateVerificationDocuments, runMigration };
@@ -0,0 +1,273 @@
+import crypto from "crypto";
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import bcrypt from "bcryptjs";
+import prisma from "../config/prismaConfig.js";
+import { SoftDeleteService } from "./softDeleteService.js";
+import { SessionService } from "./sessionService.js";
+import { PersonalAccessTokenService } from "./personalAccessTokenService.js";
+import { DataExportService } from "./dataExportService.js";
+import { PrivateFileService } from "./privateFileService.js";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const UPLOADS_DIR = path.join(__dirname, "..", "uploads");
+
+// How long a deleted account can still be restored by logging in
+const ACCOUNT_DELETION_GRACE_MS = 30 * 24 * 60 * 60 * 1000; // 30 days
+
+// Accounts purged per scheduler run
+const PURGE_BATCH_SIZE = 50;
+
+// Remove an uploaded file. Only the base name of the stored value is used,
+// so a crafted value can't point outside the upload folder.
+const removeUpload = async (subdir, storedValue) => {
+  if (!storedValue) return;
+  const filePath = path.join(UPLOADS_DIR, subdir, path.basename(storedValue));
+  try {
+    await fs.promises.rm(filePath, { force: true });
+  } catch (error) {
+    console.error(`Error removing upload ${filePath}:`, error);
+  }
+};
+
+const parseDocuments = (documents) => {
+  try {
+    return JSON.parse(documents || "[]");
+  } catch (error) {
+    return [];
+  }
+};
+
+/**
+ * Self-service account deletion.
+ *
+ * Deleting an account hides it and its content right away. The owner can
+ * undo this by logging in during the grace period; after that the account
+ * is purged: personal data and files are removed and the user row is
+ * anonymized so reports and page ownership stay consistent.
+ */
+class AccountDeletionService {
+  /**
+   * Delete an account, starting the grace period
+   * @param {string} userId - The ID of the user deleting their account
+   * @returns {Promise<Date>} - When the account will be purged
+   */
+  static async scheduleDeletion(userId) {
+    const purgeAfter = new Date(Date.now() + ACCOUNT_DELETION_GRACE_MS);
+
+    await SoftDeleteService.softDeleteUser(userId, { purgeAfter });
+    await SessionService.revokeUserSessions(userId, "account_deleted");
+    await PersonalAccessTokenService.revokeUserTokens(userId);
+
+    return purgeAfter;
+  }
+
+  /**
+   * Whether a deleted account can still be restored by its owner
+   * @param {Object} user - The user ({ deletedAt, purgeAfter })
+   * @returns {boolean}
+   */
+  static isRestorable(user) {
+    return Boolean(
+      user.deletedAt && user.purgeAfter && user.purgeAfter > new Date()
+    );
+  }
+
+  /**
+   * Undo a deletion during the grace period
+   * @param {string} userId - The ID of the user
+   * @returns {Promise<Object>} - The restored user object
+   */
+  static async restoreAccount(userId) {
+    return await SoftDeleteService.restoreUser(userId);
+  }
+
+  /**
+   * Permanently remove the personal data of an account whose grace period
+   * is over
+   * @param {string} userId - The ID of the user
+   * @returns {Promise<boolean>} - Whether the account was purged
+   */
+  static async purgeAccount(userId) {
+    const user = await prisma.user.findUnique({
+      where: { id: userId },
+      select: {
+        id: true,
+        deletedAt: true,
+        purgeAfter: true,
+        profilePicture: true,
+        coverPicture: true,
+        idCard: true,
+      },
+    });
+
+    if (!user || !user.deletedAt || !user.purgeAfter) return false;
+    if (user.purgeAfter > new Date()) return false;
+
+    const posts = await prisma.post.findMany({
+      where: { authorId: userId },
+      select: { id: true },
+    });
+    const postIds = posts.map((post) => post.id);
+
+    const [media, stories, verificationRequests] = await Promise.all([
+      prisma.media.findMany({
+        where: { postId: { in: postIds } },
+        select: { url: true, filename: true },
+      }),
+      prisma.story.findMany({
+        where: { authorId: userId },
+        select: { mediaUrl: true },
+      }),
+      prisma.verificationRequest.findMany({
+        where: { userId },
+        select: { documents: true },
+      }),
+    ]);
+
+    const placeholderPassword = await bcrypt.hash(
+      crypto.randomBytes(32).toString("hex"),
+      10
+    );
+
+    await prisma.$transaction([
+      prisma.notification.deleteMany({
+        where: {
+          OR: [
+            { userId },
+            { senderId: userId },
+            { postId: { in: postIds } },
+            { comment: { userId } },
+          ],
+        },
+      }),
+      prisma.reaction.deleteMany({
+        where: { OR: [{ userId }, { postId: { in: postIds } }] },
+      }),
+      prisma.media.deleteMany({ where: { postId: { in: postIds } } }),
+      prisma.postRevision.deleteMany({ where: { postId: { in: postIds } } }),
+      prisma.postAudienceMember.deleteMany({
+        where: { OR: [{ userId }, { postId: { in: postIds } }] },
+      }),
+      prisma.postHashtag.deleteMany({ where: { postId: { in: postIds } } }),
+      prisma.mention.deleteMany({
+        where: {
+          OR: [
+            { userId },
+            { postId: { in: postIds } },
+            { comment: { userId } },
+          ],
+        },
+      }),
+      // Deleting a poll deletes its options and votes
+      prisma.pollVote.deleteMany({ where: { userId } }),
+      prisma.poll.deleteMany({ where: { postId: { in: postIds } } }),
+      // Posts and comments can be referenced by reports and replies, so
+      // they are emptied and detached instead of deleted
+      prisma.post.updateMany({
+        where: { id: { in: postIds } },
+        data: { content: null, authorId: null, linkPreviewId: null },
+      }),
+      prisma.comment.updateMany({
+        where: { userId },
+        data: { content: "" },
+      }),
+      prisma.story.deleteMany({ where: { authorId: userId } }),
+      prisma.follower.deleteMany({
+        where: { OR: [{ followerId: userId }, { followingId: userId }] },
+      }),
+      prisma.friendship.deleteMany({
+        where: { OR: [{ userAId: userId }, { userBId: userId }] },
+      }),
+      prisma.pageFollower.deleteMany({ where: { userId } }),
+      prisma.pageMember.deleteMany({ where: { userId } }),
+      prisma.verificationRequest.updateMany({
+        where: { userId },
+        data: { reason: "", documents: null },
+      }),
+      prisma.session.deleteMany({ where: { userId } }),
+      prisma.userToken.deleteMany({ where: { userId } }),
+      prisma.twoFactorBackupCode.deleteMany({ where: { userId } }),
+      prisma.personalAccessToken.deleteMany({ where: { userId } }),
+      prisma.usernameHistory.deleteMany({ where: { userId } }),
+      prisma.user.update({
+        where: { id: userId },
+        data: {
+          username: `deleted-${userId}`,
+          email: `deleted-${userId}@deleted.invalid`,
+          password: placeholderPassword,
+          name: "Deleted user",
+          bio: null,
+          gender: null,
+          birthdate: null,
+          location: null,
+          relationshipStatus: null,
+          studyField: null,
+          relationships: null,
+          profilePicture: null,
+          coverPicture: null,
+          idCard: null,
+          isVerified: false,
+          isProUser: false,
+          isAdmin: false,
+          staffRole: null,
+          emailVerifiedAt: null,
+          twoFactorEnabled: false,
+          twoFactorSecret: null,
+          twoFactorLastUsedStep: null,
+          accountStatus: "deleted",
+          purgeAfter: null,
+        },
+      }),
+    ]);
+
+    // Files go last: a failed transaction must not leave posts without media
+    await Promise.all([
+      ...media.map((item) =>
+        removeUpload("post_media", item.filename || item.url)
+      ),
+      ...stories.map((story) => removeUpload("", story.mediaUrl)),
+      ...verificationRequests.flatMap((request) =>
+        parseDocuments(request.documents).map((document) =>
+          PrivateFileService.removeFile("verification_document", document)
+        )
+      ),
+      removeUpload("", user.profilePicture),
+      removeUpload("", user.coverPicture),
+      PrivateFileService.removeFile("id_card", user.idCard),
+      DataExportService.deleteUserExports(userId),
+    ]);
+
+    return true;
+  }
+
+  /**
+   * Purge every account whose grace period is over
+   * @returns {Promise<number>} - Number of purged accounts
+   */
+  static async purgeExpiredAccounts() {
+    const users = await prisma.user.findMany({
+      where: { deletedAt: { not: null }, purgeAfter: { lte: new Date() } },
+      select: { id: true },
+      take: PURGE_BATCH_SIZE,
+    });
+
+    let purgedCount = 0;
+    for (const user of users) {
+      try {
+        if (await AccountDeletionService.purgeAccount(user.id)) {
+          purgedCount++;
+        }
+      } catch (error) {
+        console.error(`Error purging account ${user.id}:`, error);
+      }
+    }
+
+    return purgedCount;
+  }
+}
+
+export { AccountDeletionService, ACCOUNT_DELETION_GRACE_MS };
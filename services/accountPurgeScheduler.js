@@ -0,0 +1,30 @@
+import { AccountDeletionService } from "./accountDeletionService.js";
+import { LoginThrottleService } from "./loginThrottleService.js";
+
+const PURGE_INTERVAL_MS = 60 * 60 * 1000; // Every hour
+
+// Purge deleted accounts whose grace period is over
+export async function purgeDeletedAccounts() {
+  try {
+    const purgedCount = await AccountDeletionService.purgeExpiredAccounts();
+    const { count: throttleCount } = await LoginThrottleService.purgeStale();
+
+    console.log(
+      `[${new Date().toISOString()}] Purged ${purgedCount} deleted accounts and ${throttleCount} stale login throttles`
+    );
+    return purgedCount;
+  } catch (error) {
+    console.error("Error purging deleted accounts:", error);
+    return 0;
+  }
+}
+
+// Runs once at startup, then every hour
+const startAccountPurgeScheduler = () => {
+  purgeDeletedAccounts();
+  setInterval(purgeDeletedAccounts, PURGE_INTERVAL_MS);
+
+  console.log("Account purge scheduler started - running every hour");
+};
+
+export default startAccountPurgeScheduler;
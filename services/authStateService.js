@@ -0,0 +1,106 @@
+import prisma from "../config/prismaConfig.js";
+import { TtlCache } from "./ttlCache.js";
+
+// How long a user's auth state is trusted before it is read again. Changes
+// made on this server invalidate the cache immediately; other instances see
+// them within this window.
+const AUTH_STATE_CACHE_TTL_MS = 30 * 1000;
+
+// Accounts in these states cannot use the API at all
+const BLOCKED_ACCOUNT_STATUSES = ["suspended", "rejected", "deleted"];
+
+// userId -> auth state (null for unknown users)
+const authStateCache = new TtlCache(AUTH_STATE_CACHE_TTL_MS);
+
+/**
+ * Per-user state that decides whether issued tokens are still honoured
+ * (the token version and the account status) and what staff role they
+ * carry.
+ */
+class AuthStateService {
+  /**
+   * Get the auth state of a user (cached)
+   * @param {string} userId - The ID of the user
+   * @returns {Promise<Object|null>} - { tokenVersion, accountStatus, deletedAt,
+   *   staffRole }
+   */
+  static async getAuthState(userId) {
+    const cached = authStateCache.get(userId);
+    if (cached !== undefined) return cached;
+
+    const state = await prisma.user.findUnique({
+      where: { id: userId },
+      select: {
+        tokenVersion: true,
+        accountStatus: true,
+        deletedAt: true,
+        staffRole: true,
+      },
+    });
+
+    authStateCache.set(userId, state);
+    return state;
+  }
+
+  /**
+   * Decide whether an account may use the API, regardless of any token
+   * @param {Object|null} state - The user's auth state
+   * @returns {Object|null} - null if allowed, otherwise { status, code, message }
+   */
+  static getAccountDenial(state) {
+    if (!state) {
+      return {
+        status: 401,
+        code: "USER_NOT_FOUND",
+        message: "User not found or account deactivated",
+      };
+    }
+
+    if (
+      state.deletedAt ||
+      BLOCKED_ACCOUNT_STATUSES.includes(state.accountStatus)
+    ) {
+      const status = state.deletedAt ? "deleted" : state.accountStatus;
+      return {
+        status: 403,
+        code: `ACCOUNT_${status.toUpperCase()}`,
+        message: `This account is ${status}`,
+      };
+    }
+
+    return null;
+  }
+
+  /**
+   * Decide whether a token may be used
+   * @param {Object|null} state - The user's auth state
+   * @param {number} [tokenVersion] - The `tv` claim of the token
+   * @returns {Object|null} - null if allowed, otherwise { status, code, message }
+   */
+  static getAccessDenial(state, tokenVersion) {
+    const accountDenial = AuthStateService.getAccountDenial(state);
+    if (accountDenial) return accountDenial;
+
+    // Tokens issued before versioning carry no claim and count as version 0
+    if ((tokenVersion ?? 0) !== state.tokenVersion) {
+      return {
+        status: 401,
+        code: "TOKEN_REVOKED",
+        message: "Token has been revoked. Please login again.",
+      };
+    }
+
+    return null;
+  }
+
+  /**
+   * Drop the cached state of a user. Call after changing their status or
+   * staff role, or bumping their token version.
+   * @param {string} userId - The ID of the user
+   */
+  static invalidate(userId) {
+    authStateCache.delete(userId);
+  }
+}
+
+export { AuthStateService, BLOCKED_ACCOUNT_STATUSES };
@@ -0,0 +1,120 @@
+/**
+ * Error thrown when a pagination cursor can't be read.
+ * `code` is INVALID_CURSOR
+ */
+class CursorError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = "CursorError";
+    this.code = code;
+  }
+}
+
+// Newest first. id breaks ties between rows created in the same millisecond.
+const CURSOR_ORDER_BY = [{ createdAt: "desc" }, { id: "desc" }];
+
+/**
+ * Cursor pagination for lists sorted newest first.
+ *
+ * A cursor is an opaque string pointing after the last row of a page (its
+ * createdAt and id). Unlike offsets, rows created while paging don't shift
+ * the next pages, and no total count is needed. A list is paged with
+ * cursors when the request has a `cursor` parameter (empty for the first
+ * page), and with `page` offsets otherwise.
+ */
+class CursorPaginationService {
+  /**
+   * Make the cursor pointing after a row
+   * @param {Object} row - { createdAt, id }
+   * @returns {string} - The cursor
+   */
+  static encode(row) {
+    return Buffer.from(
+      JSON.stringify([row.createdAt.toISOString(), row.id])
+    ).toString("base64url");
+  }
+
+  /**
+   * Read a cursor
+   * @param {string} cursor - A cursor from encode
+   * @returns {Object} - { createdAt, id }
+   */
+  static decode(cursor) {
+    try {
+      const [createdAt, id] = JSON.parse(
+        Buffer.from(cursor, "base64url").toString("utf8")
+      );
+      const date = new Date(createdAt);
+      if (typeof id === "string" && id && !Number.isNaN(date.getTime())) {
+        return { createdAt: date, id };
+      }
+    } catch (error) {
+      // Reported below
+    }
+    throw new CursorError("INVALID_CURSOR", "Invalid pagination cursor");
+  }
+
+  /**
+   * Read the paging parameters of a list request
+   * @param {Object} query - req.query ({ cursor } or { page })
+   * @param {number} limit - Rows per page
+   * @returns {Object} - { isCursor, isFirstPage, skip, take, where }: pass skip,
+   * take and where to findMany with CURSOR_ORDER_BY, then the rows to getPage
+   */
+  static fromQuery(query, limit) {
+    if (typeof query.cursor !== "string") {
+      const page = parseInt(query.page) || 1;
+      return {
+        isCursor: false,
+        isFirstPage: page === 1,
+        page,
+        skip: (page - 1) * limit,
+        take: limit,
+        where: {},
+      };
+    }
+
+    const after = query.cursor
+      ? CursorPaginationService.decode(query.cursor)
+      : null;
+    return {
+      isCursor: true,
+      isFirstPage: !after,
+      skip: 0,
+      // One more row tells whether there is a next page
+      take: limit + 1,
+      where: after
+        ? {
+            OR: [
+              { createdAt: { lt: after.createdAt } },
+              { createdAt: after.createdAt, id: { lt: after.id } },
+            ],
+          }
+        : {},
+    };
+  }
+
+  /**
+   * Cut a page out of the rows that were read
+   * @param {Object[]} rows - Rows read with the paging of fromQuery
+   * @param {Object} paging - From fromQuery
+   * @param {number} [total] - Total number of rows, for offset paging
+   * @returns {Object} - { items, hasMore, nextCursor }
+   */
+  static getPage(rows, paging, total = 0) {
+    const limit = paging.isCursor ? paging.take - 1 : paging.take;
+    const items = rows.slice(0, limit);
+    const hasMore = paging.isCursor
+      ? rows.length > limit
+      : paging.skip + rows.length < total;
+    const last = items[items.length - 1];
+
+    return {
+      items,
+      hasMore,
+      nextCursor: hasMore && last ? CursorPaginationService.encode(last) : null,
+    };
+  }
+}
+
+export { CursorPaginationService, CursorError, CURSOR_ORDER_BY };
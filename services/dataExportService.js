@@ -0,0 +1,402 @@
+import fs from "fs";
+import path from "path";
+import { once } from "events";
+import { fileURLToPath } from "url";
+import archiver from "archiver";
+import prisma from "../config/prismaConfig.js";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Archives contain personal data, so they live outside the public uploads
+const EXPORTS_DIR = path.join(__dirname, "..", "exports");
+const POST_MEDIA_DIR = path.join(__dirname, "..", "uploads", "post_media");
+
+const EXPORT_RETENTION_MS = 7 * 24 * 60 * 60 * 1000; // Downloadable for 7 days
+const EXPORT_COOLDOWN_MS = 24 * 60 * 60 * 1000; // 1 export per day
+
+// Jobs stuck in processing this long (e.g. after a restart) are retried
+const STALE_PROCESSING_MS = 30 * 60 * 1000;
+
+const getArchivePath = (exportId) => path.join(EXPORTS_DIR, `${exportId}.zip`);
+
+// Fields of an export that are shown to its owner
+const EXPORT_SELECT = {
+  id: true,
+  status: true,
+  fileSize: true,
+  createdAt: true,
+  startedAt: true,
+  completedAt: true,
+  expiresAt: true,
+};
+
+/**
+ * Error thrown when an export can't be requested.
+ * `code` is one of: EXPORT_IN_PROGRESS, EXPORT_COOLDOWN
+ */
+class DataExportError extends Error {
+  constructor(code, message, details = {}) {
+    super(message);
+    this.name = "DataExportError";
+    this.code = code;
+    Object.assign(this, details);
+  }
+}
+
+/**
+ * Personal data export ("download your data").
+ *
+ * Requests create a pending job that is processed in the background. The
+ * result is a zip with one JSON file per kind of data plus the media files
+ * of the user's posts.
+ */
+class DataExportService {
+  /**
+   * Queue a new export for a user
+   * @param {string} userId - The ID of the user
+   * @returns {Promise<Object>} - The created export job
+   */
+  static async requestExport(userId) {
+    const latest = await prisma.dataExport.findFirst({
+      where: { userId },
+      orderBy: { createdAt: "desc" },
+    });
+
+    if (latest && ["pending", "processing"].includes(latest.status)) {
+      throw new DataExportError(
+        "EXPORT_IN_PROGRESS",
+        "An export is already being prepared",
+        { exportId: latest.id }
+      );
+    }
+
+    if (
+      latest &&
+      latest.status === "completed" &&
+      Date.now() - latest.createdAt < EXPORT_COOLDOWN_MS
+    ) {
+      throw new DataExportError(
+        "EXPORT_COOLDOWN",
+        "You can request one export per day",
+        {
+          retryAfterMs:
+            EXPORT_COOLDOWN_MS - (Date.now() - latest.createdAt.getTime()),
+        }
+      );
+    }
+
+    return await prisma.dataExport.create({
+      data: { userId },
+      select: EXPORT_SELECT,
+    });
+  }
+
+  /**
+   * Get an export of a user
+   * @param {string} userId - The ID of the owner
+   * @param {string} exportId - The ID of the export
+   * @returns {Promise<Object|null>} - The export job
+   */
+  static async getExport(userId, exportId) {
+    return await prisma.dataExport.findFirst({
+      where: { id: exportId, userId },
+      select: EXPORT_SELECT,
+    });
+  }
+
+  /**
+   * List the exports of a user
+   * @param {string} userId - The ID of the owner
+   * @returns {Promise<Array>} - Export jobs, newest first
+   */
+  static async getExports(userId) {
+    return await prisma.dataExport.findMany({
+      where: { userId },
+      select: EXPORT_SELECT,
+      orderBy: { createdAt: "desc" },
+      take: 10,
+    });
+  }
+
+  /**
+   * Path of the archive of a completed export
+   * @param {Object} dataExport - The export job
+   * @returns {string|null} - The file path, or null if not downloadable
+   */
+  static getDownloadPath(dataExport) {
+    if (dataExport.status !== "completed") return null;
+    if (dataExport.expiresAt && dataExport.expiresAt <= new Date()) {
+      return null;
+    }
+    const archivePath = getArchivePath(dataExport.id);
+    return fs.existsSync(archivePath) ? archivePath : null;
+  }
+
+  /**
+   * Process pending exports one at a time
+   * @returns {Promise<number>} - Number of processed exports
+   */
+  static async processPendingExports() {
+    let processedCount = 0;
+
+    for (;;) {
+      const next = await prisma.dataExport.findFirst({
+        where: {
+          OR: [
+            { status: "pending" },
+            {
+              status: "processing",
+              startedAt: { lt: new Date(Date.now() - STALE_PROCESSING_MS) },
+            },
+          ],
+        },
+        orderBy: { createdAt: "asc" },
+        select: { id: true, status: true, startedAt: true },
+      });
+      if (!next) break;
+
+      // Claim the job so parallel runs don't build the same archive
+      const { count } = await prisma.dataExport.updateMany({
+        where: { id: next.id, status: next.status, startedAt: next.startedAt },
+        data: { status: "processing", startedAt: new Date() },
+      });
+      if (count === 0) continue;
+
+      await DataExportService.processExport(next.id);
+      processedCount++;
+    }
+
+    return processedCount;
+  }
+
+  /**
+   * Build the archive of a claimed export
+   * @param {string} exportId - The ID of the export
+   */
+  static async processExport(exportId) {
+    const { userId } = await prisma.dataExport.findUnique({
+      where: { id: exportId },
+      select: { userId: true },
+    });
+
+    const archivePath = getArchivePath(exportId);
+    const partialPath = `${archivePath}.partial`;
+    let output;
+    let archive;
+
+    try {
+      const data = await DataExportService.collectUserData(userId);
+
+      await fs.promises.mkdir(EXPORTS_DIR, { recursive: true });
+      output = fs.createWriteStream(partialPath);
+      archive = archiver("zip", { zlib: { level: 9 } });
+      // An error on either stream ends the build instead of leaving it waiting
+      const failed = new Promise((resolve, reject) => {
+        output.on("error", reject);
+        archive.on("error", reject);
+      });
+      archive.on("warning", (warning) =>
+        console.warn(`Data export ${exportId}:`, warning)
+      );
+      archive.pipe(output);
+
+      for (const [name, content] of Object.entries(data)) {
+        archive.append(JSON.stringify(content, null, 2), {
+          name: `${name}.json`,
+        });
+      }
+
+      for (const fileName of DataExportService.getMediaFileNames(data.posts)) {
+        const filePath = path.join(POST_MEDIA_DIR, fileName);
+        if (fs.existsSync(filePath)) {
+          archive.file(filePath, { name: `media/${fileName}` });
+        }
+      }
+
+      await Promise.race([
+        failed,
+        Promise.all([archive.finalize(), once(output, "close")]),
+      ]);
+      await fs.promises.rename(partialPath, archivePath);
+
+      const { size } = await fs.promises.stat(archivePath);
+      await prisma.dataExport.update({
+        where: { id: exportId },
+        data: {
+          status: "completed",
+          fileSize: size,
+          completedAt: new Date(),
+          expiresAt: new Date(Date.now() + EXPORT_RETENTION_MS),
+        },
+      });
+    } catch (error) {
+      console.error(`Error building data export ${exportId}:`, error);
+      archive?.abort();
+      output?.destroy();
+      await fs.promises.rm(partialPath, { force: true });
+      await prisma.dataExport.update({
+        where: { id: exportId },
+        data: { status: "failed", error: error.message },
+      });
+    }
+  }
+
+  /**
+   * Gather everything that goes into an export
+   * @param {string} userId - The ID of the user
+   * @returns {Promise<Object>} - File name (without .json) -> content
+   */
+  static async collectUserData(userId) {
+    const notDeleted = { deletedAt: null };
+
+    const [
+      profile,
+      posts,
+      comments,
+      reactions,
+      friendships,
+      following,
+      followers,
+      pageMemberships,
+      notifications,
+      reports,
+      verificationRequests,
+      usernameHistory,
+    ] = await Promise.all([
+      prisma.user.findUnique({
+        where: { id: userId },
+        omit: {
+          password: true,
+          twoFactorSecret: true,
+          twoFactorLastUsedStep: true,
+          tokenVersion: true,
+        },
+      }),
+      prisma.post.findMany({
+        where: { authorId: userId, ...notDeleted },
+        include: { media: { where: notDeleted } },
+        orderBy: { createdAt: "asc" },
+      }),
+      prisma.comment.findMany({
+        where: { userId, ...notDeleted },
+        orderBy: { createdAt: "asc" },
+      }),
+      prisma.reaction.findMany({
+        where: { userId, ...notDeleted },
+        orderBy: { createdAt: "asc" },
+      }),
+      prisma.friendship.findMany({
+        where: {
+          OR: [{ userAId: userId }, { userBId: userId }],
+          ...notDeleted,
+        },
+        include: {
+          userA: { select: { id: true, username: true, name: true } },
+          userB: { select: { id: true, username: true, name: true } },
+        },
+      }),
+      prisma.follower.findMany({
+        where: { followerId: userId, ...notDeleted },
+        include: {
+          following: { select: { id: true, username: true, name: true } },
+        },
+      }),
+      prisma.follower.findMany({
+        where: { followingId: userId, ...notDeleted },
+        include: {
+          follower: { select: { id: true, username: true, name: true } },
+        },
+      }),
+      prisma.pageMember.findMany({
+        where: { userId, ...notDeleted },
+        include: { page: { select: { id: true, name: true } } },
+      }),
+      prisma.notification.findMany({
+        where: { userId, ...notDeleted },
+        orderBy: { createdAt: "asc" },
+      }),
+      prisma.report.findMany({
+        where: { reporterId: userId, ...notDeleted },
+        omit: { reviewedBy: true, reviewNote: true },
+        orderBy: { createdAt: "asc" },
+      }),
+      prisma.verificationRequest.findMany({
+        where: { userId, ...notDeleted },
+        omit: { reviewedBy: true },
+        orderBy: { createdAt: "asc" },
+      }),
+      prisma.usernameHistory.findMany({
+        where: { userId },
+        select: { username: true, createdAt: true },
+        orderBy: { createdAt: "asc" },
+      }),
+    ]);
+
+    return {
+      profile,
+      posts,
+      comments,
+      reactions,
+      friendships,
+      follows: { following, followers },
+      page_memberships: pageMemberships,
+      notifications,
+      reports,
+      verification_requests: verificationRequests,
+      username_history: usernameHistory,
+    };
+  }
+
+  /**
+   * Names of the uploaded media files referenced by posts
+   * @param {Array} posts - Posts including their media
+   * @returns {string[]} - File names inside uploads/post_media
+   */
+  static getMediaFileNames(posts) {
+    const names = posts.flatMap((post) =>
+      post.media.map((item) => path.basename(item.filename || item.url))
+    );
+    return [...new Set(names)];
+  }
+
+  /**
+   * Delete archives that are past their retention period
+   * @returns {Promise<number>} - Number of expired exports
+   */
+  static async expireOldExports() {
+    const expired = await prisma.dataExport.findMany({
+      where: { status: "completed", expiresAt: { lte: new Date() } },
+      select: { id: true },
+    });
+
+    for (const { id } of expired) {
+      await fs.promises.rm(getArchivePath(id), { force: true });
+    }
+
+    const { count } = await prisma.dataExport.updateMany({
+      where: { id: { in: expired.map(({ id }) => id) } },
+      data: { status: "expired" },
+    });
+    return count;
+  }
+
+  /**
+   * Delete every export of a user, including the archives
+   * @param {string} userId - The ID of the user
+   */
+  static async deleteUserExports(userId) {
+    const exports = await prisma.dataExport.findMany({
+      where: { userId },
+      select: { id: true },
+    });
+
+    for (const { id } of exports) {
+      await fs.promises.rm(getArchivePath(id), { force: true });
+    }
+
+    await prisma.dataExport.deleteMany({ where: { userId } });
+  }
+}
+
+export { DataExportService, DataExportError };
@@ -0,0 +1,39 @@
+import { DataExportService } from "./dataExportService.js";
+
+const WORKER_INTERVAL_MS = 60 * 1000; // Every minute
+
+let isRunning = false;
+
+// Build pending export archives and delete expired ones
+export async function runDataExportWorker() {
+  // A run can take longer than the interval for large exports
+  if (isRunning) return 0;
+  isRunning = true;
+
+  try {
+    const processedCount = await DataExportService.processPendingExports();
+    const expiredCount = await DataExportService.expireOldExports();
+
+    if (processedCount > 0 || expiredCount > 0) {
+      console.log(
+        `[${new Date().toISOString()}] Built ${processedCount} data exports, expired ${expiredCount}`
+      );
+    }
+    return processedCount;
+  } catch (error) {
+    console.error("Error running data export worker:", error);
+    return 0;
+  } finally {
+    isRunning = false;
+  }
+}
+
+// Runs once at startup, then every minute
+const startDataExportWorker = () => {
+  runDataExportWorker();
+  setInterval(runDataExportWorker, WORKER_INTERVAL_MS);
+
+  console.log("Data export worker started - running every minute");
+};
+
+export default startDataExportWorker;
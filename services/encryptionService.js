@@ -0,0 +1,94 @@
+import crypto from "crypto";
+
+const ALGORITHM = "aes-256-gcm";
+const IV_LENGTH = 12;
+const AUTH_TAG_LENGTH = 16;
+
+// Derive a 32 byte key from a configured secret
+const deriveKey = (secret) =>
+  crypto.createHash("sha256").update(String(secret)).digest();
+
+const getKey = () => {
+  const secret = process.env.ENCRYPTION_KEY || process.env.JWT_SECRET;
+  if (!secret) {
+    throw new Error("ENCRYPTION_KEY is not configured");
+  }
+  return deriveKey(secret);
+};
+
+/**
+ * Symmetric encryption for secrets stored at rest (AES-256-GCM).
+ *
+ * Strings are encoded as `iv:authTag:ciphertext` in base64 so they fit in a
+ * plain text column. Buffers (e.g. files) are stored as the raw bytes
+ * iv + authTag + ciphertext.
+ */
+class EncryptionService {
+  /**
+   * Encrypt a string
+   * @param {string} plaintext - The value to encrypt
+   * @returns {string} - The encoded ciphertext
+   */
+  static encryptString(plaintext) {
+    const iv = crypto.randomBytes(IV_LENGTH);
+    const cipher = crypto.createCipheriv(ALGORITHM, getKey(), iv);
+    const ciphertext = Buffer.concat([
+      cipher.update(plaintext, "utf8"),
+      cipher.final(),
+    ]);
+
+    return [iv, cipher.getAuthTag(), ciphertext]
+      .map((part) => part.toString("base64"))
+      .join(":");
+  }
+
+  /**
+   * Decrypt a string produced by encryptString
+   * @param {string} encoded - The encoded ciphertext
+   * @returns {string} - The plaintext
+   */
+  static decryptString(encoded) {
+    const [iv, authTag, ciphertext] = encoded
+      .split(":")
+      .map((part) => Buffer.from(part, "base64"));
+
+    const decipher = crypto.createDecipheriv(ALGORITHM, getKey(), iv);
+    decipher.setAuthTag(authTag);
+
+    return Buffer.concat([
+      decipher.update(ciphertext),
+      decipher.final(),
+    ]).toString("utf8");
+  }
+
+  /**
+   * Encrypt binary data
+   * @param {Buffer} data - The data to encrypt
+   * @returns {Buffer} - iv + authTag + ciphertext
+   */
+  static encryptBuffer(data) {
+    const iv = crypto.randomBytes(IV_LENGTH);
+    const cipher = crypto.createCipheriv(ALGORITHM, getKey(), iv);
+    const ciphertext = Buffer.concat([cipher.update(data), cipher.final()]);
+
+    return Buffer.concat([iv, cipher.getAuthTag(), ciphertext]);
+  }
+
+  /**
+   * Decrypt binary data produced by encryptBuffer
+   * @param {Buffer} encrypted - iv + authTag + ciphertext
+   * @returns {Buffer} - The decrypted data
+   */
+  static decryptBuffer(encrypted) {
+    const iv = encrypted.subarray(0, IV_LENGTH);
+    const authTag = encrypted.subarray(IV_LENGTH, IV_LENGTH + AUTH_TAG_LENGTH);
+    const ciphertext = encrypted.subarray(IV_LENGTH + AUTH_TAG_LENGTH);
+
+    const decipher = crypto.createDecipheriv(ALGORITHM, getKey(), iv);
+    decipher.setAuthTag(authTag);
+
+    return Buffer.concat([decipher.update(ciphertext), decipher.final()]);
+  }
+}
+
+export { EncryptionService };
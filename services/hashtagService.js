@@ -0,0 +1,197 @@
+import prisma from "../config/prismaConfig.js";
+
+const MAX_HASHTAG_LENGTH = 100;
+const MAX_HASHTAGS_PER_POST = 30;
+
+// A # not preceded by a word character (so "a#b" and "&#39;" aren't tags),
+// followed by letters, digits and underscores
+const HASHTAG_PATTERN = /(^|[^\p{L}\p{N}_&])#([\p{L}\p{N}_]+)/gu;
+
+const TRENDING_WINDOWS_MS = {
+  day: 24 * 60 * 60 * 1000,
+  week: 7 * 24 * 60 * 60 * 1000,
+};
+
+/**
+ * Hashtags.
+ *
+ * Tags are extracted from post content whenever it is written and stored
+ * normalized (NFKC, lower case) in the hashtag table, linked to posts
+ * through post_hashtag. Feeds for a tag go through the same visibility
+ * rules as every other feed; trending tags only count public posts.
+ */
+class HashtagService {
+  /**
+   * Normalize a tag so #Cats, #cats and #ＣＡＴＳ are the same
+   * @param {string} name - The tag, with or without #
+   * @returns {string|null} - The normalized tag, or null if it isn't valid
+   */
+  static normalize(name) {
+    if (typeof name !== "string") return null;
+    const normalized = name.normalize("NFKC").replace(/^#/, "").toLowerCase();
+    if (
+      !normalized ||
+      normalized.length > MAX_HASHTAG_LENGTH ||
+      !/^[\p{L}\p{N}_]+$/u.test(normalized) ||
+      // "#1" is a number, not a tag
+      !/\p{L}/u.test(normalized)
+    ) {
+      return null;
+    }
+    return normalized;
+  }
+
+  /**
+   * Extract the hashtags of a text
+   * @param {string} content - Post content
+   * @returns {string[]} - Unique normalized tags, in order of appearance
+   */
+  static extractHashtags(content) {
+    if (!content) return [];
+
+    const tags = new Set();
+    for (const match of content.normalize("NFKC").matchAll(HASHTAG_PATTERN)) {
+      const tag = HashtagService.normalize(match[2]);
+      if (tag) tags.add(tag);
+      if (tags.size === MAX_HASHTAGS_PER_POST) break;
+    }
+    return [...tags];
+  }
+
+  /**
+   * Link a post to the hashtags in its content, replacing previous links
+   * @param {string} postId - The ID of the post
+   * @param {string} content - The current content of the post
+   * @returns {Promise<string[]>} - The tags of the post
+   */
+  static async syncPostHashtags(postId, content) {
+    const tags = HashtagService.extractHashtags(content);
+
+    if (tags.length > 0) {
+      await prisma.hashtag.createMany({
+        data: tags.map((name) => ({ name })),
+        skipDuplicates: true,
+      });
+    }
+    const hashtags = tags.length
+      ? await prisma.hashtag.findMany({
+          where: { name: { in: tags } },
+          select: { id: true },
+        })
+      : [];
+
+    await prisma.$transaction([
+      prisma.postHashtag.deleteMany({ where: { postId } }),
+      prisma.postHashtag.createMany({
+        data: hashtags.map((hashtag) => ({ postId, hashtagId: hashtag.id })),
+      }),
+    ]);
+
+    return tags;
+  }
+
+  /**
+   * Get a tag with the number of posts the user can see for it
+   * @param {string} name - The tag
+   * @param {Object} visibleFilter - A post filter (PostVisibilityService.visibleTo)
+   * @returns {Promise<Object|null>} - { id, name, postCount }, or null if unknown
+   */
+  static async getHashtag(name, visibleFilter) {
+    const normalized = HashtagService.normalize(name);
+    if (!normalized) return null;
+
+    const hashtag = await prisma.hashtag.findUnique({
+      where: { name: normalized },
+      select: { id: true, name: true },
+    });
+    if (!hashtag) return null;
+
+    const postCount = await prisma.postHashtag.count({
+      where: {
+        hashtagId: hashtag.id,
+        post: { deletedAt: null, AND: [visibleFilter] },
+      },
+    });
+    return { ...hashtag, postCount };
+  }
+
+  /**
+   * Get the most used tags of public posts in a time window
+   * @param {string} window - day or week
+   * @param {number} limit - Number of tags
+   * @returns {Promise<Array>} - [{ name, postCount }], most used first
+   */
+  static async getTrending(window = "day", limit = 10) {
+    const since = new Date(Date.now() - TRENDING_WINDOWS_MS[window]);
+
+    const counts = await prisma.postHashtag.groupBy({
+      by: ["hashtagId"],
+      where: {
+        post: {
+          createdAt: { gte: since },
+          deletedAt: null,
+          status: "published",
+          audience: "public",
+        },
+      },
+      _count: { postId: true },
+      orderBy: { _count: { postId: "desc" } },
+      take: limit,
+    });
+
+    const hashtags = await prisma.hashtag.findMany({
+      where: { id: { in: counts.map((count) => count.hashtagId) } },
+      select: { id: true, name: true },
+    });
+    const namesById = new Map(
+      hashtags.map((hashtag) => [hashtag.id, hashtag.name])
+    );
+
+    return counts.map((count) => ({
+      name: namesById.get(count.hashtagId),
+      postCount: count._count.postId,
+    }));
+  }
+
+  /**
+   * Autocomplete tags by prefix, most used first
+   * @param {string} prefix - What the user typed, with or without #
+   * @param {number} limit - Number of tags
+   * @returns {Promise<Array>} - [{ id, name, postCount }]
+   */
+  static async suggest(prefix, limit = 5) {
+    const normalized = HashtagService.normalize(prefix);
+    if (!normalized) return [];
+
+    const hashtags = await prisma.hashtag.findMany({
+      where: { name: { startsWith: normalized } },
+      select: {
+        id: true,
+        name: true,
+        _count: {
+          select: {
+            posts: {
+              where: {
+                post: {
+                  deletedAt: null,
+                  status: "published",
+                  audience: "public",
+                },
+              },
+            },
+          },
+        },
+      },
+      orderBy: { posts: { _count: "desc" } },
+      take: limit,
+    });
+
+    return hashtags.map((hashtag) => ({
+      id: hashtag.id,
+      name: hashtag.name,
+      postCount: hashtag._count.posts,
+    }));
+  }
+}
+
+export { HashtagService, TRENDING_WINDOWS_MS };
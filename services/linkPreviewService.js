@@ -0,0 +1,510 @@
+import crypto from "crypto";
+import dns from "dns";
+import http from "http";
+import https from "https";
+import net from "net";
+import prisma from "../config/prismaConfig.js";
+
+const FETCH_TIMEOUT_MS = 5 * 1000;
+const MAX_RESPONSE_BYTES = 512 * 1024; // Metadata is in the <head>
+const MAX_REDIRECTS = 3;
+const MAX_URL_LENGTH = 2048;
+const FETCH_BATCH_SIZE = 20;
+const REFRESH_AFTER_MS = 7 * 24 * 60 * 60 * 1000; // 1 week
+const RETRY_FAILED_AFTER_MS = 24 * 60 * 60 * 1000; // 1 day
+const USER_AGENT = "LosSantosMediaBot/1.0 (+link preview)";
+
+// The first http(s) URL in a text. Trailing punctuation is trimmed below.
+const URL_PATTERN = /\bhttps?:\/\/[^\s<>"'`]+/i;
+
+/**
+ * Error thrown when a link can't be previewed.
+ * `code` is one of: INVALID_URL, BLOCKED_ADDRESS, TIMEOUT, TOO_MANY_REDIRECTS,
+ * HTTP_ERROR, NOT_HTML
+ */
+class LinkPreviewError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = "LinkPreviewError";
+    this.code = code;
+  }
+}
+
+/**
+ * HTTP clients
+ *
+ * A client is any object with an async `get(url, { timeoutMs, maxBytes })`
+ * method that resolves to `{ status, headers, body }` for a single request
+ * (no redirects followed), where body is a Buffer of at most maxBytes.
+ * Plug another one in with `LinkPreviewService.setHttpClient()`, e.g. one
+ * created with `allowPrivateAddresses` to fetch from a local test server.
+ */
+
+// Loopback, private, link-local, shared, documentation, multicast and
+// reserved ranges, which previews must never reach. IPv4-mapped IPv6
+// addresses (::ffff:127.0.0.1) are checked against the IPv4 ranges.
+const blockedAddresses = new net.BlockList();
+[
+  ["0.0.0.0", 8],
+  ["10.0.0.0", 8],
+  ["100.64.0.0", 10],
+  ["127.0.0.0", 8],
+  ["169.254.0.0", 16],
+  ["172.16.0.0", 12],
+  ["192.0.0.0", 24],
+  ["192.0.2.0", 24],
+  ["192.168.0.0", 16],
+  ["198.18.0.0", 15],
+  ["198.51.100.0", 24],
+  ["203.0.113.0", 24],
+  ["224.0.0.0", 4],
+  ["240.0.0.0", 4],
+].forEach(([address, prefix]) =>
+  blockedAddresses.addSubnet(address, prefix, "ipv4")
+);
+[
+  ["::", 128],
+  ["::1", 128],
+  ["64:ff9b::", 96],
+  ["100::", 64],
+  ["2001:db8::", 32],
+  ["fc00::", 7],
+  ["fe80::", 10],
+  ["ff00::", 8],
+].forEach(([address, prefix]) =>
+  blockedAddresses.addSubnet(address, prefix, "ipv6")
+);
+
+const isPrivateAddress = (address) => {
+  const family = net.isIP(address);
+  if (family === 4) return blockedAddresses.check(address, "ipv4");
+  if (family === 6) return blockedAddresses.check(address, "ipv6");
+  return true;
+};
+
+// dns.lookup that refuses private addresses. Used as the lookup of the
+// request, so the checked address is the one connected to.
+const publicLookup = (hostname, options, callback) => {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) return callback(error);
+
+    const blocked = addresses.find(({ address }) => isPrivateAddress(address));
+    if (blocked || addresses.length === 0) {
+      return callback(
+        new LinkPreviewError(
+          "BLOCKED_ADDRESS",
+          `${hostname} resolves to a private address`
+        )
+      );
+    }
+
+    if (options.all) return callback(null, addresses);
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+};
+
+// Built-in client on node's http/https
+const createHttpClient = ({ allowPrivateAddresses = false } = {}) => ({
+  async get(url, { timeoutMs, maxBytes }) {
+    const { hostname, protocol } = new URL(url);
+    const host = hostname.replace(/^\[|\]$/g, "");
+    // IP literals aren't looked up, so check them here
+    if (!allowPrivateAddresses && net.isIP(host) && isPrivateAddress(host)) {
+      throw new LinkPreviewError(
+        "BLOCKED_ADDRESS",
+        `${host} is a private address`
+      );
+    }
+
+    return await new Promise((resolve, reject) => {
+      const request = (protocol === "https:" ? https : http).get(url, {
+        headers: {
+          "User-Agent": USER_AGENT,
+          Accept: "text/html,application/xhtml+xml",
+          "Accept-Encoding": "identity",
+        },
+        ...(allowPrivateAddresses ? {} : { lookup: publicLookup }),
+      });
+
+      // Covers connecting, waiting and reading the body
+      const timer = setTimeout(() => {
+        request.destroy(
+          new LinkPreviewError("TIMEOUT", `No response within ${timeoutMs}ms`)
+        );
+      }, timeoutMs);
+
+      request.on("error", (error) => {
+        clearTimeout(timer);
+        reject(error);
+      });
+
+      request.on("response", (response) => {
+        const chunks = [];
+        let size = 0;
+        const done = () => {
+          clearTimeout(timer);
+          resolve({
+            status: response.statusCode,
+            headers: response.headers,
+            body: Buffer.concat(chunks).subarray(0, maxBytes),
+          });
+        };
+
+        response.on("data", (chunk) => {
+          chunks.push(chunk);
+          size += chunk.length;
+          // Keep what was read so far, the rest isn't needed
+          if (size >= maxBytes) {
+            response.destroy();
+            done();
+          }
+        });
+        response.on("end", done);
+        response.on("error", (error) => {
+          clearTimeout(timer);
+          reject(error);
+        });
+      });
+    });
+  },
+});
+
+let httpClient = null;
+
+const hashUrl = (url) => crypto.createHash("sha256").update(url).digest("hex");
+
+// Keep http(s) URLs only, without the fragment
+const normalizeUrl = (value, base) => {
+  try {
+    const url = new URL(value, base);
+    if (!["http:", "https:"].includes(url.protocol)) return null;
+    url.hash = "";
+    const normalized = url.toString();
+    return normalized.length <= MAX_URL_LENGTH ? normalized : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+const safeFromCodePoint = (codePoint, fallback) => {
+  try {
+    return String.fromCodePoint(codePoint);
+  } catch (error) {
+    return fallback;
+  }
+};
+
+const decodeEntities = (text) =>
+  text
+    .replace(/&#x([0-9a-f]+);/gi, (match, hex) =>
+      safeFromCodePoint(parseInt(hex, 16), match)
+    )
+    .replace(/&#(\d+);/g, (match, dec) =>
+      safeFromCodePoint(parseInt(dec, 10), match)
+    )
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;|&apos;/g, "'")
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .replace(/&nbsp;/g, " ")
+    .replace(/&amp;/g, "&");
+
+const cleanText = (value, maxLength) => {
+  if (!value) return null;
+  const text = decodeEntities(value).replace(/\s+/g, " ").trim();
+  if (!text) return null;
+  return text.length > maxLength ? `${text.slice(0, maxLength - 1)}…` : text;
+};
+
+const parseAttributes = (tag) => {
+  const attributes = {};
+  for (const match of tag.matchAll(
+    /([a-zA-Z_:.-]+)\s*=\s*("([^"]*)"|'([^']*)'|([^\s"'>]+))/g
+  )) {
+    attributes[match[1].toLowerCase()] = match[3] ?? match[4] ?? match[5];
+  }
+  return attributes;
+};
+
+const decodeBody = (body, contentType) => {
+  const charset = /charset=["']?([\w-]+)/i.exec(contentType || "")?.[1];
+  try {
+    return new TextDecoder(charset || "utf-8").decode(body);
+  } catch (error) {
+    return new TextDecoder("utf-8").decode(body);
+  }
+};
+
+/**
+ * Link previews of URLs in posts.
+ *
+ * The first URL of a post gets a preview built from the page's OpenGraph
+ * and Twitter card metadata. Previews are cached per URL and shared by
+ * every post linking to it. They are fetched in the background by the link
+ * preview worker and attached to posts when feeds are returned.
+ */
+class LinkPreviewService {
+  // Replace the HTTP client (e.g. in tests)
+  static setHttpClient(newClient) {
+    httpClient = newClient;
+  }
+
+  static getHttpClient() {
+    if (!httpClient) {
+      httpClient = createHttpClient();
+    }
+    return httpClient;
+  }
+
+  /**
+   * Find the first URL in a text
+   * @param {string} content - Post content
+   * @returns {string|null} - The normalized URL, or null if there is none
+   */
+  static extractUrl(content) {
+    const match = content ? URL_PATTERN.exec(content) : null;
+    if (!match) return null;
+
+    // "(see https://example.com)." ends with punctuation, not the URL
+    let url = match[0].replace(/[.,;:!?'"]+$/, "");
+    while (
+      /[)\]}]$/.test(url) &&
+      (url.match(/[([{]/g) || []).length < (url.match(/[)\]}]/g) || []).length
+    ) {
+      url = url.slice(0, -1).replace(/[.,;:!?'"]+$/, "");
+    }
+    return normalizeUrl(url);
+  }
+
+  /**
+   * Read the preview metadata of an HTML page
+   * @param {string} html - The page
+   * @param {string} pageUrl - Its URL, to resolve relative image URLs
+   * @returns {Object} - { title, description, imageUrl, siteName }
+   */
+  static parseMetadata(html, pageUrl) {
+    const meta = {};
+    for (const [tag] of html.matchAll(/<meta\b[^>]*>/gi)) {
+      const attributes = parseAttributes(tag);
+      const key = (attributes.property || attributes.name || "").toLowerCase();
+      // The first value wins, like in most unfurlers
+      if (key && attributes.content !== undefined && !(key in meta)) {
+        meta[key] = attributes.content;
+      }
+    }
+    const titleTag = /<title[^>]*>([\s\S]*?)<\/title>/i.exec(html)?.[1];
+
+    const image =
+      meta["og:image"] ||
+      meta["og:image:url"] ||
+      meta["og:image:secure_url"] ||
+      meta["twitter:image"] ||
+      meta["twitter:image:src"];
+
+    return {
+      title: cleanText(
+        meta["og:title"] || meta["twitter:title"] || titleTag,
+        300
+      ),
+      description: cleanText(
+        meta["og:description"] ||
+          meta["twitter:description"] ||
+          meta["description"],
+        1000
+      ),
+      imageUrl: image ? normalizeUrl(decodeEntities(image), pageUrl) : null,
+      siteName: cleanText(meta["og:site_name"], 200),
+    };
+  }
+
+  /**
+   * Fetch a page and build its preview, following a few redirects
+   * @param {string} url - The URL to preview
+   * @returns {Promise<Object>} - { title, description, imageUrl, siteName }
+   */
+  static async fetchMetadata(url) {
+    const client = LinkPreviewService.getHttpClient();
+
+    let currentUrl = url;
+    for (let redirects = 0; ; redirects++) {
+      const response = await client.get(currentUrl, {
+        timeoutMs: FETCH_TIMEOUT_MS,
+        maxBytes: MAX_RESPONSE_BYTES,
+      });
+
+      if (response.status >= 300 && response.status < 400) {
+        const location = normalizeUrl(response.headers.location, currentUrl);
+        if (!location) {
+          throw new LinkPreviewError("INVALID_URL", "Invalid redirect");
+        }
+        if (redirects === MAX_REDIRECTS) {
+          throw new LinkPreviewError(
+            "TOO_MANY_REDIRECTS",
+            `More than ${MAX_REDIRECTS} redirects`
+          );
+        }
+        currentUrl = location;
+        continue;
+      }
+
+      if (response.status < 200 || response.status >= 300) {
+        throw new LinkPreviewError(
+          "HTTP_ERROR",
+          `Responded with HTTP ${response.status}`
+        );
+      }
+
+      const contentType = response.headers["content-type"] || "";
+      if (!/^\s*(text\/html|application\/xhtml\+xml)/i.test(contentType)) {
+        throw new LinkPreviewError("NOT_HTML", "Not an HTML page");
+      }
+
+      return LinkPreviewService.parseMetadata(
+        decodeBody(response.body, contentType),
+        currentUrl
+      );
+    }
+  }
+
+  /**
+   * Link a post to the preview of its first URL. New and outdated
+   * previews are left pending for the worker.
+   * @param {string} postId - The ID of the post
+   * @param {string} content - The current content of the post
+   * @returns {Promise<void>}
+   */
+  static async syncPostPreview(postId, content) {
+    const url = LinkPreviewService.extractUrl(content);
+    if (!url) {
+      await prisma.post.updateMany({
+        where: { id: postId, linkPreviewId: { not: null } },
+        data: { linkPreviewId: null },
+      });
+      return;
+    }
+
+    const urlHash = hashUrl(url);
+    const preview = await prisma.linkPreview.upsert({
+      where: { urlHash },
+      update: {},
+      create: { url, urlHash },
+      select: { id: true, status: true, fetchedAt: true },
+    });
+
+    const age = preview.fetchedAt
+      ? Date.now() - preview.fetchedAt.getTime()
+      : 0;
+    if (
+      (preview.status === "ready" && age > REFRESH_AFTER_MS) ||
+      (preview.status === "failed" && age > RETRY_FAILED_AFTER_MS)
+    ) {
+      await prisma.linkPreview.update({
+        where: { id: preview.id },
+        data: { status: "pending" },
+      });
+    }
+
+    await prisma.post.update({
+      where: { id: postId },
+      data: { linkPreviewId: preview.id },
+    });
+  }
+
+  /**
+   * Fetch pending previews
+   * @returns {Promise<number>} - Number of previews fetched (ready or failed)
+   */
+  static async fetchPendingPreviews() {
+    const pending = await prisma.linkPreview.findMany({
+      where: { status: "pending" },
+      orderBy: { updatedAt: "asc" },
+      select: { id: true, url: true },
+      take: FETCH_BATCH_SIZE,
+    });
+
+    for (const preview of pending) {
+      let data;
+      try {
+        const metadata = await LinkPreviewService.fetchMetadata(preview.url);
+        data = { status: "ready", error: null, ...metadata };
+      } catch (error) {
+        // Keep the previous metadata of a refreshed preview
+        data = {
+          status: "failed",
+          error: String(error.code || error.message).slice(0, 255),
+        };
+      }
+
+      await prisma.linkPreview.update({
+        where: { id: preview.id },
+        data: { ...data, fetchedAt: new Date() },
+      });
+    }
+
+    return pending.length;
+  }
+
+  /**
+   * Attach link previews to posts
+   * @param {Object[]} posts - Posts from a feed (with linkPreviewId), with
+   * embedded shared posts
+   * @returns {Promise<Object[]>} - The posts, with a `linkPreview` (or null)
+   */
+  static async attachPreviews(posts) {
+    const embedded = (post) =>
+      post.sharedPost && !post.sharedPost.unavailable ? post.sharedPost : null;
+    const previewIds = [
+      ...new Set(
+        posts
+          .flatMap((post) => [
+            post.linkPreviewId,
+            embedded(post)?.linkPreviewId,
+          ])
+          .filter(Boolean)
+      ),
+    ];
+
+    const previews = previewIds.length
+      ? await prisma.linkPreview.findMany({
+          // A preview being refreshed keeps showing its last metadata
+          where: {
+            id: { in: previewIds },
+            OR: [
+              { title: { not: null } },
+              { description: { not: null } },
+              { imageUrl: { not: null } },
+            ],
+          },
+          select: {
+            id: true,
+            url: true,
+            title: true,
+            description: true,
+            imageUrl: true,
+            siteName: true,
+          },
+        })
+      : [];
+    const previewsById = new Map(
+      previews.map(({ id, ...preview }) => [id, preview])
+    );
+
+    const withPreview = (post) => ({
+      ...post,
+      linkPreview: previewsById.get(post.linkPreviewId) || null,
+    });
+
+    return posts.map((post) =>
+      embedded(post)
+        ? { ...withPreview(post), sharedPost: withPreview(post.sharedPost) }
+        : withPreview(post)
+    );
+  }
+}
+
+export {
+  LinkPreviewService,
+  LinkPreviewError,
+  createHttpClient,
+  isPrivateAddress,
+};
@@ -0,0 +1,31 @@
+import { LinkPreviewService } from "./linkPreviewService.js";
+
+const WORKER_INTERVAL_MS = 30 * 1000; // Every 30 seconds
+
+let isRunning = false;
+
+// Fetch link previews of new and outdated URLs
+export async function runLinkPreviewWorker() {
+  // Slow sites can make a batch outlast the interval
+  if (isRunning) return 0;
+  isRunning = true;
+
+  try {
+    return await LinkPreviewService.fetchPendingPreviews();
+  } catch (error) {
+    console.error("Error running link preview worker:", error);
+    return 0;
+  } finally {
+    isRunning = false;
+  }
+}
+
+// Runs once at startup, then every 30 seconds
+const startLinkPreviewWorker = () => {
+  runLinkPreviewWorker();
+  setInterval(runLinkPreviewWorker, WORKER_INTERVAL_MS);
+
+  console.log("Link preview worker started - running every 30 seconds");
+};
+
+export default startLinkPreviewWorker;
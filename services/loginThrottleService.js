@@ -0,0 +1,198 @@
+import prisma from "../config/prismaConfig.js";
+
+/**
+ * Throttling policies.
+ *
+ * After `freeAttempts` failures every further failure blocks the key for
+ * `baseDelayMs * 2^(extra failures - 1)`, capped at `maxDelayMs`. Once
+ * `lockoutThreshold` failures are reached the key is locked for
+ * `lockoutMs`. Counters reset when no failure happened for `windowMs`.
+ */
+const POLICIES = {
+  account: {
+    freeAttempts: 3,
+    baseDelayMs: 5 * 1000,
+    maxDelayMs: 5 * 60 * 1000,
+    lockoutThreshold: 10,
+    lockoutMs: 15 * 60 * 1000,
+    windowMs: 24 * 60 * 60 * 1000,
+  },
+  ip: {
+    freeAttempts: 20,
+    baseDelayMs: 5 * 1000,
+    maxDelayMs: 60 * 60 * 1000,
+    lockoutThreshold: Infinity, // IPs are only slowed down
+    lockoutMs: 0,
+    windowMs: 60 * 60 * 1000,
+  },
+};
+
+const getPolicy = (key) => POLICIES[key.split(":")[0]];
+
+// How long a key is blocked after its n-th consecutive failure
+const getBlockDuration = (policy, failedCount) => {
+  if (failedCount >= policy.lockoutThreshold) {
+    return policy.lockoutMs;
+  }
+  if (failedCount <= policy.freeAttempts) {
+    return 0;
+  }
+  const extraFailures = failedCount - policy.freeAttempts;
+  return Math.min(
+    policy.baseDelayMs * 2 ** (extraFailures - 1),
+    policy.maxDelayMs
+  );
+};
+
+// Add a failure to the counter of a key, creating it if needed
+const incrementFailures = async (key, now) => {
+  try {
+    return await prisma.loginThrottle.upsert({
+      where: { key },
+      create: { key, failedCount: 1, lastFailedAt: now },
+      update: { failedCount: { increment: 1 }, lastFailedAt: now },
+      select: { failedCount: true },
+    });
+  } catch (error) {
+    // A parallel failure created the row first
+    if (error.code === "P2002") {
+      return await prisma.loginThrottle.update({
+        where: { key },
+        data: { failedCount: { increment: 1 }, lastFailedAt: now },
+        select: { failedCount: true },
+      });
+    }
+    throw error;
+  }
+};
+
+/**
+ * Failed login tracking per account and per IP address
+ */
+class LoginThrottleService {
+  /**
+   * Throttle key for an account. Unknown identifiers are tracked too, so
+   * responses don't reveal whether an account exists.
+   * @param {string} userIdOrIdentifier - User ID, or the submitted username/email
+   * @returns {string} - The throttle key
+   */
+  static accountKey(userIdOrIdentifier) {
+    // Keep arbitrary user input within the indexed column size
+    const identifier = String(userIdOrIdentifier).toLowerCase().slice(0, 150);
+    return `account:${identifier}`;
+  }
+
+  /**
+   * Throttle key for a client IP address
+   * @param {string} ipAddress - The client IP address
+   * @returns {string} - The throttle key
+   */
+  static ipKey(ipAddress) {
+    return `ip:${ipAddress || "unknown"}`;
+  }
+
+  /**
+   * How long the caller has to wait before trying again
+   * @param {string[]} keys - Throttle keys to check
+   * @returns {Promise<number>} - Milliseconds to wait, 0 if not blocked
+   */
+  static async getRetryAfter(keys) {
+    const records = await prisma.loginThrottle.findMany({
+      where: { key: { in: keys }, lockedUntil: { gt: new Date() } },
+      select: { lockedUntil: true },
+    });
+
+    return records.reduce(
+      (max, record) => Math.max(max, record.lockedUntil - Date.now()),
+      0
+    );
+  }
+
+  /**
+   * Record a failed attempt against every key
+   * @param {string[]} keys - Throttle keys to charge
+   * @returns {Promise<{lockedOut: boolean, lockedUntil: Date|null}>} -
+   *   `lockedOut` is true when this failure locked the account key
+   */
+  static async recordFailure(keys) {
+    const now = new Date();
+    let lockedOut = false;
+    let lockedUntil = null;
+
+    for (const key of keys) {
+      const policy = getPolicy(key);
+
+      // Start counting again after a quiet period
+      await prisma.loginThrottle.updateMany({
+        where: {
+          key,
+          OR: [
+            { lastFailedAt: null },
+            { lastFailedAt: { lt: new Date(now.getTime() - policy.windowMs) } },
+          ],
+        },
+        data: { failedCount: 0 },
+      });
+
+      // Increment in the database, so parallel failures all count
+      const { failedCount } = await incrementFailures(key, now);
+
+      const blockMs = getBlockDuration(policy, failedCount);
+      const keyLockedUntil =
+        blockMs > 0 ? new Date(now.getTime() + blockMs) : null;
+
+      if (keyLockedUntil) {
+        // A parallel failure may have set a later time already
+        await prisma.loginThrottle.updateMany({
+          where: {
+            key,
+            OR: [
+              { lockedUntil: null },
+              { lockedUntil: { lt: keyLockedUntil } },
+            ],
+          },
+          data: { lockedUntil: keyLockedUntil },
+        });
+      }
+
+      // Every time the threshold is crossed again counts as a new lockout
+      if (
+        failedCount >= policy.lockoutThreshold &&
+        (failedCount - policy.lockoutThreshold) % policy.lockoutThreshold === 0
+      ) {
+        lockedOut = true;
+        lockedUntil = keyLockedUntil;
+      }
+    }
+
+    return { lockedOut, lockedUntil };
+  }
+
+  /**
+   * Clear the failure counter of a key after a successful login
+   * @param {string} key - The throttle key
+   */
+  static async recordSuccess(key) {
+    await prisma.loginThrottle.deleteMany({ where: { key } });
+  }
+
+  /**
+   * Delete counters that are no longer relevant
+   * @returns {Promise<Object>} - Delete count
+   */
+  static async purgeStale() {
+    const longestWindow = Math.max(
+      ...Object.values(POLICIES).map((policy) => policy.windowMs)
+    );
+    const now = new Date();
+
+    return await prisma.loginThrottle.deleteMany({
+      where: {
+        lastFailedAt: { lt: new Date(now.getTime() - longestWindow) },
+        OR: [{ lockedUntil: null }, { lockedUntil: { lt: now } }],
+      },
+    });
+  }
+}
+
+export { LoginThrottleService };
@@ -0,0 +1,184 @@
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const DEFAULT_FROM = "Los Santos Media <no-reply@lossantos.cloud>";
+const DEFAULT_OUTBOX_DIR = path.join(__dirname, "..", "mail_outbox");
+
+/**
+ * Mail transports
+ *
+ * A transport is any object with an async `send(message)` method, where
+ * message is `{ from, to, subject, text, html }`. Set MAIL_TRANSPORT to pick
+ * a built-in one, or plug your own in with `MailService.setTransport()`.
+ */
+
+// Prints every message to stdout (default for local development)
+const consoleTransport = {
+  name: "console",
+  async send(message) {
+    console.log("📧 Mail to:", message.to);
+    console.log("📧 Subject:", message.subject);
+    console.log(message.text);
+  },
+};
+
+// Writes every message as a JSON file into a directory (handy for tests)
+const createFileTransport = (outboxDir = DEFAULT_OUTBOX_DIR) => ({
+  name: "file",
+  outboxDir,
+  async send(message) {
+    await fs.promises.mkdir(outboxDir, { recursive: true });
+    const filename = `${Date.now()}-${Math.round(Math.random() * 1e9)}.json`;
+    await fs.promises.writeFile(
+      path.join(outboxDir, filename),
+      JSON.stringify({ ...message, sentAt: new Date().toISOString() }, null, 2)
+    );
+  },
+});
+
+const createTransportFromEnv = () => {
+  switch (process.env.MAIL_TRANSPORT) {
+    case "file":
+      return createFileTransport(
+        process.env.MAIL_OUTBOX_DIR || DEFAULT_OUTBOX_DIR
+      );
+    case "console":
+    case undefined:
+    case "":
+      return consoleTransport;
+    default:
+      throw new Error(
+        `Unknown MAIL_TRANSPORT "${process.env.MAIL_TRANSPORT}". Use "console" or "file", or call MailService.setTransport()`
+      );
+  }
+};
+
+let transport = null;
+
+const escapeHtml = (value) =>
+  value
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+
+// Build a link into the frontend app
+const frontendLink = (pathname, params = {}) => {
+  const url = new URL(
+    pathname,
+    process.env.FRONTEND_URL || "http://localhost:5173"
+  );
+  Object.entries(params).forEach(([key, value]) =>
+    url.searchParams.set(key, value)
+  );
+  return url.toString();
+};
+
+class MailService {
+  // Replace the active transport (e.g. with an SMTP or API based one)
+  static setTransport(newTransport) {
+    transport = newTransport;
+  }
+
+  static getTransport() {
+    if (!transport) {
+      transport = createTransportFromEnv();
+    }
+    return transport;
+  }
+
+  // Send a raw message through the active transport
+  static async send({ to, subject, text, html }) {
+    const message = {
+      from: process.env.MAIL_FROM || DEFAULT_FROM,
+      to,
+      subject,
+      text,
+      html: html || `<p>${escapeHtml(text).replace(/\n/g, "<br>")}</p>`,
+    };
+
+    await MailService.getTransport().send(message);
+    return message;
+  }
+
+  // Send the link that confirms the email address of a new account
+  static async sendVerificationEmail(user, token) {
+    const link = frontendLink("/verify-email", { token });
+
+    return await MailService.send({
+      to: user.email,
+      subject: "Confirm your email address",
+      text: `Welcome to Los Santos Media, ${user.name}!\n\nPlease confirm your email address to activate your account @${user.username}:\n\n${link}\n\nThis link expires in 24 hours.`,
+    });
+  }
+
+  // Send the password reset link
+  static async sendPasswordResetEmail(user, token) {
+    const link = frontendLink("/reset-password", { token });
+
+    return await MailService.send({
+      to: user.email,
+      subject: "Reset your password",
+      text: `Hi ${user.name},\n\nSomeone (hopefully you) asked to reset the password of your account @${user.username}.\nOpen this link within the next hour to choose a new password:\n\n${link}\n\nIf you did not request this, you can ignore this email.`,
+    });
+  }
+
+  // Warn the owner that their account was locked after failed logins
+  static async sendAccountLockedEmail(user, { lockedUntil, ipAddress }) {
+    return await MailService.send({
+      to: user.email,
+      subject: "Your account was temporarily locked",
+      text: `Hi ${user.name},\n\nWe locked your account @${
+        user.username
+      } after too many failed login attempts${
+        ipAddress ? ` (last attempt from ${ipAddress})` : ""
+      }.\nYou can try again after ${lockedUntil.toUTCString()}.\n\nIf this was not you, consider resetting your password and enabling two-factor authentication.`,
+    });
+  }
+
+  // Confirm that the password was changed
+  static async sendPasswordChangedEmail(user) {
+    return await MailService.send({
+      to: user.email,
+      subject: "Your password was changed",
+      text: `Hi ${user.name},\n\nThe password of your account @${user.username} was just changed and all other devices were logged out.\nIf this was not you, reset your password immediately and contact support.`,
+    });
+  }
+
+  // Confirm an account deletion and explain how to undo it
+  static async sendAccountDeletedEmail(user, { purgeAfter }) {
+    return await MailService.send({
+      to: user.email,
+      subject: "Your account was deleted",
+      text: `Hi ${user.name},\n\nYour account @${
+        user.username
+      } was deleted and is no longer visible to others.\nIf you change your mind, just log in again before ${purgeAfter.toUTCString()} to restore it. After that date your data is removed permanently.`,
+    });
+  }
+
+  // Send the link that confirms a new email address to that address
+  static async sendEmailChangeEmail(user, newEmail, token) {
+    const link = frontendLink("/confirm-email-change", { token });
+
+    return await MailService.send({
+      to: newEmail,
+      subject: "Confirm your new email address",
+      text: `Hi ${user.name},\n\nPlease confirm that you want to use this address for your account @${user.username}:\n\n${link}\n\nThis link expires in 24 hours. Until then your account keeps using its current address.`,
+    });
+  }
+
+  // Tell the previous address that the account email was changed
+  static async sendEmailChangedEmail(user, { oldEmail, newEmail }) {
+    return await MailService.send({
+      to: oldEmail,
+      subject: "Your email address was changed",
+      text: `Hi ${user.name},\n\nThe email address of your account @${user.username} was changed to ${newEmail}. This address will no longer receive account emails.\nIf this was not you, contact support immediately.`,
+    });
+  }
+}
+
+export { MailService, consoleTransport, createFileTransport };
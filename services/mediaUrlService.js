@@ -0,0 +1,264 @@
+import crypto from "crypto";
+import path from "path";
+import { fileURLToPath } from "url";
+import prisma from "../config/prismaConfig.js";
+import { PostVisibilityService } from "./postVisibilityService.js";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const UPLOADS_DIR = path.join(__dirname, "..", "uploads");
+
+const MEDIA_ROUTE = "/api/media";
+const POST_MEDIA_DIR = "post_media";
+
+const MEDIA_URL_TTL_MS = 60 * 60 * 1000; // Signed URLs are valid for 1 hour
+// Expiries are rounded up to this step so the same file gets the same URL
+// for a while and stays cacheable in the browser
+const EXPIRY_STEP_MS = 15 * 60 * 1000;
+
+// Response fields holding upload paths, and the folder each one points to
+// ("" is the uploads root)
+const SIGNED_FIELDS = {
+  url: POST_MEDIA_DIR, // Media.url
+  profilePicture: "",
+  coverPicture: "",
+};
+
+// Profile and cover pictures are stored in the uploads root under the
+// multer field name
+const SIGNED_ROOT_PREFIXES = ["profilePicture-", "coverPicture-"];
+
+const getSecret = () => {
+  const secret = process.env.MEDIA_URL_SECRET || process.env.JWT_SECRET;
+  if (!secret) {
+    throw new Error("MEDIA_URL_SECRET is not configured");
+  }
+  return secret;
+};
+
+const createSignature = (uploadPath, expiresAt, viewerId) =>
+  crypto
+    .createHmac("sha256", getSecret())
+    .update(`${uploadPath}:${expiresAt}:${viewerId || ""}`)
+    .digest("base64url");
+
+const isPlainObject = (value) => {
+  if (value === null || typeof value !== "object") return false;
+  const prototype = Object.getPrototypeOf(value);
+  return prototype === Object.prototype || prototype === null;
+};
+
+/**
+ * Signed, expiring URLs for uploaded media.
+ *
+ * Post media and profile/cover pictures are not served statically. API
+ * responses carry URLs to the media route signed with an HMAC and an expiry,
+ * and the route checks the signature and that the file still belongs to
+ * something visible (e.g. a post that wasn't deleted) before sending it.
+ * The media route has no authentication (the URLs are used in <img> tags),
+ * so URLs are signed for the user they were issued to, and post media are
+ * only served while that user may still see the post.
+ */
+class MediaUrlService {
+  /**
+   * Turn a stored value into a path inside the uploads folder
+   * @param {string} value - e.g. "/uploads/post_media/a.jpg", "/post_media/a.jpg", "a.jpg"
+   * @returns {string|null} - e.g. "post_media/a.jpg", or null if it isn't a local upload
+   */
+  static resolveUploadPath(value) {
+    if (typeof value !== "string" || !value) return null;
+    // Absolute URLs (external hosting, data URLs) are left alone
+    if (/^[a-z][a-z0-9+.-]*:/i.test(value) || value.startsWith("//")) {
+      return null;
+    }
+
+    let uploadPath = value.split("?")[0].replace(/^\/+/, "");
+    if (uploadPath.startsWith("uploads/")) {
+      uploadPath = uploadPath.slice("uploads/".length);
+    }
+
+    const segments = uploadPath.split("/");
+    if (segments.some((segment) => !segment || /^\.+$/.test(segment))) {
+      return null;
+    }
+    if (segments.length === 1) return uploadPath;
+    if (segments.length === 2 && segments[0] === POST_MEDIA_DIR) {
+      return uploadPath;
+    }
+    return null;
+  }
+
+  /**
+   * Whether a file may only be served through a signed URL
+   * @param {string} uploadPath - Path inside the uploads folder
+   * @returns {boolean}
+   */
+  static requiresSignedUrl(uploadPath) {
+    const resolved = MediaUrlService.resolveUploadPath(uploadPath);
+    if (!resolved) return false;
+    if (resolved.startsWith(`${POST_MEDIA_DIR}/`)) return true;
+    return SIGNED_ROOT_PREFIXES.some((prefix) => resolved.startsWith(prefix));
+  }
+
+  /**
+   * Create a signed URL for an uploaded file
+   * @param {string} uploadPath - Path inside the uploads folder
+   * @param {string|null} [viewerId] - The user the URL is issued to, null if anonymous
+   * @returns {string} - Relative URL to the media route
+   */
+  static signPath(uploadPath, viewerId = null) {
+    const expiresAt =
+      Math.ceil((Date.now() + MEDIA_URL_TTL_MS) / EXPIRY_STEP_MS) *
+      EXPIRY_STEP_MS;
+    const exp = Math.floor(expiresAt / 1000);
+    const encodedPath = uploadPath.split("/").map(encodeURIComponent).join("/");
+
+    const viewer = viewerId ? `&viewer=${encodeURIComponent(viewerId)}` : "";
+
+    return `${MEDIA_ROUTE}/${encodedPath}?exp=${exp}${viewer}&sig=${createSignature(
+      uploadPath,
+      exp,
+      viewerId
+    )}`;
+  }
+
+  /**
+   * Check the signature and expiry of a media request
+   * @param {string} uploadPath - Path inside the uploads folder
+   * @param {string} exp - Expiry in seconds since the epoch
+   * @param {string} sig - The signature
+   * @param {string} [viewerId] - The user the URL was issued to
+   * @returns {boolean}
+   */
+  static verify(uploadPath, exp, sig, viewerId) {
+    const expiresAt = Number(exp);
+    if (!Number.isInteger(expiresAt) || expiresAt * 1000 <= Date.now()) {
+      return false;
+    }
+    if (typeof sig !== "string") return false;
+
+    const expected = Buffer.from(
+      createSignature(uploadPath, expiresAt, viewerId)
+    );
+    const actual = Buffer.from(sig);
+    return (
+      expected.length === actual.length &&
+      crypto.timingSafeEqual(expected, actual)
+    );
+  }
+
+  /**
+   * Replace stored upload paths in a response body with signed URLs
+   * @param {*} body - The JSON response body
+   * @param {string|null} [viewerId] - The user receiving the response
+   * @returns {*} - A copy with signed media URLs
+   */
+  static signUrls(body, viewerId = null) {
+    if (Array.isArray(body)) {
+      return body.map((item) => MediaUrlService.signUrls(item, viewerId));
+    }
+    if (!isPlainObject(body)) return body;
+
+    const signed = {};
+    for (const [key, value] of Object.entries(body)) {
+      if (key in SIGNED_FIELDS && typeof value === "string") {
+        const uploadPath = MediaUrlService.resolveUploadPath(value);
+        const folder = uploadPath && path.posix.dirname(uploadPath);
+        signed[key] =
+          uploadPath && (folder === "." ? "" : folder) === SIGNED_FIELDS[key]
+            ? MediaUrlService.signPath(uploadPath, viewerId)
+            : value;
+      } else {
+        signed[key] = MediaUrlService.signUrls(value, viewerId);
+      }
+    }
+    return signed;
+  }
+
+  /**
+   * Whether a file still belongs to something that can be shown to a user
+   * @param {string} uploadPath - Path inside the uploads folder
+   * @param {string|null} [viewerId] - The user the URL was issued to, null if anonymous
+   * @returns {Promise<boolean>}
+   */
+  static async canServe(uploadPath, viewerId = null) {
+    const fileName = path.posix.basename(uploadPath);
+
+    if (uploadPath.startsWith(`${POST_MEDIA_DIR}/`)) {
+      const media = await prisma.media.findFirst({
+        where: {
+          OR: [
+            { filename: fileName },
+            {
+              url: {
+                in: [
+                  `/${POST_MEDIA_DIR}/${fileName}`,
+                  `/uploads/${POST_MEDIA_DIR}/${fileName}`,
+                ],
+              },
+            },
+          ],
+        },
+        select: {
+          deletedAt: true,
+          post: {
+            select: {
+              id: true,
+              authorId: true,
+              type: true,
+              pageId: true,
+              status: true,
+              audience: true,
+              deletedAt: true,
+              author: { select: { deletedAt: true } },
+              page: { select: { deletedAt: true } },
+            },
+          },
+        },
+      });
+
+      if (!media || media.deletedAt || media.post.deletedAt) return false;
+      if (media.post.author && media.post.author.deletedAt) return false;
+      if (media.post.page && media.post.page.deletedAt) return false;
+
+      const { post } = media;
+      if (!viewerId) {
+        return post.status === "published" && post.audience === "public";
+      }
+
+      // Authors and page owners/admins also see drafts and scheduled posts
+      if (post.authorId === viewerId) return true;
+      if (post.type === "page" && post.pageId) {
+        const manager = await prisma.pageMember.findFirst({
+          where: {
+            deletedAt: null,
+            userId: viewerId,
+            pageId: post.pageId,
+            status: "accepted",
+            role: { in: ["owner", "admin"] },
+          },
+          select: { id: true },
+        });
+        if (manager) return true;
+      }
+
+      return await PostVisibilityService.canView(post.id, viewerId);
+    }
+
+    const storedValues = [fileName, `/${fileName}`, `/uploads/${fileName}`];
+    const owner = await prisma.user.findFirst({
+      where: {
+        deletedAt: null,
+        OR: [
+          { profilePicture: { in: storedValues } },
+          { coverPicture: { in: storedValues } },
+        ],
+      },
+      select: { id: true },
+    });
+    return Boolean(owner);
+  }
+}
+
+export { MediaUrlService, UPLOADS_DIR };
@@ -0,0 +1,217 @@
+import prisma from "../config/prismaConfig.js";
+import { PostVisibilityService } from "./postVisibilityService.js";
+
+const MAX_MENTIONS = 50;
+
+// An @ not preceded by a word character, "@" or "." (so emails aren't
+// mentions), followed by a username (see UsernameService)
+const MENTION_PATTERN = /(^|[^\w@.])@([a-zA-Z0-9_.]{3,30})/g;
+
+// How mentions are returned with posts and comments
+const MENTIONS_INCLUDE = {
+  select: {
+    offset: true,
+    length: true,
+    user: { select: { id: true, username: true, name: true } },
+  },
+  orderBy: { offset: "asc" },
+};
+
+/**
+ * @mentions in posts and comments.
+ *
+ * Mentions are parsed when content is written and stored with the range of
+ * "@username" in the content (offset and length in UTF-16 code units, like
+ * JavaScript string indexes), so clients can link them without parsing.
+ * Mentioned users are notified once, when the post is published or the
+ * comment is written, and only if they can see the post.
+ */
+class MentionService {
+  /**
+   * Find the @username mentions in a text
+   * @param {string} content - Post or comment content
+   * @returns {Object[]} - [{ username, offset, length }], in order
+   */
+  static parseMentions(content) {
+    if (!content) return [];
+
+    const mentions = [];
+    for (const match of content.matchAll(MENTION_PATTERN)) {
+      // "@jane." at the end of a sentence mentions jane
+      const username = match[2].replace(/\.+$/, "");
+      if (username.length < 3) continue;
+
+      mentions.push({
+        username,
+        offset: match.index + match[1].length,
+        length: username.length + 1,
+      });
+      if (mentions.length === MAX_MENTIONS) break;
+    }
+    return mentions;
+  }
+
+  /**
+   * Parse mentions and resolve them to existing users
+   * @param {string} content - Post or comment content
+   * @returns {Promise<Object[]>} - [{ userId, offset, length }]
+   */
+  static async resolveMentions(content) {
+    const mentions = MentionService.parseMentions(content);
+    if (mentions.length === 0) return [];
+
+    const users = await prisma.user.findMany({
+      where: {
+        username: { in: [...new Set(mentions.map((m) => m.username))] },
+        deletedAt: null,
+      },
+      select: { id: true, username: true },
+    });
+    const idsByUsername = new Map(
+      users.map((user) => [user.username.toLowerCase(), user.id])
+    );
+
+    return mentions
+      .filter((mention) => idsByUsername.has(mention.username.toLowerCase()))
+      .map((mention) => ({
+        userId: idsByUsername.get(mention.username.toLowerCase()),
+        offset: mention.offset,
+        length: mention.length,
+      }));
+  }
+
+  /**
+   * Store the mentions of a post, replacing previous ones. Users who were
+   * already notified aren't notified again after an edit.
+   * @param {string} postId - The ID of the post
+   * @param {string} content - The current content of the post
+   * @returns {Promise<void>}
+   */
+  static async syncPostMentions(postId, content) {
+    const mentions = await MentionService.resolveMentions(content);
+
+    const notified = await prisma.mention.findMany({
+      where: { postId, notifiedAt: { not: null } },
+      select: { userId: true, notifiedAt: true },
+    });
+    const notifiedAtByUser = new Map(
+      notified.map((mention) => [mention.userId, mention.notifiedAt])
+    );
+
+    await prisma.$transaction([
+      prisma.mention.deleteMany({ where: { postId } }),
+      prisma.mention.createMany({
+        data: mentions.map((mention) => ({
+          ...mention,
+          postId,
+          notifiedAt: notifiedAtByUser.get(mention.userId) || null,
+        })),
+      }),
+    ]);
+  }
+
+  /**
+   * Notify users mentioned in a published post who weren't notified yet
+   * @param {Object} post - { id, authorId, pageId, audience, status }
+   * @returns {Promise<void>}
+   */
+  static async notifyPostMentions(post) {
+    if (post.status !== "published") return;
+
+    const pending = await prisma.mention.findMany({
+      where: { postId: post.id, notifiedAt: null },
+      select: { userId: true },
+    });
+    if (pending.length === 0) return;
+
+    const recipientIds = await PostVisibilityService.filterAudience(post, [
+      ...new Set(pending.map((mention) => mention.userId)),
+    ]);
+
+    await MentionService.createNotifications(post.authorId, recipientIds, {
+      postId: post.id,
+      pageId: post.pageId,
+      where: "a post",
+    });
+
+    // Users outside the audience are not notified later either
+    await prisma.mention.updateMany({
+      where: { postId: post.id, notifiedAt: null },
+      data: { notifiedAt: new Date() },
+    });
+  }
+
+  /**
+   * Store the mentions of a new comment and notify the mentioned users
+   * @param {Object} comment - { id, userId, content }
+   * @param {Object} post - The commented post ({ id, authorId, pageId, audience })
+   * @returns {Promise<void>}
+   */
+  static async createCommentMentions(comment, post) {
+    const mentions = await MentionService.resolveMentions(comment.content);
+    if (mentions.length === 0) return;
+
+    const mentionedIds = [...new Set(mentions.map((m) => m.userId))];
+    // filterAudience leaves out the post author, who can always see it
+    const recipientIds = (
+      await PostVisibilityService.filterAudience(post, mentionedIds)
+    ).concat(mentionedIds.includes(post.authorId) ? [post.authorId] : []);
+
+    const now = new Date();
+    await prisma.mention.createMany({
+      data: mentions.map((mention) => ({
+        ...mention,
+        commentId: comment.id,
+        notifiedAt: now,
+      })),
+    });
+
+    await MentionService.createNotifications(comment.userId, recipientIds, {
+      postId: post.id,
+      commentId: comment.id,
+      pageId: post.pageId,
+      where: "a comment",
+    });
+  }
+
+  /**
+   * Create mention notifications
+   * @param {string} senderId - The user who wrote the mention
+   * @param {string[]} recipientIds - The mentioned users
+   * @param {Object} target - { postId, commentId, pageId, where }
+   * @returns {Promise<void>}
+   */
+  static async createNotifications(
+    senderId,
+    recipientIds,
+    { postId, commentId = null, pageId = null, where }
+  ) {
+    try {
+      const userIds = recipientIds.filter((id) => id && id !== senderId);
+      if (userIds.length === 0 || !senderId) return;
+
+      const sender = await prisma.user.findUnique({
+        where: { id: senderId },
+        select: { name: true, username: true },
+      });
+      if (!sender) return;
+
+      await prisma.notification.createMany({
+        data: userIds.map((userId) => ({
+          userId,
+          senderId,
+          type: "mention",
+          title: `${sender.name} mentioned you in ${where}`,
+          content: `${sender.name} (@${sender.username}) mentioned you`,
+          postId,
+          commentId,
+          pageId,
+        })),
+      });
+    } catch (error) {
+      console.error("Error creating mention notifications:", error);
+    }
+  }
+}
+
+export { MentionService, MENTIONS_INCLUDE };
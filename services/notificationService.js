@@ -1,4 +1,11 @@
 import prisma from "../config/prismaConfig.js";
+import { PostVisibilityService } from "./postVisibilityService.js";
+import {
+  CursorPaginationService,
+  CURSOR_ORDER_BY,
+} from "./cursorPaginationService.js";
+
+const NOTIFICATION_BATCH_SIZE = 1000;
 
 class NotificationService {
   // Create notification for post like
@@ -240,14 +247,130 @@ class NotificationService {
     }
   }
 
-  // Get user notifications
-  static async getUserNotifications(userId, page = 1, limit = 20) {
+  // Create notification for a reshare or quote of a post. The recipient
+  // is only notified if they can see the share.
+  static async createShareNotification(senderId, original, share) {
+    try {
+      let recipientId = original.authorId;
+      if (original.type === "page") {
+        const page = await prisma.page.findUnique({
+          where: { id: original.pageId },
+          select: { ownerId: true },
+        });
+        recipientId = page?.ownerId;
+      }
+
+      // Don't notify if user shares their own post
+      if (!recipientId || senderId === recipientId) return;
+
+      const [canSee] = await PostVisibilityService.filterAudience(share, [
+        recipientId,
+      ]);
+      if (!canSee) return;
+
+      const sender = await prisma.user.findUnique({
+        where: { id: senderId },
+        select: { name: true, username: true },
+      });
+
+      const title = share.content
+        ? `${sender.name} quoted your post`
+        : `${sender.name} shared your post`;
+
+      await prisma.notification.create({
+        data: {
+          userId: recipientId,
+          senderId,
+          type: "share",
+          title,
+          content: share.content
+            ? `${sender.name}: "${share.content.substring(0, 100)}..."`
+            : null,
+          postId: share.id,
+          pageId: original.pageId,
+        },
+      });
+    } catch (error) {
+      console.error("Error creating share notification:", error);
+    }
+  }
+
+  // Notify the followers of a user or page about a newly published post.
+  // User posts only notify followers who are in the post's audience.
+  static async createNewPostNotifications(post) {
     try {
-      const skip = (page - 1) * limit;
+      let recipientIds;
+      let title;
+
+      if (post.type === "page") {
+        const page = await prisma.page.findUnique({
+          where: { id: post.pageId },
+          select: { name: true },
+        });
+        if (!page) return;
+
+        const followers = await prisma.pageFollower.findMany({
+          where: { pageId: post.pageId, deletedAt: null },
+          select: { userId: true },
+        });
+        recipientIds = followers
+          .map((follower) => follower.userId)
+          .filter((userId) => userId !== post.authorId);
+        title = `${page.name} published a new post`;
+      } else {
+        const author = await prisma.user.findUnique({
+          where: { id: post.authorId },
+          select: { name: true },
+        });
+        if (!author) return;
+
+        const followers = await prisma.follower.findMany({
+          where: { followingId: post.authorId, deletedAt: null },
+          select: { followerId: true },
+        });
+        recipientIds = await PostVisibilityService.filterAudience(
+          post,
+          followers.map((follower) => follower.followerId)
+        );
+        title = `${author.name} published a new post`;
+      }
+
+      const content = post.content
+        ? `"${post.content.substring(0, 100)}..."`
+        : null;
+
+      for (let i = 0; i < recipientIds.length; i += NOTIFICATION_BATCH_SIZE) {
+        await prisma.notification.createMany({
+          data: recipientIds
+            .slice(i, i + NOTIFICATION_BATCH_SIZE)
+            .map((userId) => ({
+              userId,
+              senderId: post.authorId,
+              type: "new_post",
+              title,
+              content,
+              postId: post.id,
+              pageId: post.pageId,
+            })),
+        });
+      }
+    } catch (error) {
+      console.error("Error creating new post notifications:", error);
+    }
+  }
+
+  // Get user notifications, paged with CursorPaginationService.fromQuery
+  static async getUserNotifications(
+    userId,
+    paging,
+    { unreadOnly = false } = {}
+  ) {
+    try {
+      const where = { userId, ...(unreadOnly ? { isRead: false } : {}) };
 
-      const [notifications, total] = await Promise.all([
+      const [rows, total] = await Promise.all([
         prisma.notification.findMany({
-          where: { userId },
+          where: { ...where, ...paging.where },
           include: {
             sender: {
               select: {
@@ -287,21 +410,31 @@ class NotificationService {
               },
             },
           },
-          orderBy: { createdAt: "desc" },
-          skip,
-          take: limit,
+          orderBy: CURSOR_ORDER_BY,
+          skip: paging.skip,
+          take: paging.take,
         }),
-        prisma.notification.count({ where: { userId } }),
+        // Cursor pages don't need the total
+        paging.isCursor ? null : prisma.notification.count({ where }),
       ]);
 
+      const {
+        items: notifications,
+        hasMore,
+        nextCursor,
+      } = CursorPaginationService.getPage(rows, paging, total);
+
       return {
         notifications,
-        pagination: {
-          currentPage: page,
-          totalPages: Math.ceil(total / limit),
-          total,
-          hasMore: skip + notifications.length < total,
-        },
+        pagination: paging.isCursor
+          ? { hasMore, nextCursor }
+          : {
+              currentPage: paging.page,
+              totalPages: Math.ceil(total / paging.take),
+              total,
+              hasMore,
+              nextCursor,
+            },
       };
     } catch (error) {
       console.error("Error fetching notifications:", error);
@@ -0,0 +1,186 @@
+import crypto from "crypto";
+import prisma from "../config/prismaConfig.js";
+
+// Lets the middleware tell tokens apart from JWTs, and secret scanners find
+// leaked tokens
+const TOKEN_PREFIX = "lsm_pat_";
+
+// Scopes a token can be granted. Each API area has a read scope for GET
+// requests and a write scope for everything else.
+const PAT_SCOPES = [
+  "users:read",
+  "users:write",
+  "posts:read",
+  "posts:write",
+  "friendship:read",
+  "friendship:write",
+  "pages:read",
+  "pages:write",
+  "notifications:read",
+  "notifications:write",
+  "search:read",
+];
+
+const MAX_TOKENS_PER_USER = 20;
+
+// lastUsedAt is only written when it is older than this
+const LAST_USED_THROTTLE_MS = 5 * 60 * 1000;
+
+const hashToken = (token) =>
+  crypto.createHash("sha256").update(token).digest("hex");
+
+// Fields that are safe to show in token listings
+const TOKEN_SELECT = {
+  id: true,
+  name: true,
+  prefix: true,
+  scopes: true,
+  lastUsedAt: true,
+  expiresAt: true,
+  createdAt: true,
+};
+
+/**
+ * Personal access tokens for API clients (bots, dashboards, scripts).
+ *
+ * Tokens never grant admin rights and only work on endpoints covered by
+ * their scopes. Only a SHA-256 hash of each token is stored.
+ */
+class PersonalAccessTokenService {
+  /**
+   * Whether a Bearer credential looks like a personal access token
+   * @param {string} token - The raw credential
+   * @returns {boolean}
+   */
+  static isPersonalAccessToken(token) {
+    return token.startsWith(TOKEN_PREFIX);
+  }
+
+  /**
+   * Count the active tokens of a user
+   * @param {string} userId - The ID of the user
+   * @returns {Promise<number>} - Number of tokens that are not revoked
+   */
+  static async countActiveTokens(userId) {
+    return await prisma.personalAccessToken.count({
+      where: {
+        userId,
+        revokedAt: null,
+        OR: [{ expiresAt: null }, { expiresAt: { gt: new Date() } }],
+      },
+    });
+  }
+
+  /**
+   * Create a token
+   * @param {string} userId - The ID of the owner
+   * @param {Object} options - Token settings
+   * @param {string} options.name - A label chosen by the user
+   * @param {string[]} options.scopes - Scopes from PAT_SCOPES
+   * @param {number} [options.expiresInDays] - Omit for a token that never expires
+   * @returns {Promise<{token: string, record: Object}>} - The raw token
+   *   (shown to the user once) and the stored token
+   */
+  static async createToken(userId, { name, scopes, expiresInDays }) {
+    const token = TOKEN_PREFIX + crypto.randomBytes(32).toString("base64url");
+
+    const record = await prisma.personalAccessToken.create({
+      data: {
+        userId,
+        name,
+        tokenHash: hashToken(token),
+        prefix: token.slice(0, TOKEN_PREFIX.length + 6),
+        scopes: [...new Set(scopes)],
+        expiresAt: expiresInDays
+          ? new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000)
+          : null,
+      },
+      select: TOKEN_SELECT,
+    });
+
+    return { token, record };
+  }
+
+  /**
+   * List the active tokens of a user
+   * @param {string} userId - The ID of the owner
+   * @returns {Promise<Array>} - Tokens, newest first
+   */
+  static async getActiveTokens(userId) {
+    return await prisma.personalAccessToken.findMany({
+      where: {
+        userId,
+        revokedAt: null,
+        OR: [{ expiresAt: null }, { expiresAt: { gt: new Date() } }],
+      },
+      select: TOKEN_SELECT,
+      orderBy: { createdAt: "desc" },
+    });
+  }
+
+  /**
+   * Revoke a token of a user
+   * @param {string} userId - The ID of the owner
+   * @param {string} tokenId - The ID of the token
+   * @returns {Promise<boolean>} - Whether an active token was revoked
+   */
+  static async revokeToken(userId, tokenId) {
+    const { count } = await prisma.personalAccessToken.updateMany({
+      where: { id: tokenId, userId, revokedAt: null },
+      data: { revokedAt: new Date() },
+    });
+    return count === 1;
+  }
+
+  /**
+   * Revoke every token of a user
+   * @param {string} userId - The ID of the owner
+   * @returns {Promise<number>} - Number of revoked tokens
+   */
+  static async revokeUserTokens(userId) {
+    const { count } = await prisma.personalAccessToken.updateMany({
+      where: { userId, revokedAt: null },
+      data: { revokedAt: new Date() },
+    });
+    return count;
+  }
+
+  /**
+   * Look up a presented token
+   * @param {string} token - The raw token from the Authorization header
+   * @returns {Promise<Object|null>} - The token with its owner, or null if
+   *   the token is unknown, revoked or expired
+   */
+  static async verifyToken(token) {
+    const record = await prisma.personalAccessToken.findUnique({
+      where: { tokenHash: hashToken(token) },
+      include: {
+        user: {
+          select: {
+            id: true,
+            email: true,
+            username: true,
+            isProUser: true,
+          },
+        },
+      },
+    });
+
+    if (!record || record.revokedAt) return null;
+    if (record.expiresAt && record.expiresAt <= new Date()) return null;
+
+    if (
+      !record.lastUsedAt ||
+      Date.now() - record.lastUsedAt > LAST_USED_THROTTLE_MS
+    ) {
+      await prisma.personalAccessToken.update({
+        where: { id: record.id },
+        data: { lastUsedAt: new Date() },
+      });
+    }
+
+    return record;
+  }
+}
+
+export { PersonalAccessTokenService, PAT_SCOPES, MAX_TOKENS_PER_USER };
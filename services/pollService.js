@@ -0,0 +1,319 @@
+import prisma from "../config/prismaConfig.js";
+
+const MIN_OPTIONS = 2;
+const MAX_OPTIONS = 10;
+const MAX_QUESTION_LENGTH = 300;
+const MAX_OPTION_LENGTH = 100;
+const MAX_POLL_DURATION_MS = 365 * 24 * 60 * 60 * 1000; // 1 year
+
+/**
+ * Error thrown when a poll or a vote is rejected.
+ * `code` is one of: INVALID_POLL, POLL_CLOSED, INVALID_OPTION,
+ * ALREADY_VOTED, NOT_VOTED
+ */
+class PollError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = "PollError";
+    this.code = code;
+  }
+}
+
+const invalidPoll = (message) => new PollError("INVALID_POLL", message);
+
+const isClosed = (poll) =>
+  Boolean(poll.closesAt && poll.closesAt <= new Date());
+
+/**
+ * Polls attached to posts.
+ *
+ * Results are hidden from a user until they vote or the poll closes. The
+ * post author and, for page polls, the page's owners/admins always see
+ * them. Voters are anonymous, except to the owners/admins of a page for
+ * its polls.
+ */
+class PollService {
+  /**
+   * Parse and check a poll sent with a new post
+   * @param {Object|string} input - { question, options, allowMultiple, closesAt },
+   * or the same as a JSON string (multipart forms)
+   * @param {Date|null} opensAt - When the post is published, null for now
+   * @returns {Object|null} - Data for prisma.poll, or null if there is no poll
+   */
+  static parsePoll(input, opensAt = null) {
+    if (input === undefined || input === null || input === "") return null;
+
+    let poll = input;
+    if (typeof input === "string") {
+      try {
+        poll = JSON.parse(input);
+      } catch (error) {
+        throw invalidPoll("Poll must be valid JSON");
+      }
+    }
+    if (!poll || typeof poll !== "object" || Array.isArray(poll)) {
+      throw invalidPoll("Poll must be an object");
+    }
+
+    const question =
+      typeof poll.question === "string" ? poll.question.trim() : "";
+    if (!question || question.length > MAX_QUESTION_LENGTH) {
+      throw invalidPoll(
+        `Poll question must be between 1 and ${MAX_QUESTION_LENGTH} characters`
+      );
+    }
+
+    if (
+      !Array.isArray(poll.options) ||
+      poll.options.length < MIN_OPTIONS ||
+      poll.options.length > MAX_OPTIONS
+    ) {
+      throw invalidPoll(
+        `A poll needs between ${MIN_OPTIONS} and ${MAX_OPTIONS} options`
+      );
+    }
+    const options = poll.options.map((option) =>
+      typeof option === "string" ? option.trim() : ""
+    );
+    if (options.some((text) => !text || text.length > MAX_OPTION_LENGTH)) {
+      throw invalidPoll(
+        `Poll options must be between 1 and ${MAX_OPTION_LENGTH} characters`
+      );
+    }
+    if (
+      new Set(options.map((text) => text.toLowerCase())).size !== options.length
+    ) {
+      throw invalidPoll("Poll options must be different");
+    }
+
+    let closesAt = null;
+    if (poll.closesAt !== undefined && poll.closesAt !== null) {
+      closesAt = new Date(poll.closesAt);
+      const start = opensAt ? opensAt.getTime() : Date.now();
+      if (
+        typeof poll.closesAt !== "string" ||
+        Number.isNaN(closesAt.getTime())
+      ) {
+        throw invalidPoll("closesAt must be a valid ISO 8601 date");
+      }
+      if (closesAt.getTime() <= start) {
+        throw invalidPoll("closesAt must be after the post is published");
+      }
+      if (closesAt.getTime() > start + MAX_POLL_DURATION_MS) {
+        throw invalidPoll("Polls can stay open for at most one year");
+      }
+    }
+
+    return {
+      question,
+      allowMultiple:
+        poll.allowMultiple === true || poll.allowMultiple === "true",
+      closesAt,
+      options: {
+        create: options.map((text, position) => ({ text, position })),
+      },
+    };
+  }
+
+  /**
+   * Load the poll of a post, with what voting needs
+   * @param {string} postId - The ID of the post
+   * @returns {Promise<Object|null>}
+   */
+  static async getPollByPost(postId) {
+    return await prisma.poll.findUnique({
+      where: { postId },
+      include: {
+        options: { select: { id: true } },
+        post: { select: { authorId: true, pageId: true, type: true } },
+      },
+    });
+  }
+
+  /**
+   * Vote in a poll, or change a previous vote
+   * @param {Object} poll - From getPollByPost
+   * @param {string} userId - The ID of the voter
+   * @param {string[]} optionIds - The chosen options
+   * @param {Object} options
+   * @param {boolean} options.change - True to replace an existing vote
+   * @returns {Promise<void>}
+   */
+  static async vote(poll, userId, optionIds, { change }) {
+    if (isClosed(poll)) {
+      throw new PollError("POLL_CLOSED", "This poll is closed");
+    }
+
+    const chosenIds = [...new Set(optionIds)];
+    const pollOptionIds = poll.options.map((option) => option.id);
+    if (
+      chosenIds.length === 0 ||
+      chosenIds.some((id) => !pollOptionIds.includes(id))
+    ) {
+      throw new PollError("INVALID_OPTION", "Pick options of this poll");
+    }
+    if (!poll.allowMultiple && chosenIds.length > 1) {
+      throw new PollError("INVALID_OPTION", "This poll allows one option");
+    }
+
+    await prisma.$transaction(async (tx) => {
+      // Lock the poll so parallel requests of a user can't both see no vote
+      await tx.$queryRaw`SELECT id FROM poll WHERE id = ${poll.id} FOR UPDATE`;
+
+      const existingVotes = await tx.pollVote.count({
+        where: { pollId: poll.id, userId },
+      });
+      if (!change && existingVotes > 0) {
+        throw new PollError("ALREADY_VOTED", "You already voted in this poll");
+      }
+      if (change && existingVotes === 0) {
+        throw new PollError("NOT_VOTED", "You haven't voted in this poll");
+      }
+
+      await tx.pollVote.deleteMany({ where: { pollId: poll.id, userId } });
+      await tx.pollVote.createMany({
+        data: chosenIds.map((optionId) => ({
+          pollId: poll.id,
+          optionId,
+          userId,
+        })),
+      });
+    });
+  }
+
+  /**
+   * Get who voted for each option
+   * @param {string} pollId - The ID of the poll
+   * @returns {Promise<Array>} - Options with their voters
+   */
+  static async getVoters(pollId) {
+    return await prisma.pollOption.findMany({
+      where: { pollId },
+      orderBy: { position: "asc" },
+      select: {
+        id: true,
+        text: true,
+        votes: {
+          orderBy: { createdAt: "asc" },
+          select: {
+            createdAt: true,
+            user: {
+              select: {
+                id: true,
+                username: true,
+                name: true,
+                profilePicture: true,
+              },
+            },
+          },
+        },
+      },
+    });
+  }
+
+  /**
+   * Attach polls to posts as the viewer may see them
+   * @param {Object[]} posts - Posts from a feed, with embedded shared posts
+   * @param {string} viewerId - The ID of the viewing user
+   * @returns {Promise<Object[]>} - The posts, those with a poll get a `poll`
+   */
+  static async attachPolls(posts, viewerId) {
+    const embedded = (post) =>
+      post.sharedPost && !post.sharedPost.unavailable ? post.sharedPost : null;
+    const postIds = posts
+      .flatMap((post) => [post.id, embedded(post)?.id])
+      .filter(Boolean);
+    if (postIds.length === 0) return posts;
+
+    const polls = await prisma.poll.findMany({
+      where: { postId: { in: postIds } },
+      include: {
+        options: {
+          orderBy: { position: "asc" },
+          select: {
+            id: true,
+            text: true,
+            position: true,
+            _count: { select: { votes: true } },
+          },
+        },
+        post: { select: { authorId: true, pageId: true, type: true } },
+      },
+    });
+    if (polls.length === 0) return posts;
+
+    const pollIds = polls.map((poll) => poll.id);
+    const pageIds = [
+      ...new Set(polls.map((poll) => poll.post.pageId).filter(Boolean)),
+    ];
+    const [myVotes, managedPages] = await Promise.all([
+      prisma.pollVote.findMany({
+        where: { pollId: { in: pollIds }, userId: viewerId },
+        select: { pollId: true, optionId: true },
+      }),
+      pageIds.length
+        ? prisma.pageMember.findMany({
+            where: {
+              deletedAt: null,
+              userId: viewerId,
+              pageId: { in: pageIds },
+              status: "accepted",
+              role: { in: ["owner", "admin"] },
+            },
+            select: { pageId: true },
+          })
+        : [],
+    ]);
+    const managedPageIds = new Set(managedPages.map((member) => member.pageId));
+
+    const pollsByPost = new Map(
+      polls.map((poll) => {
+        const myOptionIds = myVotes
+          .filter((vote) => vote.pollId === poll.id)
+          .map((vote) => vote.optionId);
+        const canManage =
+          poll.post.type === "page" && managedPageIds.has(poll.post.pageId);
+        const resultsVisible =
+          myOptionIds.length > 0 ||
+          isClosed(poll) ||
+          poll.post.authorId === viewerId ||
+          canManage;
+
+        return [
+          poll.postId,
+          {
+            id: poll.id,
+            question: poll.question,
+            allowMultiple: poll.allowMultiple,
+            closesAt: poll.closesAt,
+            isClosed: isClosed(poll),
+            resultsVisible,
+            votersVisible: canManage,
+            myVotes: myOptionIds,
+            totalVotes: resultsVisible
+              ? poll.options.reduce((sum, o) => sum + o._count.votes, 0)
+              : null,
+            options: poll.options.map((option) => ({
+              id: option.id,
+              text: option.text,
+              votes: resultsVisible ? option._count.votes : null,
+            })),
+          },
+        ];
+      })
+    );
+
+    const withPoll = (post) =>
+      pollsByPost.has(post.id)
+        ? { ...post, poll: pollsByPost.get(post.id) }
+        : post;
+
+    return posts.map((post) =>
+      embedded(post)
+        ? { ...withPoll(post), sharedPost: withPoll(post.sharedPost) }
+        : withPoll(post)
+    );
+  }
+}
+
+export { PollService, PollError };
@@ -0,0 +1,45 @@
+import prisma from "../config/prismaConfig.js";
+import { HashtagService } from "./hashtagService.js";
+import { MentionService, MENTIONS_INCLUDE } from "./mentionService.js";
+import { LinkPreviewService } from "./linkPreviewService.js";
+
+/**
+ * What is derived from the text of a post: hashtags, mentions and the
+ * link preview of its first URL.
+ *
+ * Call syncPost whenever a post's content is written and when a post is
+ * published. Mentioned users are notified once the post is published.
+ */
+class PostContentService {
+  /**
+   * Update the hashtags, mentions and link preview of a post
+   * @param {string} postId - The ID of the post
+   * @returns {Promise<Array>} - The mentions of the post (MENTIONS_INCLUDE)
+   */
+  static async syncPost(postId) {
+    const post = await prisma.post.findUnique({
+      where: { id: postId },
+      select: {
+        id: true,
+        content: true,
+        authorId: true,
+        pageId: true,
+        audience: true,
+        status: true,
+      },
+    });
+    if (!post) return [];
+
+    await HashtagService.syncPostHashtags(post.id, post.content);
+    await MentionService.syncPostMentions(post.id, post.content);
+    await MentionService.notifyPostMentions(post);
+    await LinkPreviewService.syncPostPreview(post.id, post.content);
+
+    return await prisma.mention.findMany({
+      where: { postId },
+      ...MENTIONS_INCLUDE,
+    });
+  }
+}
+
+export { PostContentService };
@@ -0,0 +1,221 @@
+import prisma from "../config/prismaConfig.js";
+import { PostContentService } from "./postContentService.js";
+import { MENTIONS_INCLUDE } from "./mentionService.js";
+import { MAX_POST_MEDIA } from "../config/multer.js";
+
+/**
+ * Error thrown when a draft can't be saved or published.
+ * `code` is one of: NOT_A_DRAFT, MEDIA_NOT_FOUND, EMPTY_POST, TOO_MANY_MEDIA
+ */
+class PostDraftError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = "PostDraftError";
+    this.code = code;
+  }
+}
+
+const draftInclude = {
+  media: { where: { deletedAt: null } },
+  mentions: MENTIONS_INCLUDE,
+  audienceMembers: { select: { userId: true } },
+  page: {
+    select: {
+      id: true,
+      name: true,
+      profileImage: true,
+      isVerified: true,
+    },
+  },
+};
+
+/**
+ * Post drafts.
+ *
+ * A draft is a post with status "draft", which keeps it out of feeds,
+ * search and counts (see PostVisibilityService). Autosaves overwrite the
+ * draft in place without revisions, media uploaded while writing are
+ * attached to it right away. Publishing turns it into a regular or
+ * scheduled post.
+ */
+class PostDraftService {
+  /**
+   * Create a draft
+   * @param {Object} data - The draft
+   * @param {string} data.authorId - The ID of the author
+   * @param {string} [data.content] - Text written so far
+   * @param {string} [data.type] - user or page
+   * @param {string} [data.pageId] - The page, for page drafts
+   * @param {string} [data.audience] - A resolved audience
+   * @param {string[]} [data.memberIds] - Members of a custom audience
+   * @param {Object[]} [data.media] - Uploaded media ({ url, type, ... })
+   * @returns {Promise<Object>} - The draft
+   */
+  static async createDraft({
+    authorId,
+    content,
+    type = "user",
+    pageId = null,
+    audience = "public",
+    memberIds = [],
+    media = [],
+  }) {
+    const draft = await prisma.post.create({
+      data: {
+        content: content || null,
+        authorId,
+        type,
+        pageId: type === "page" ? pageId : null,
+        audience,
+        status: "draft",
+        audienceMembers: {
+          create: memberIds.map((userId) => ({ userId })),
+        },
+        media: { create: media },
+      },
+      include: draftInclude,
+    });
+
+    draft.mentions = await PostContentService.syncPost(draft.id);
+    return draft;
+  }
+
+  /**
+   * Get drafts, most recently saved first
+   * @param {Object} filter - Whose drafts to list
+   * @param {string} [filter.authorId] - Drafts written by this user
+   * @param {string} [filter.pageId] - Drafts of this page
+   * @returns {Promise<Array>} - The drafts
+   */
+  static async getDrafts({ authorId, pageId }) {
+    return await prisma.post.findMany({
+      where: {
+        status: "draft",
+        deletedAt: null,
+        ...(pageId ? { pageId, type: "page" } : { authorId }),
+      },
+      include: draftInclude,
+      orderBy: [{ updatedAt: "desc" }, { createdAt: "desc" }],
+    });
+  }
+
+  /**
+   * Get a single draft
+   * @param {string} draftId - The ID of the draft
+   * @returns {Promise<Object|null>} - The draft, or null if not found
+   */
+  static async getDraft(draftId) {
+    return await prisma.post.findFirst({
+      where: { id: draftId, status: "draft", deletedAt: null },
+      include: draftInclude,
+    });
+  }
+
+  /**
+   * Autosave a draft
+   * @param {string} draftId - The ID of the draft
+   * @param {Object} changes - The changes
+   * @param {string} [changes.content] - New text (undefined keeps the current text)
+   * @param {string[]} [changes.removeMediaIds] - Media to remove
+   * @param {Object[]} [changes.newMedia] - Media to add ({ url, type, ... })
+   * @param {Object} [changes.audience] - A resolved audience ({ audience, memberIds })
+   * @returns {Promise<Object>} - The draft after the save
+   */
+  static async updateDraft(
+    draftId,
+    { content, removeMediaIds = [], newMedia = [], audience }
+  ) {
+    const draft = await PostDraftService.getDraft(draftId);
+    if (!draft) {
+      throw new PostDraftError("NOT_A_DRAFT", "Draft not found");
+    }
+
+    const currentMediaIds = draft.media.map((item) => item.id);
+    if (removeMediaIds.some((id) => !currentMediaIds.includes(id))) {
+      throw new PostDraftError(
+        "MEDIA_NOT_FOUND",
+        "Media to remove does not belong to this draft"
+      );
+    }
+
+    const mediaCount =
+      currentMediaIds.length - new Set(removeMediaIds).size + newMedia.length;
+    if (mediaCount > MAX_POST_MEDIA) {
+      throw new PostDraftError(
+        "TOO_MANY_MEDIA",
+        `A post can have at most ${MAX_POST_MEDIA} media`
+      );
+    }
+
+    const data = { media: { create: newMedia } };
+    if (content !== undefined) data.content = content;
+    if (audience) data.audience = audience.audience;
+
+    await prisma.$transaction([
+      prisma.media.updateMany({
+        where: { id: { in: removeMediaIds }, postId: draftId },
+        data: { deletedAt: new Date() },
+      }),
+      ...(audience
+        ? [
+            prisma.postAudienceMember.deleteMany({
+              where: { postId: draftId },
+            }),
+            prisma.postAudienceMember.createMany({
+              data: audience.memberIds.map((userId) => ({
+                postId: draftId,
+                userId,
+              })),
+            }),
+          ]
+        : []),
+      prisma.post.update({ where: { id: draftId }, data }),
+    ]);
+
+    if (content !== undefined) {
+      await PostContentService.syncPost(draftId);
+    }
+
+    return await PostDraftService.getDraft(draftId);
+  }
+
+  /**
+   * Publish a draft now, or schedule it
+   * @param {string} draftId - The ID of the draft
+   * @param {Date|null} publishAt - When to publish, null for now
+   * @returns {Promise<Object>} - The published or scheduled post
+   */
+  static async publishDraft(draftId, publishAt = null) {
+    const draft = await PostDraftService.getDraft(draftId);
+    if (!draft) {
+      throw new PostDraftError("NOT_A_DRAFT", "Draft not found");
+    }
+    if (!draft.content && draft.media.length === 0) {
+      throw new PostDraftError(
+        "EMPTY_POST",
+        "Post must have either content or media"
+      );
+    }
+
+    // Feeds sort by createdAt, so it becomes the publish time
+    const { count } = await prisma.post.updateMany({
+      where: { id: draftId, status: "draft", deletedAt: null },
+      data: publishAt
+        ? { status: "scheduled", publishAt }
+        : { status: "published", createdAt: new Date() },
+    });
+    if (count === 0) {
+      throw new PostDraftError("NOT_A_DRAFT", "Draft not found");
+    }
+
+    // Mentioned users are notified now, or by the publisher when scheduled
+    await PostContentService.syncPost(draftId);
+
+    return await prisma.post.findUnique({
+      where: { id: draftId },
+      include: draftInclude,
+    });
+  }
+}
+
+export { PostDraftService, PostDraftError };
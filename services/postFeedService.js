@@ -0,0 +1,23 @@
+import { PostShareService } from "./postShareService.js";
+import { PollService } from "./pollService.js";
+import { LinkPreviewService } from "./linkPreviewService.js";
+
+/**
+ * What is added to posts loaded for a viewer before they are returned:
+ * the originals of shares, polls with the viewer's votes and link previews.
+ */
+class PostFeedService {
+  /**
+   * Prepare posts for a viewer
+   * @param {Object[]} posts - Posts from a feed
+   * @param {string} viewerId - The ID of the viewing user
+   * @returns {Promise<Object[]>} - The posts to return
+   */
+  static async present(posts, viewerId) {
+    const withShares = await PostShareService.embedSharedPosts(posts, viewerId);
+    const withPolls = await PollService.attachPolls(withShares, viewerId);
+    return await LinkPreviewService.attachPreviews(withPolls);
+  }
+}
+
+export { PostFeedService };
@@ -0,0 +1,156 @@
+import prisma from "../config/prismaConfig.js";
+import { PostContentService } from "./postContentService.js";
+import { MENTIONS_INCLUDE } from "./mentionService.js";
+import { MAX_POST_MEDIA } from "../config/multer.js";
+
+/**
+ * Error thrown when a post edit is rejected.
+ * `code` is one of: NO_CHANGES, EMPTY_POST, MEDIA_NOT_FOUND, TOO_MANY_MEDIA
+ */
+class PostEditError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = "PostEditError";
+    this.code = code;
+  }
+}
+
+/**
+ * Post editing with revision history.
+ *
+ * Before a post changes, its current content and media are saved as a
+ * revision. Removed media are soft deleted rather than removed, so the
+ * history still describes what the post looked like.
+ */
+class PostRevisionService {
+  /**
+   * Edit the content and/or media of a post
+   * @param {string} postId - The ID of the post
+   * @param {string} editorId - The ID of the user making the edit
+   * @param {Object} changes - The edit
+   * @param {string} [changes.content] - New text (undefined keeps the current text)
+   * @param {string[]} [changes.removeMediaIds] - Media to remove
+   * @param {Object[]} [changes.newMedia] - Media to add ({ url, type, ... })
+   * @returns {Promise<Object>} - The post after the edit
+   */
+  static async editPost(
+    postId,
+    editorId,
+    { content, removeMediaIds = [], newMedia = [] }
+  ) {
+    const post = await prisma.post.findUnique({
+      where: { id: postId },
+      select: {
+        content: true,
+        media: {
+          where: { deletedAt: null },
+          select: { id: true, url: true, type: true },
+        },
+        poll: { select: { id: true } },
+      },
+    });
+
+    const currentMediaIds = post.media.map((item) => item.id);
+    if (removeMediaIds.some((id) => !currentMediaIds.includes(id))) {
+      throw new PostEditError(
+        "MEDIA_NOT_FOUND",
+        "Media to remove does not belong to this post"
+      );
+    }
+
+    const contentChanged = content !== undefined && content !== post.content;
+    if (!contentChanged && removeMediaIds.length === 0 && !newMedia.length) {
+      throw new PostEditError("NO_CHANGES", "Nothing to update");
+    }
+
+    const nextContent = content !== undefined ? content : post.content;
+    const remainingMediaCount =
+      currentMediaIds.length - new Set(removeMediaIds).size + newMedia.length;
+    if (remainingMediaCount > MAX_POST_MEDIA) {
+      throw new PostEditError(
+        "TOO_MANY_MEDIA",
+        `A post can have at most ${MAX_POST_MEDIA} media`
+      );
+    }
+    // Polls can't be edited, but count like when the post was created
+    if (!nextContent && remainingMediaCount === 0 && !post.poll) {
+      throw new PostEditError(
+        "EMPTY_POST",
+        "Post must have content, media or a poll"
+      );
+    }
+
+    const now = new Date();
+    await prisma.$transaction([
+      prisma.postRevision.create({
+        data: {
+          postId,
+          editorId,
+          content: post.content,
+          media: post.media,
+        },
+      }),
+      prisma.media.updateMany({
+        where: { id: { in: removeMediaIds }, postId },
+        data: { deletedAt: now },
+      }),
+      prisma.post.update({
+        where: { id: postId },
+        data: {
+          content: nextContent,
+          isEdited: true,
+          editedAt: now,
+          media: { create: newMedia },
+        },
+      }),
+    ]);
+
+    if (contentChanged) {
+      await PostContentService.syncPost(postId);
+    }
+
+    return await prisma.post.findUnique({
+      where: { id: postId },
+      include: {
+        media: { where: { deletedAt: null } },
+        mentions: MENTIONS_INCLUDE,
+        author: {
+          select: {
+            id: true,
+            username: true,
+            name: true,
+            profilePicture: true,
+            isVerified: true,
+          },
+        },
+        page: {
+          select: {
+            id: true,
+            name: true,
+            profileImage: true,
+            isVerified: true,
+          },
+        },
+      },
+    });
+  }
+
+  /**
+   * Get the revision history of a post, newest first
+   * @param {string} postId - The ID of the post
+   * @returns {Promise<Array>} - The revisions
+   */
+  static async getRevisions(postId) {
+    return await prisma.postRevision.findMany({
+      where: { postId },
+      orderBy: { createdAt: "desc" },
+      include: {
+        editor: {
+          select: { id: true, username: true, name: true },
+        },
+      },
+    });
+  }
+}
+
+export { PostRevisionService, PostEditError };
@@ -0,0 +1,174 @@
+import prisma from "../config/prismaConfig.js";
+import { NotificationService } from "./notificationService.js";
+import { PostContentService } from "./postContentService.js";
+
+const MAX_SCHEDULE_AHEAD_MS = 365 * 24 * 60 * 60 * 1000; // 1 year
+const PUBLISH_BATCH_SIZE = 100;
+
+/**
+ * Error thrown when a publish time is rejected.
+ * `code` is one of: INVALID_PUBLISH_AT, PUBLISH_AT_IN_PAST, PUBLISH_AT_TOO_FAR
+ */
+class PostScheduleError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = "PostScheduleError";
+    this.code = code;
+  }
+}
+
+const scheduledPostInclude = {
+  media: true,
+  page: {
+    select: {
+      id: true,
+      name: true,
+      profileImage: true,
+      isVerified: true,
+    },
+  },
+};
+
+/**
+ * Scheduled posts.
+ *
+ * A scheduled post is stored with status "scheduled" and a publishAt time,
+ * which keeps it out of every feed (see PostVisibilityService). The
+ * background publisher flips due posts to "published" and notifies the
+ * followers of the author or page.
+ */
+class PostSchedulingService {
+  /**
+   * Parse and check a requested publish time
+   * @param {string} value - An ISO 8601 date, or empty to publish now
+   * @returns {Date|null} - The publish time, or null to publish now
+   */
+  static parsePublishAt(value) {
+    if (value === undefined || value === null || value === "") return null;
+
+    const publishAt = new Date(value);
+    if (typeof value !== "string" || Number.isNaN(publishAt.getTime())) {
+      throw new PostScheduleError(
+        "INVALID_PUBLISH_AT",
+        "publishAt must be a valid ISO 8601 date"
+      );
+    }
+
+    const now = Date.now();
+    if (publishAt.getTime() <= now) {
+      throw new PostScheduleError(
+        "PUBLISH_AT_IN_PAST",
+        "publishAt must be in the future"
+      );
+    }
+    if (publishAt.getTime() > now + MAX_SCHEDULE_AHEAD_MS) {
+      throw new PostScheduleError(
+        "PUBLISH_AT_TOO_FAR",
+        "Posts can be scheduled at most one year ahead"
+      );
+    }
+
+    return publishAt;
+  }
+
+  /**
+   * Get scheduled posts, soonest first
+   * @param {Object} filter - Whose posts to list
+   * @param {string} [filter.authorId] - Posts written by this user
+   * @param {string} [filter.pageId] - Posts of this page
+   * @returns {Promise<Array>} - The scheduled posts
+   */
+  static async getScheduledPosts({ authorId, pageId }) {
+    return await prisma.post.findMany({
+      where: {
+        status: "scheduled",
+        deletedAt: null,
+        ...(pageId ? { pageId, type: "page" } : { authorId }),
+      },
+      include: scheduledPostInclude,
+      orderBy: { publishAt: "asc" },
+    });
+  }
+
+  /**
+   * Move a scheduled post to another time
+   * @param {string} postId - The ID of the scheduled post
+   * @param {Date} publishAt - The new publish time
+   * @returns {Promise<Object|null>} - The post, or null if it is no longer scheduled
+   */
+  static async reschedule(postId, publishAt) {
+    // The publisher may have published it in the meantime
+    const { count } = await prisma.post.updateMany({
+      where: { id: postId, status: "scheduled", deletedAt: null },
+      data: { publishAt },
+    });
+    if (count === 0) return null;
+
+    return await prisma.post.findUnique({
+      where: { id: postId },
+      include: scheduledPostInclude,
+    });
+  }
+
+  /**
+   * Cancel a scheduled post. It is soft deleted like any removed post.
+   * @param {string} postId - The ID of the scheduled post
+   * @returns {Promise<boolean>} - False if it is no longer scheduled
+   */
+  static async cancel(postId) {
+    const { count } = await prisma.post.updateMany({
+      where: { id: postId, status: "scheduled", deletedAt: null },
+      data: { deletedAt: new Date() },
+    });
+    return count > 0;
+  }
+
+  /**
+   * Publish scheduled posts whose time has come and notify followers
+   * @returns {Promise<number>} - Number of posts published
+   */
+  static async publishDuePosts() {
+    const duePosts = await prisma.post.findMany({
+      where: {
+        status: "scheduled",
+        deletedAt: null,
+        publishAt: { lte: new Date() },
+      },
+      select: {
+        id: true,
+        content: true,
+        authorId: true,
+        pageId: true,
+        type: true,
+        audience: true,
+        publishAt: true,
+      },
+      orderBy: { publishAt: "asc" },
+      take: PUBLISH_BATCH_SIZE,
+    });
+
+    let publishedCount = 0;
+    for (const post of duePosts) {
+      // Skip posts rescheduled or cancelled since they were read. Feeds
+      // sort by createdAt, so it becomes the publish time.
+      const { count } = await prisma.post.updateMany({
+        where: {
+          id: post.id,
+          status: "scheduled",
+          deletedAt: null,
+          publishAt: post.publishAt,
+        },
+        data: { status: "published", createdAt: post.publishAt },
+      });
+      if (count === 0) continue;
+
+      publishedCount++;
+      await NotificationService.createNewPostNotifications(post);
+      await PostContentService.syncPost(post.id);
+    }
+
+    return publishedCount;
+  }
+}
+
+export { PostSchedulingService, PostScheduleError };
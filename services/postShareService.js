@@ -0,0 +1,196 @@
+import prisma from "../config/prismaConfig.js";
+import { NotificationService } from "./notificationService.js";
+import { PostVisibilityService } from "./postVisibilityService.js";
+import { PostContentService } from "./postContentService.js";
+
+/**
+ * Error thrown when a post can't be shared.
+ * `code` is one of: POST_NOT_FOUND, POST_NOT_SHAREABLE
+ */
+class PostShareError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = "PostShareError";
+    this.code = code;
+  }
+}
+
+// What a share shows of the original post
+const embeddedPostSelect = {
+  id: true,
+  content: true,
+  type: true,
+  createdAt: true,
+  isEdited: true,
+  editedAt: true,
+  linkPreviewId: true,
+  author: {
+    select: {
+      id: true,
+      username: true,
+      name: true,
+      profilePicture: true,
+      isVerified: true,
+    },
+  },
+  page: {
+    select: {
+      id: true,
+      name: true,
+      profileImage: true,
+      isVerified: true,
+    },
+  },
+  media: {
+    where: { deletedAt: null },
+    select: { id: true, url: true, type: true },
+  },
+};
+
+// Only published, not deleted shares count towards a post's share count
+const SHARE_COUNT_FILTER = {
+  where: { status: "published", deletedAt: null },
+};
+
+/**
+ * Reshares and quote posts.
+ *
+ * A share is a user post pointing at the original through sharedPostId. A
+ * reshare has no content of its own, a quote post adds content. Originals
+ * are embedded when feeds are returned, and only if the viewer may still
+ * see them: a deleted original or one whose audience changed is replaced
+ * by a placeholder, the share itself stays.
+ */
+class PostShareService {
+  /**
+   * Share a post, with or without a comment
+   * @param {string} userId - The ID of the user sharing
+   * @param {string} postId - The ID of the post to share
+   * @param {Object} options - The share
+   * @param {string} [options.content] - Text for a quote post
+   * @param {string} [options.audience] - A resolved audience
+   * @param {string[]} [options.memberIds] - Members of a custom audience
+   * @returns {Promise<Object>} - The new post, with the original embedded
+   */
+  static async sharePost(
+    userId,
+    postId,
+    { content, audience = "public", memberIds = [] }
+  ) {
+    let original = await PostShareService.findShareable(postId, userId);
+
+    // Sharing a plain reshare shares the post it points to
+    if (original && original.sharedPostId && !original.content) {
+      original = await PostShareService.findShareable(
+        original.sharedPostId,
+        userId
+      );
+    }
+
+    if (!original) {
+      throw new PostShareError("POST_NOT_FOUND", "Post not found");
+    }
+    if (original.audience !== "public") {
+      throw new PostShareError(
+        "POST_NOT_SHAREABLE",
+        "Only public posts can be shared"
+      );
+    }
+
+    const share = await prisma.post.create({
+      data: {
+        content: content || null,
+        authorId: userId,
+        type: "user",
+        audience,
+        sharedPostId: original.id,
+        audienceMembers: {
+          create: memberIds.map((memberId) => ({ userId: memberId })),
+        },
+      },
+      include: {
+        media: true,
+        author: {
+          select: {
+            id: true,
+            username: true,
+            name: true,
+            profilePicture: true,
+            isVerified: true,
+          },
+        },
+      },
+    });
+
+    share.mentions = await PostContentService.syncPost(share.id);
+    await NotificationService.createShareNotification(userId, original, share);
+
+    const [embedded] = await PostShareService.embedSharedPosts([share], userId);
+    return embedded;
+  }
+
+  /**
+   * Find a post the user can see and could share
+   * @param {string} postId - The ID of the post
+   * @param {string} userId - The ID of the user sharing
+   * @returns {Promise<Object|null>}
+   */
+  static async findShareable(postId, userId) {
+    return await prisma.post.findFirst({
+      where: {
+        id: postId,
+        deletedAt: null,
+        AND: [PostVisibilityService.visibleTo(userId)],
+      },
+      select: {
+        id: true,
+        content: true,
+        authorId: true,
+        pageId: true,
+        type: true,
+        audience: true,
+        sharedPostId: true,
+      },
+    });
+  }
+
+  /**
+   * Attach the original post to every share in a list of posts
+   * @param {Object[]} posts - Posts from a feed (with sharedPostId)
+   * @param {string} viewerId - The ID of the viewing user
+   * @returns {Promise<Object[]>} - The posts, shares with a `sharedPost`
+   * that is the original, or { id, unavailable: true } if it can't be shown
+   */
+  static async embedSharedPosts(posts, viewerId) {
+    const sharedPostIds = [
+      ...new Set(posts.map((post) => post.sharedPostId).filter(Boolean)),
+    ];
+    if (sharedPostIds.length === 0) return posts;
+
+    const originals = await prisma.post.findMany({
+      where: {
+        id: { in: sharedPostIds },
+        deletedAt: null,
+        AND: [PostVisibilityService.visibleTo(viewerId)],
+      },
+      select: embeddedPostSelect,
+    });
+    const originalsById = new Map(
+      originals.map((original) => [original.id, original])
+    );
+
+    return posts.map((post) =>
+      post.sharedPostId
+        ? {
+            ...post,
+            sharedPost: originalsById.get(post.sharedPostId) || {
+              id: post.sharedPostId,
+              unavailable: true,
+            },
+          }
+        : post
+    );
+  }
+}
+
+export { PostShareService, PostShareError, SHARE_COUNT_FILTER };
@@ -0,0 +1,224 @@
+import prisma from "../config/prismaConfig.js";
+
+const POST_AUDIENCES = ["public", "friends", "followers", "only_me", "custom"];
+
+const MAX_CUSTOM_AUDIENCE = 500;
+
+/**
+ * Error thrown when a post audience is invalid.
+ * `code` is one of: INVALID_AUDIENCE, CUSTOM_AUDIENCE_EMPTY,
+ * CUSTOM_AUDIENCE_TOO_LARGE, CUSTOM_AUDIENCE_NOT_FRIENDS
+ */
+class PostAudienceError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = "PostAudienceError";
+    this.code = code;
+  }
+}
+
+const acceptedFriendship = (where) => ({
+  some: { ...where, status: "accepted", deletedAt: null },
+});
+
+/**
+ * Who can see a post.
+ *
+ * Every query that returns posts to a user combines its filter with
+ * `visibleTo(viewerId)`, so audience rules live in one place:
+ * - public: everyone
+ * - friends: accepted friends of the author
+ * - followers: users following the author
+ * - only_me: the author
+ * - custom: the friends picked for the post (PostAudienceMember)
+ * Authors always see their own posts. Page posts are always public.
+ * Posts that aren't published yet (e.g. scheduled) are never visible here,
+ * their authors see them through dedicated endpoints.
+ */
+class PostVisibilityService {
+  /**
+   * Prisma filter matching the posts a user may see
+   * @param {string} viewerId - The ID of the viewing user
+   * @returns {Object} - A where condition for prisma.post
+   */
+  static visibleTo(viewerId) {
+    return {
+      status: "published",
+      OR: [
+        { audience: "public" },
+        { authorId: viewerId },
+        {
+          audience: "friends",
+          author: {
+            OR: [
+              { friends: acceptedFriendship({ userBId: viewerId }) },
+              { friendsWith: acceptedFriendship({ userAId: viewerId }) },
+            ],
+          },
+        },
+        {
+          audience: "followers",
+          author: {
+            followers: { some: { followerId: viewerId, deletedAt: null } },
+          },
+        },
+        {
+          audience: "custom",
+          audienceMembers: { some: { userId: viewerId } },
+        },
+      ],
+    };
+  }
+
+  /**
+   * Check whether a user may see a post
+   * @param {string} postId - The ID of the post
+   * @param {string} viewerId - The ID of the viewing user
+   * @returns {Promise<boolean>}
+   */
+  static async canView(postId, viewerId) {
+    const post = await prisma.post.findFirst({
+      where: {
+        id: postId,
+        deletedAt: null,
+        AND: [PostVisibilityService.visibleTo(viewerId)],
+      },
+      select: { id: true },
+    });
+    return Boolean(post);
+  }
+
+  /**
+   * Keep the users who are in the audience of a post
+   * @param {Object} post - { id, authorId, audience }
+   * @param {string[]} userIds - Candidate viewers
+   * @returns {Promise<string[]>} - The candidates allowed to see the post
+   */
+  static async filterAudience(post, userIds) {
+    const candidateIds = userIds.filter((id) => id !== post.authorId);
+    if (candidateIds.length === 0) return [];
+
+    switch (post.audience) {
+      case "public":
+        return candidateIds;
+      case "only_me":
+        return [];
+      case "followers": {
+        const followers = await prisma.follower.findMany({
+          where: {
+            followingId: post.authorId,
+            followerId: { in: candidateIds },
+            deletedAt: null,
+          },
+          select: { followerId: true },
+        });
+        return followers.map((follower) => follower.followerId);
+      }
+      case "friends": {
+        const friendships = await prisma.friendship.findMany({
+          where: {
+            status: "accepted",
+            deletedAt: null,
+            OR: [
+              { userAId: post.authorId, userBId: { in: candidateIds } },
+              { userBId: post.authorId, userAId: { in: candidateIds } },
+            ],
+          },
+          select: { userAId: true, userBId: true },
+        });
+        return friendships.map((friendship) =>
+          friendship.userAId === post.authorId
+            ? friendship.userBId
+            : friendship.userAId
+        );
+      }
+      case "custom": {
+        const members = await prisma.postAudienceMember.findMany({
+          where: { postId: post.id, userId: { in: candidateIds } },
+          select: { userId: true },
+        });
+        return members.map((member) => member.userId);
+      }
+      default:
+        return [];
+    }
+  }
+
+  /**
+   * Validate an audience chosen for a post
+   * @param {string} authorId - The ID of the author
+   * @param {Object} options - The requested audience
+   * @param {string} [options.audience] - One of POST_AUDIENCES (default public)
+   * @param {string[]} [options.audienceUserIds] - Friends for a custom audience
+   * @param {string} [options.postType] - user or page
+   * @returns {Promise<Object>} - { audience, memberIds }
+   */
+  static async resolveAudience(
+    authorId,
+    { audience = "public", audienceUserIds = [], postType = "user" }
+  ) {
+    if (!POST_AUDIENCES.includes(audience)) {
+      throw new PostAudienceError(
+        "INVALID_AUDIENCE",
+        `Audience must be one of: ${POST_AUDIENCES.join(", ")}`
+      );
+    }
+
+    if (postType === "page" && audience !== "public") {
+      throw new PostAudienceError(
+        "INVALID_AUDIENCE",
+        "Page posts are always public"
+      );
+    }
+
+    if (audience !== "custom") {
+      return { audience, memberIds: [] };
+    }
+
+    const memberIds = [...new Set(audienceUserIds)].filter(
+      (id) => id !== authorId
+    );
+    if (memberIds.length === 0) {
+      throw new PostAudienceError(
+        "CUSTOM_AUDIENCE_EMPTY",
+        "Pick at least one friend for a custom audience"
+      );
+    }
+    if (memberIds.length > MAX_CUSTOM_AUDIENCE) {
+      throw new PostAudienceError(
+        "CUSTOM_AUDIENCE_TOO_LARGE",
+        `A custom audience can have at most ${MAX_CUSTOM_AUDIENCE} friends`
+      );
+    }
+
+    const friendships = await prisma.friendship.findMany({
+      where: {
+        status: "accepted",
+        deletedAt: null,
+        OR: [
+          { userAId: authorId, userBId: { in: memberIds } },
+          { userBId: authorId, userAId: { in: memberIds } },
+        ],
+      },
+      select: { userAId: true, userBId: true },
+    });
+    const friendIds = new Set(
+      friendships.map((friendship) =>
+        friendship.userAId === authorId
+          ? friendship.userBId
+          : friendship.userAId
+      )
+    );
+
+    if (memberIds.some((id) => !friendIds.has(id))) {
+      throw new PostAudienceError(
+        "CUSTOM_AUDIENCE_NOT_FRIENDS",
+        "A custom audience can only include your friends"
+      );
+    }
+
+    return { audience, memberIds };
+  }
+}
+
+export { PostVisibilityService, PostAudienceError, POST_AUDIENCES };
@@ -0,0 +1,158 @@
+import crypto from "crypto";
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import prisma from "../config/prismaConfig.js";
+import { EncryptionService } from "./encryptionService.js";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Outside the statically served uploads folder
+const PRIVATE_UPLOADS_DIR = path.join(__dirname, "..", "private_uploads");
+
+const FILE_TYPE_DIRS = {
+  id_card: "id_cards",
+  verification_document: "verification_documents",
+};
+
+const ENCRYPTED_SUFFIX = ".enc";
+
+// The extension decides the Content-Type when the file is served, so it
+// comes from this list rather than from the uploaded file name
+const EXTENSIONS_BY_MIME_TYPE = {
+  "image/jpeg": ".jpg",
+  "image/jpg": ".jpg",
+  "image/png": ".png",
+  "image/gif": ".gif",
+  "image/webp": ".webp",
+  "application/pdf": ".pdf",
+};
+
+// Only the base name of a stored value is used, so a crafted value can't
+// point outside the folder
+const getFilePath = (fileType, fileName) =>
+  path.join(
+    PRIVATE_UPLOADS_DIR,
+    FILE_TYPE_DIRS[fileType],
+    path.basename(fileName)
+  );
+
+/**
+ * Storage for sensitive uploads (ID cards, verification documents).
+ *
+ * Files are encrypted at rest, stored under random names outside the public
+ * uploads folder and only handed out through routes that check access and
+ * record every attempt in the access log.
+ */
+class PrivateFileService {
+  /**
+   * Encrypt and store an uploaded file
+   * @param {string} fileType - id_card or verification_document
+   * @param {Object} file - A multer file kept in memory
+   * @returns {Promise<string>} - The stored file name
+   */
+  static async saveFile(fileType, file) {
+    const extension = EXTENSIONS_BY_MIME_TYPE[file.mimetype] || ".bin";
+    const fileName =
+      crypto.randomBytes(16).toString("hex") + extension + ENCRYPTED_SUFFIX;
+
+    const filePath = getFilePath(fileType, fileName);
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.promises.writeFile(
+      filePath,
+      EncryptionService.encryptBuffer(file.buffer),
+      { mode: 0o600 }
+    );
+
+    return fileName;
+  }
+
+  /**
+   * Read and decrypt a stored file
+   * @param {string} fileType - id_card or verification_document
+   * @param {string} fileName - The stored file name
+   * @returns {Promise<Object|null>} - { data, extension }, or null if missing
+   */
+  static async readFile(fileType, fileName) {
+    if (!fileName || !fileName.endsWith(ENCRYPTED_SUFFIX)) return null;
+
+    let encrypted;
+    try {
+      encrypted = await fs.promises.readFile(getFilePath(fileType, fileName));
+    } catch (error) {
+      if (error.code === "ENOENT") return null;
+      throw error;
+    }
+
+    return {
+      data: EncryptionService.decryptBuffer(encrypted),
+      extension: path.extname(fileName.slice(0, -ENCRYPTED_SUFFIX.length)),
+    };
+  }
+
+  /**
+   * Delete a stored file
+   * @param {string} fileType - id_card or verification_document
+   * @param {string} fileName - The stored file name
+   */
+  static async removeFile(fileType, fileName) {
+    if (!fileName) return;
+    const filePath = getFilePath(fileType, fileName);
+    try {
+      await fs.promises.rm(filePath, { force: true });
+    } catch (error) {
+      console.error(`Error removing private file ${filePath}:`, error);
+    }
+  }
+
+  /**
+   * Record an attempt to open a file
+   * @param {Object} req - The request of the actor
+   * @param {Object} entry - { ownerId, fileType, fileName, requestId, granted }
+   */
+  static async logAccess(
+    req,
+    { ownerId, fileType, fileName, requestId = null, granted }
+  ) {
+    await prisma.privateFileAccessLog.create({
+      data: {
+        actorId: req.user.userId,
+        ownerId,
+        fileType,
+        fileName: fileName || "",
+        requestId,
+        granted,
+        ipAddress: req.ip || null,
+        userAgent: req.get("user-agent") || null,
+      },
+    });
+  }
+
+  /**
+   * Get access log entries, newest first
+   * @param {Object} filter - { ownerId, actorId }
+   * @param {Object} options - { skip, take }
+   * @returns {Promise<Object>} - { entries, totalCount }
+   */
+  static async getAccessLog({ ownerId, actorId } = {}, { skip, take }) {
+    const where = {
+      ...(ownerId && { ownerId }),
+      ...(actorId && { actorId }),
+    };
+
+    const [entries, totalCount] = await Promise.all([
+      prisma.privateFileAccessLog.findMany({
+        where,
+        orderBy: { createdAt: "desc" },
+        skip,
+        take,
+      }),
+      prisma.privateFileAccessLog.count({ where }),
+    ]);
+
+    return { entries, totalCount };
+  }
+}
+
+export { PrivateFileService, PRIVATE_UPLOADS_DIR, FILE_TYPE_DIRS };
@@ -0,0 +1,38 @@
+import { PostSchedulingService } from "./postSchedulingService.js";
+
+const PUBLISHER_INTERVAL_MS = 60 * 1000; // Every minute
+
+let isRunning = false;
+
+// Publish scheduled posts that are due
+export async function publishScheduledPosts() {
+  // Notifying followers of a large account can outlast the interval
+  if (isRunning) return 0;
+  isRunning = true;
+
+  try {
+    const publishedCount = await PostSchedulingService.publishDuePosts();
+
+    if (publishedCount > 0) {
+      console.log(
+        `[${new Date().toISOString()}] Published ${publishedCount} scheduled posts`
+      );
+    }
+    return publishedCount;
+  } catch (error) {
+    console.error("Error publishing scheduled posts:", error);
+    return 0;
+  } finally {
+    isRunning = false;
+  }
+}
+
+// Runs once at startup, then every minute
+const startScheduledPostPublisher = () => {
+  publishScheduledPosts();
+  setInterval(publishScheduledPosts, PUBLISHER_INTERVAL_MS);
+
+  console.log("Scheduled post publisher started - running every minute");
+};
+
+export default startScheduledPostPublisher;
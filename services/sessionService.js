@@ -0,0 +1,276 @@
+import crypto from "crypto";
+import prisma from "../config/prismaConfig.js";
+import { TtlCache } from "./ttlCache.js";
+
+// Refresh tokens (and the session they belong to) live for 7 days
+const REFRESH_TOKEN_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+
+// Parallel requests from the same browser can race to refresh with the same
+// token. A reuse inside this window is treated as that race, not as theft.
+const REUSE_GRACE_PERIOD_MS = 10 * 1000;
+
+// Access tokens are checked against their session on every request. The
+// result is cached briefly so a revoked session dies within this window
+// without a database round trip per request.
+const SESSION_CACHE_TTL_MS = 60 * 1000;
+
+// lastSeenAt is only written when it is older than this
+const LAST_SEEN_THROTTLE_MS = 5 * 60 * 1000;
+
+// sessionId -> whether the session is active
+const sessionCache = new TtlCache(SESSION_CACHE_TTL_MS);
+
+/**
+ * Error thrown when a refresh token cannot be exchanged.
+ * `code` is one of: TOKEN_NOT_FOUND, TOKEN_EXPIRED, TOKEN_REUSED, SESSION_REVOKED
+ */
+class SessionError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = "SessionError";
+    this.code = code;
+  }
+}
+
+const hashToken = (token) =>
+  crypto.createHash("sha256").update(token).digest("hex");
+
+/**
+ * Server-side session store.
+ *
+ * A session is a refresh token family: every login starts a new session and
+ * every refresh rotates the token inside it. Presenting an already rotated
+ * token revokes the whole session.
+ */
+class SessionService {
+  /**
+   * Start a new session for a user
+   * @param {string} userId - The ID of the user logging in
+   * @param {Object} device - Where the login came from
+   * @param {string} [device.userAgent] - The User-Agent header
+   * @param {string} [device.ipAddress] - The client IP address
+   * @param {boolean} [device.twoFactorVerified] - Whether the login passed 2FA
+   * @returns {Promise<Object>} - The created session
+   */
+  static async createSession(
+    userId,
+    { userAgent, ipAddress, twoFactorVerified = false } = {}
+  ) {
+    return await prisma.session.create({
+      data: {
+        userId,
+        userAgent: userAgent || null,
+        ipAddress: ipAddress || null,
+        twoFactorVerified,
+        expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_MS),
+      },
+    });
+  }
+
+  /**
+   * Persist a freshly signed refresh token and extend its session
+   * @param {string} sessionId - The session the token belongs to
+   * @param {string} token - The signed refresh token
+   * @returns {Promise<Object>} - The stored token record
+   */
+  static async storeRefreshToken(sessionId, token) {
+    const expiresAt = new Date(Date.now() + REFRESH_TOKEN_TTL_MS);
+
+    const [record] = await prisma.$transaction([
+      prisma.refreshToken.create({
+        data: {
+          sessionId,
+          tokenHash: hashToken(token),
+          expiresAt,
+        },
+      }),
+      prisma.session.update({
+        where: { id: sessionId },
+        data: { expiresAt, lastSeenAt: new Date() },
+      }),
+    ]);
+
+    return record;
+  }
+
+  /**
+   * Mark a refresh token as used so it can be rotated.
+   * Replaying a token that was already rotated revokes its session.
+   * @param {string} token - The refresh token presented by the client
+   * @returns {Promise<{session: Object, rotate: boolean}>} - `rotate` is false
+   *   when the token lost a benign refresh race and no new token should be issued
+   * @throws {SessionError}
+   */
+  static async consumeRefreshToken(token) {
+    const record = await prisma.refreshToken.findUnique({
+      where: { tokenHash: hashToken(token) },
+      include: { session: true },
+    });
+
+    if (!record) {
+      throw new SessionError("TOKEN_NOT_FOUND", "Unknown refresh token");
+    }
+
+    const { session } = record;
+    const now = new Date();
+
+    if (session.revokedAt) {
+      throw new SessionError("SESSION_REVOKED", "Session has been revoked");
+    }
+
+    if (record.expiresAt < now || session.expiresAt < now) {
+      throw new SessionError("TOKEN_EXPIRED", "Refresh token has expired");
+    }
+
+    if (!record.usedAt) {
+      // Only one caller may flip usedAt; the loser falls through to the
+      // reuse check below
+      const { count } = await prisma.refreshToken.updateMany({
+        where: { id: record.id, usedAt: null },
+        data: { usedAt: now },
+      });
+
+      if (count === 1) {
+        return { session, rotate: true };
+      }
+
+      record.usedAt = now;
+    }
+
+    if (now - record.usedAt <= REUSE_GRACE_PERIOD_MS) {
+      return { session, rotate: false };
+    }
+
+    await SessionService.revokeSession(session.id, "reuse_detected");
+    throw new SessionError(
+      "TOKEN_REUSED",
+      "Refresh token reuse detected, session revoked"
+    );
+  }
+
+  /**
+   * Check that the session behind an access token is still active and
+   * record that it was seen
+   * @param {string} sessionId - The `sid` claim of the access token
+   * @returns {Promise<boolean>} - Whether the session may be used
+   */
+  static async validateSession(sessionId) {
+    const cached = sessionCache.get(sessionId);
+    if (cached !== undefined) return cached;
+
+    const session = await prisma.session.findUnique({
+      where: { id: sessionId },
+      select: { id: true, revokedAt: true, expiresAt: true, lastSeenAt: true },
+    });
+
+    const now = new Date();
+    const active = !!session && !session.revokedAt && session.expiresAt > now;
+
+    if (active && now - session.lastSeenAt > LAST_SEEN_THROTTLE_MS) {
+      await prisma.session.update({
+        where: { id: sessionId },
+        data: { lastSeenAt: now },
+      });
+    }
+
+    sessionCache.set(sessionId, active);
+    return active;
+  }
+
+  /**
+   * List the active sessions of a user, most recently used first
+   * @param {string} userId - The ID of the user
+   * @returns {Promise<Array>} - Array of sessions
+   */
+  static async getActiveSessions(userId) {
+    return await prisma.session.findMany({
+      where: {
+        userId,
+        revokedAt: null,
+        expiresAt: { gt: new Date() },
+      },
+      select: {
+        id: true,
+        userAgent: true,
+        ipAddress: true,
+        createdAt: true,
+        lastSeenAt: true,
+        expiresAt: true,
+      },
+      orderBy: { lastSeenAt: "desc" },
+    });
+  }
+
+  /**
+   * Set whether a user's sessions passed two-factor authentication
+   * @param {string} userId - The ID of the user
+   * @param {boolean} twoFactorVerified - The new value
+   * @param {Object} [options]
+   * @param {string} [options.sessionId] - Only update this session
+   * @returns {Promise<Object>} - Update count
+   */
+  static async setTwoFactorVerified(
+    userId,
+    twoFactorVerified,
+    { sessionId } = {}
+  ) {
+    return await prisma.session.updateMany({
+      where: { userId, ...(sessionId && { id: sessionId }) },
+      data: { twoFactorVerified },
+    });
+  }
+
+  /**
+   * Revoke a single session
+   * @param {string} sessionId - The ID of the session to revoke
+   * @param {string} reason - Why the session is being revoked
+   * @param {string} [userId] - Only revoke if the session belongs to this user
+   * @returns {Promise<number>} - Number of sessions revoked (0 or 1)
+   */
+  static async revokeSession(sessionId, reason = "logout", userId) {
+    const { count } = await prisma.session.updateMany({
+      where: {
+        id: sessionId,
+        revokedAt: null,
+        ...(userId && { userId }),
+      },
+      data: { revokedAt: new Date(), revokedReason: reason },
+    });
+    sessionCache.delete(sessionId);
+    return count;
+  }
+
+  /**
+   * Revoke every active session of a user
+   * @param {string} userId - The ID of the user
+   * @param {string} reason - Why the sessions are being revoked
+   * @param {Object} [options]
+   * @param {string} [options.exceptSessionId] - Session to keep alive
+   * @returns {Promise<number>} - Number of sessions revoked
+   */
+  static async revokeUserSessions(
+    userId,
+    reason = "logout",
+    { exceptSessionId } = {}
+  ) {
+    const where = { userId, revokedAt: null };
+    if (exceptSessionId) {
+      where.id = { not: exceptSessionId };
+    }
+
+    const sessions = await prisma.session.findMany({
+      where,
+      select: { id: true },
+    });
+
+    const { count } = await prisma.session.updateMany({
+      where: { id: { in: sessions.map((session) => session.id) } },
+      data: { revokedAt: new Date(), revokedReason: reason },
+    });
+
+    sessions.forEach((session) => sessionCache.delete(session.id));
+    return count;
+  }
+}
+
+export { SessionService, SessionError };
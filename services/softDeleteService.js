@@ -1,4 +1,5 @@
 import prisma from "../config/prismaConfig.js";
+import { AuthStateService } from "./authStateService.js";
 
 /**
  * Soft Delete Utility Functions
@@ -7,32 +8,84 @@ import prisma from "../config/prismaConfig.js";
  * functionality across all models in the application.
  */
 
+// Content hidden together with a user: [model, filter for the user's rows]
+const USER_CONTENT_MODELS = [
+  ["post", (userId) => ({ authorId: userId })],
+  ["comment", (userId) => ({ userId })],
+  ["reaction", (userId) => ({ userId })],
+  ["story", (userId) => ({ authorId: userId })],
+  [
+    "follower",
+    (userId) => ({ OR: [{ followerId: userId }, { followingId: userId }] }),
+  ],
+  [
+    "friendship",
+    (userId) => ({ OR: [{ userAId: userId }, { userBId: userId }] }),
+  ],
+  ["pageFollower", (userId) => ({ userId })],
+];
+
 /**
  * Soft delete utility class
  */
 class SoftDeleteService {
   /**
-   * Soft delete a user
+   * Soft delete a user and hide their content.
+   * Content is stamped with the same deletedAt as the user, so restoreUser
+   * can tell it apart from content that was deleted before.
    * @param {string} userId - The ID of the user to soft delete
+   * @param {Object} [options] - Options
+   * @param {Date} [options.purgeAfter] - When the account may be purged
    * @returns {Promise<Object>} - The updated user object
    */
-  static async softDeleteUser(userId) {
-    return await prisma.user.update({
-      where: { id: userId },
-      data: { deletedAt: new Date() },
-    });
+  static async softDeleteUser(userId, { purgeAfter = null } = {}) {
+    const deletedAt = new Date();
+
+    const [user] = await prisma.$transaction([
+      prisma.user.update({
+        where: { id: userId },
+        data: { deletedAt, purgeAfter, tokenVersion: { increment: 1 } },
+      }),
+      ...USER_CONTENT_MODELS.map(([model, where]) =>
+        prisma[model].updateMany({
+          where: { ...where(userId), deletedAt: null },
+          data: { deletedAt },
+        })
+      ),
+    ]);
+
+    AuthStateService.invalidate(userId);
+    return user;
   }
 
   /**
-   * Restore a soft deleted user
+   * Restore a soft deleted user and the content hidden with them
    * @param {string} userId - The ID of the user to restore
    * @returns {Promise<Object>} - The restored user object
    */
   static async restoreUser(userId) {
-    return await prisma.user.update({
+    const { deletedAt } = await prisma.user.findUnique({
       where: { id: userId },
-      data: { deletedAt: null },
-    });
+      select: { deletedAt: true },
+    });
+
+    const [user] = await prisma.$transaction([
+      prisma.user.update({
+        where: { id: userId },
+        data: { deletedAt: null, purgeAfter: null },
+      }),
+      ...(deletedAt
+        ? USER_CONTENT_MODELS.map(([model, where]) =>
+            prisma[model].updateMany({
+              where: { ...where(userId), deletedAt },
+              data: { deletedAt: null },
+            })
+          )
+        : []),
+    ]);
+
+    AuthStateService.invalidate(userId);
+    return user;
   }
 
   /**
@@ -0,0 +1,60 @@
+/**
+ * In-memory cache whose entries expire a fixed time after they are set.
+ * Expired entries are dropped when read and by a periodic sweep, so keys
+ * that are never read again don't stay in memory.
+ */
+class TtlCache {
+  /**
+   * @param {number} ttlMs - How long an entry is kept
+   */
+  constructor(ttlMs) {
+    this.ttlMs = ttlMs;
+    this.entries = new Map();
+    // unref: the sweep must not keep the process alive on its own
+    setInterval(() => this.sweep(), ttlMs).unref();
+  }
+
+  /**
+   * Get the value of a key
+   * @param {string} key
+   * @returns {*} - The value, or undefined if missing or expired
+   */
+  get(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return undefined;
+    if (entry.expiresAt <= Date.now()) {
+      this.entries.delete(key);
+      return undefined;
+    }
+    return entry.value;
+  }
+
+  /**
+   * Set the value of a key for the cache's TTL
+   * @param {string} key
+   * @param {*} value
+   */
+  set(key, value) {
+    this.entries.set(key, { value, expiresAt: Date.now() + this.ttlMs });
+  }
+
+  /**
+   * Remove a key
+   * @param {string} key
+   */
+  delete(key) {
+    this.entries.delete(key);
+  }
+
+  /**
+   * Remove every expired entry
+   */
+  sweep() {
+    const now = Date.now();
+    for (const [key, entry] of this.entries) {
+      if (entry.expiresAt <= now) this.entries.delete(key);
+    }
+  }
+}
+
+export { TtlCache };
@@ -0,0 +1,291 @@
+import crypto from "crypto";
+import prisma from "../config/prismaConfig.js";
+import { EncryptionService } from "./encryptionService.js";
+
+const ISSUER = "Los Santos Media";
+const TOTP_PERIOD_SECONDS = 30;
+const TOTP_DIGITS = 6;
+const TOTP_WINDOW = 1; // Accept the previous and next code for clock drift
+const BACKUP_CODE_COUNT = 10;
+
+const BASE32_ALPHABET = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+
+const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = "";
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+};
+
+const base32Decode = (input) => {
+  const cleaned = input.toUpperCase().replace(/=+$/, "").replace(/\s/g, "");
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of cleaned) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error("Invalid base32 character");
+    }
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+};
+
+/**
+ * TOTP (RFC 6238) helpers
+ */
+
+// Generate a new random base32 secret (160 bits, as recommended by RFC 4226)
+const generateTotpSecret = () => base32Encode(crypto.randomBytes(20));
+
+// Compute the code for a time step
+const generateTotpCode = (secret, step) => {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+
+  const hmac = crypto
+    .createHmac("sha1", base32Decode(secret))
+    .update(counter)
+    .digest();
+
+  // Dynamic truncation
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+  return String(binary % 10 ** TOTP_DIGITS).padStart(TOTP_DIGITS, "0");
+};
+
+const getTotpStep = (timestamp = Date.now()) =>
+  Math.floor(timestamp / 1000 / TOTP_PERIOD_SECONDS);
+
+// Return the time step a code belongs to, or null if it matches none
+const findTotpStep = (secret, code, timestamp = Date.now()) => {
+  const normalized = String(code).replace(/\s/g, "");
+  if (!/^\d{6}$/.test(normalized)) return null;
+
+  const currentStep = getTotpStep(timestamp);
+  for (let drift = -TOTP_WINDOW; drift <= TOTP_WINDOW; drift++) {
+    const step = currentStep + drift;
+    const expected = generateTotpCode(secret, step);
+    if (
+      crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))
+    ) {
+      return step;
+    }
+  }
+
+  return null;
+};
+
+const buildOtpauthUri = (secret, accountName) => {
+  const label = encodeURIComponent(`${ISSUER}:${accountName}`);
+  // Authenticator apps expect %20 rather than "+" for spaces
+  const params = Object.entries({
+    secret,
+    issuer: ISSUER,
+    algorithm: "SHA1",
+    digits: TOTP_DIGITS,
+    period: TOTP_PERIOD_SECONDS,
+  })
+    .map(([key, value]) => `${key}=${encodeURIComponent(value)}`)
+    .join("&");
+  return `otpauth://totp/${label}?${params}`;
+};
+
+/**
+ * Backup code helpers
+ */
+
+// Codes look like "k3f9x-2mq7a"; dashes, spaces and case are ignored
+const normalizeBackupCode = (code) =>
+  String(code).toLowerCase().replace(/[\s-]/g, "");
+
+const hashBackupCode = (code) =>
+  crypto.createHash("sha256").update(normalizeBackupCode(code)).digest("hex");
+
+const generateBackupCode = () => {
+  const raw = base32Encode(crypto.randomBytes(7)).slice(0, 10).toLowerCase();
+  return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+};
+
+/**
+ * Two-factor authentication (TOTP + one-time backup codes)
+ */
+class TwoFactorService {
+  /**
+   * Start enrollment: generate a secret and keep it until it is confirmed
+   * @param {Object} user - The user enrolling ({ id, username })
+   * @returns {Promise<{secret: string, otpauthUri: string}>}
+   */
+  static async startEnrollment(user) {
+    const secret = generateTotpSecret();
+
+    await prisma.user.update({
+      where: { id: user.id },
+      data: {
+        twoFactorSecret: EncryptionService.encryptString(secret),
+        twoFactorEnabled: false,
+        twoFactorLastUsedStep: null,
+      },
+    });
+
+    return { secret, otpauthUri: buildOtpauthUri(secret, user.username) };
+  }
+
+  /**
+   * Finish enrollment with a first code from the authenticator app
+   * @param {string} userId - The ID of the user enrolling
+   * @param {string} code - The 6 digit code
+   * @returns {Promise<string[]|null>} - Fresh backup codes, or null if the
+   *   code is wrong or no enrollment was started
+   */
+  static async confirmEnrollment(userId, code) {
+    const user = await prisma.user.findUnique({
+      where: { id: userId },
+      select: { twoFactorSecret: true, twoFactorEnabled: true },
+    });
+
+    if (!user || !user.twoFactorSecret || user.twoFactorEnabled) return null;
+
+    const secret = EncryptionService.decryptString(user.twoFactorSecret);
+    const step = findTotpStep(secret, code);
+    if (step === null) return null;
+
+    await prisma.user.update({
+      where: { id: userId },
+      data: { twoFactorEnabled: true, twoFactorLastUsedStep: step },
+    });
+
+    return await TwoFactorService.regenerateBackupCodes(userId);
+  }
+
+  /**
+   * Verify a TOTP code for a user with 2FA enabled.
+   * Each code can only be used once.
+   * @param {string} userId - The ID of the user
+   * @param {string} code - The 6 digit code
+   * @returns {Promise<boolean>} - Whether the code is valid
+   */
+  static async verifyCode(userId, code) {
+    const user = await prisma.user.findUnique({
+      where: { id: userId },
+      select: { twoFactorSecret: true, twoFactorEnabled: true },
+    });
+
+    if (!user || !user.twoFactorEnabled || !user.twoFactorSecret) {
+      return false;
+    }
+
+    const secret = EncryptionService.decryptString(user.twoFactorSecret);
+    const step = findTotpStep(secret, code);
+    if (step === null) return false;
+
+    // Reject a code that (or whose successor) was already used
+    const { count } = await prisma.user.updateMany({
+      where: {
+        id: userId,
+        OR: [
+          { twoFactorLastUsedStep: null },
+          { twoFactorLastUsedStep: { lt: step } },
+        ],
+      },
+      data: { twoFactorLastUsedStep: step },
+    });
+
+    return count === 1;
+  }
+
+  /**
+   * Redeem a backup code
+   * @param {string} userId - The ID of the user
+   * @param {string} code - The backup code
+   * @returns {Promise<boolean>} - Whether the code was valid and unused
+   */
+  static async useBackupCode(userId, code) {
+    const { count } = await prisma.twoFactorBackupCode.updateMany({
+      where: { userId, codeHash: hashBackupCode(code), usedAt: null },
+      data: { usedAt: new Date() },
+    });
+    return count === 1;
+  }
+
+  /**
+   * Replace all backup codes of a user
+   * @param {string} userId - The ID of the user
+   * @returns {Promise<string[]>} - The new codes, shown to the user once
+   */
+  static async regenerateBackupCodes(userId) {
+    const codes = Array.from({ length: BACKUP_CODE_COUNT }, generateBackupCode);
+
+    await prisma.$transaction([
+      prisma.twoFactorBackupCode.deleteMany({ where: { userId } }),
+      prisma.twoFactorBackupCode.createMany({
+        data: codes.map((code) => ({
+          userId,
+          codeHash: hashBackupCode(code),
+        })),
+      }),
+    ]);
+
+    return codes;
+  }
+
+  /**
+   * Count the unused backup codes of a user
+   * @param {string} userId - The ID of the user
+   * @returns {Promise<number>} - Number of unused codes
+   */
+  static async countBackupCodes(userId) {
+    return await prisma.twoFactorBackupCode.count({
+      where: { userId, usedAt: null },
+    });
+  }
+
+  /**
+   * Turn 2FA off and forget the secret and backup codes
+   * @param {string} userId - The ID of the user
+   */
+  static async disable(userId) {
+    await prisma.$transaction([
+      prisma.user.update({
+        where: { id: userId },
+        data: {
+          twoFactorEnabled: false,
+          twoFactorSecret: null,
+          twoFactorLastUsedStep: null,
+        },
+      }),
+      prisma.twoFactorBackupCode.deleteMany({ where: { userId } }),
+    ]);
+  }
+}
+
+export {
+  TwoFactorService,
+  generateTotpSecret,
+  generateTotpCode,
+  findTotpStep,
+  getTotpStep,
+  buildOtpauthUri,
+};
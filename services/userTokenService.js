@@ -0,0 +1,113 @@
+import crypto from "crypto";
+import prisma from "../config/prismaConfig.js";
+
+const hashToken = (token) =>
+  crypto.createHash("sha256").update(token).digest("hex");
+
+/**
+ * Single-use tokens sent to users by email (password reset, email
+ * verification, ...).
+ *
+ * Only a SHA-256 hash of each token is stored, so a database leak does not
+ * leak usable links.
+ */
+class UserTokenService {
+  /**
+   * Issue a new token. Any unused token of the same type is invalidated.
+   * @param {string} userId - The ID of the user the token is for
+   * @param {string} type - A UserTokenType value
+   * @param {number} ttlMs - How long the token stays valid
+   * @param {Object} [payload] - Data needed when the token is redeemed
+   * @returns {Promise<string>} - The raw token to send to the user
+   */
+  static async createToken(userId, type, ttlMs, payload) {
+    const token = crypto.randomBytes(32).toString("hex");
+    const now = new Date();
+
+    await prisma.$transaction([
+      prisma.userToken.updateMany({
+        where: { userId, type, usedAt: null },
+        data: { usedAt: now },
+      }),
+      prisma.userToken.create({
+        data: {
+          userId,
+          type,
+          tokenHash: hashToken(token),
+          expiresAt: new Date(now.getTime() + ttlMs),
+          payload,
+        },
+      }),
+    ]);
+
+    return token;
+  }
+
+  /**
+   * Redeem a token. Succeeds at most once per token.
+   * @param {string} token - The raw token presented by the user
+   * @param {string} type - The UserTokenType the token must have
+   * @returns {Promise<Object|null>} - The token record, or null if the token
+   *   is unknown, expired, already used or of another type
+   */
+  static async consumeToken(token, type) {
+    const record = await prisma.userToken.findUnique({
+      where: { tokenHash: hashToken(token) },
+    });
+
+    if (!record || record.type !== type) return null;
+
+    const now = new Date();
+    const { count } = await prisma.userToken.updateMany({
+      where: { id: record.id, usedAt: null, expiresAt: { gt: now } },
+      data: { usedAt: now },
+    });
+
+    return count === 1 ? record : null;
+  }
+
+  /**
+   * Get the most recently issued token of a type for a user
+   * @param {string} userId - The ID of the user
+   * @param {string} type - A UserTokenType value
+   * @returns {Promise<Object|null>} - The latest token record
+   */
+  static async getLatestToken(userId, type) {
+    return await prisma.userToken.findFirst({
+      where: { userId, type },
+      orderBy: { createdAt: "desc" },
+    });
+  }
+
+  /**
+   * Count the tokens of a type issued to a user within a time window
+   * @param {string} userId - The ID of the user
+   * @param {string} type - A UserTokenType value
+   * @param {number} windowMs - How far back to look
+   * @returns {Promise<number>} - Number of tokens issued
+   */
+  static async countRecentTokens(userId, type, windowMs) {
+    return await prisma.userToken.count({
+      where: {
+        userId,
+        type,
+        createdAt: { gt: new Date(Date.now() - windowMs) },
+      },
+    });
+  }
+
+  /**
+   * Invalidate every unused token of a type for a user
+   * @param {string} userId - The ID of the user
+   * @param {string} type - A UserTokenType value
+   * @returns {Promise<Object>} - Update count
+   */
+  static async invalidateTokens(userId, type) {
+    return await prisma.userToken.updateMany({
+      where: { userId, type, usedAt: null },
+      data: { usedAt: new Date() },
+    });
+  }
+}
+
+export { UserTokenService };
@@ -0,0 +1,218 @@
+import prisma from "../config/prismaConfig.js";
+
+const USERNAME_PATTERN = /^[a-zA-Z0-9_.]{3,30}$/;
+
+const USERNAME_CHANGE_COOLDOWN_MS = 30 * 24 * 60 * 60 * 1000; // 1 change per 30 days
+const USERNAME_HOLD_MS = 90 * 24 * 60 * 60 * 1000; // Old handles resolve for 90 days
+
+// Names that would be confusing as a profile handle or clash with app routes
+const RESERVED_USERNAMES = new Set([
+  "about",
+  "admin",
+  "administrator",
+  "api",
+  "auth",
+  "help",
+  "login",
+  "logout",
+  "lsmedia",
+  "me",
+  "moderator",
+  "notifications",
+  "official",
+  "privacy",
+  "register",
+  "root",
+  "search",
+  "security",
+  "settings",
+  "staff",
+  "support",
+  "system",
+  "terms",
+  "user",
+  "users",
+]);
+
+/**
+ * Error thrown when a username can't be used.
+ * `code` is one of: USERNAME_INVALID, USERNAME_RESERVED, USERNAME_TAKEN,
+ * USERNAME_UNCHANGED, USERNAME_COOLDOWN
+ */
+class UsernameError extends Error {
+  constructor(code, message, details = {}) {
+    super(message);
+    this.name = "UsernameError";
+    this.code = code;
+    Object.assign(this, details);
+  }
+}
+
+/**
+ * Username rules and changes.
+ *
+ * When a user changes their username the old one is recorded in the
+ * username history. Until its hold expires the old handle keeps resolving
+ * to the account and only its previous owner can take it back.
+ */
+class UsernameService {
+  /**
+   * Check whether a username can be taken
+   * @param {string} username - The wanted username
+   * @param {string|null} userId - The user who wants it (null on registration)
+   * @returns {Promise<UsernameError|null>} - Why it can't be used, or null
+   */
+  static async checkAvailability(username, userId = null) {
+    if (!USERNAME_PATTERN.test(username)) {
+      return new UsernameError(
+        "USERNAME_INVALID",
+        "Username must be 3-30 characters and contain only letters, numbers, underscores and dots"
+      );
+    }
+
+    if (RESERVED_USERNAMES.has(username.toLowerCase())) {
+      return new UsernameError(
+        "USERNAME_RESERVED",
+        "This username is reserved"
+      );
+    }
+
+    const [owner, held] = await Promise.all([
+      prisma.user.findUnique({
+        where: { username },
+        select: { id: true },
+      }),
+      prisma.usernameHistory.findFirst({
+        where: {
+          username,
+          heldUntil: { gt: new Date() },
+          ...(userId && { userId: { not: userId } }),
+        },
+        select: { id: true },
+      }),
+    ]);
+
+    if ((owner && owner.id !== userId) || held) {
+      return new UsernameError("USERNAME_TAKEN", "Username already exists");
+    }
+
+    return null;
+  }
+
+  /**
+   * Change the username of a user
+   * @param {string} userId - The ID of the user
+   * @param {string} newUsername - The new username
+   * @returns {Promise<Object>} - { username, previousUsername, heldUntil }
+   */
+  static async changeUsername(userId, newUsername) {
+    const user = await prisma.user.findUnique({
+      where: { id: userId },
+      select: { username: true, usernameChangedAt: true },
+    });
+
+    if (user.username === newUsername) {
+      throw new UsernameError(
+        "USERNAME_UNCHANGED",
+        "This is already your username"
+      );
+    }
+
+    if (user.usernameChangedAt) {
+      const elapsed = Date.now() - user.usernameChangedAt.getTime();
+      if (elapsed < USERNAME_CHANGE_COOLDOWN_MS) {
+        throw new UsernameError(
+          "USERNAME_COOLDOWN",
+          "You can change your username once every 30 days",
+          { retryAfterMs: USERNAME_CHANGE_COOLDOWN_MS - elapsed }
+        );
+      }
+    }
+
+    const problem = await UsernameService.checkAvailability(
+      newUsername,
+      userId
+    );
+    if (problem) throw problem;
+
+    const now = new Date();
+    const heldUntil = new Date(now.getTime() + USERNAME_HOLD_MS);
+
+    try {
+      await prisma.$transaction([
+        // Taking back an old handle ends its redirect
+        prisma.usernameHistory.updateMany({
+          where: { userId, username: newUsername, heldUntil: { gt: now } },
+          data: { heldUntil: now },
+        }),
+        prisma.usernameHistory.create({
+          data: { userId, username: user.username, heldUntil },
+        }),
+        prisma.user.update({
+          where: { id: userId },
+          data: { username: newUsername, usernameChangedAt: now },
+        }),
+      ]);
+    } catch (error) {
+      // Someone else took the username in the meantime
+      if (error.code === "P2002") {
+        throw new UsernameError("USERNAME_TAKEN", "Username already exists");
+      }
+      throw error;
+    }
+
+    return {
+      username: newUsername,
+      previousUsername: user.username,
+      heldUntil,
+    };
+  }
+
+  /**
+   * Find the active account for a username, following old handles that
+   * are still held
+   * @param {string} username - The current or a previous username
+   * @returns {Promise<Object|null>} - { userId, username, redirected }
+   */
+  static async resolveUsername(username) {
+    const user = await prisma.user.findUnique({
+      where: { username, deletedAt: null },
+      select: { id: true, username: true },
+    });
+    if (user) {
+      return { userId: user.id, username: user.username, redirected: false };
+    }
+
+    const previous = await prisma.usernameHistory.findFirst({
+      where: {
+        username,
+        heldUntil: { gt: new Date() },
+        user: { deletedAt: null },
+      },
+      orderBy: { createdAt: "desc" },
+      select: { user: { select: { id: true, username: true } } },
+    });
+    if (!previous) return null;
+
+    return {
+      userId: previous.user.id,
+      username: previous.user.username,
+      redirected: true,
+    };
+  }
+
+  /**
+   * Previous usernames of a user
+   * @param {string} userId - The ID of the user
+   * @returns {Promise<Array>} - History entries, newest first
+   */
+  static async getHistory(userId) {
+    return await prisma.usernameHistory.findMany({
+      where: { userId },
+      select: { username: true, heldUntil: true, createdAt: true },
+      orderBy: { createdAt: "desc" },
+    });
+  }
+}
+
+export { UsernameService, UsernameError };